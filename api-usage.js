@@ -0,0 +1,139 @@
+/**
+ * AI provider usage and spend for Prompt Tracer
+ *
+ * Shared by the background worker (via importScripts), which records the
+ * tokens every provider call used and checks the monthly budget before
+ * making one, and the popup, which charts the spend and edits the prices
+ * and budget.
+ *
+ * Usage is stored as token counts — per day, feature and model — under
+ * 'ai-usage' in chrome.storage.local. Cost is worked out from the price
+ * table whenever it's needed, so correcting a price corrects past days too.
+ */
+
+const AI_USAGE_KEY = 'ai-usage';
+// The user's price corrections, { [model]: { input, output } }
+const AI_PRICES_KEY = 'ai-prices';
+// US dollars per calendar month; 0 or unset means no budget
+const AI_BUDGET_KEY = 'ai-monthly-budget';
+
+// Long enough for the 30-day chart and a full month against the budget
+const AI_USAGE_RETENTION_DAYS = 90;
+
+// What the extension calls the provider for
+const AI_USAGE_FEATURES = {
+  optimize: 'Optimization',
+  feedback: 'Feedback'
+};
+
+// US dollars per million input / output tokens, as published when this was
+// written. Prices change, which is why Settings → AI prices can override
+// any of them (and add models that aren't here).
+const DEFAULT_MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-5-haiku-latest': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet-latest': { input: 3, output: 15 },
+  'claude-3-7-sonnet-latest': { input: 3, output: 15 },
+  'claude-sonnet-4-0': { input: 3, output: 15 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 }
+};
+
+// A model on the user's own machine costs nothing per token
+function isFreeUsageProvider(provider) {
+  return provider === 'local';
+}
+
+function getModelPrice(model, overrides) {
+  return (overrides && overrides[model]) || DEFAULT_MODEL_PRICES[model] || null;
+}
+
+// Local-time YYYY-MM-DD, so "today" and "this month" match the user's clock
+function usageDayKey(date = new Date()) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// The last `count` day keys, oldest first, ending with `date`'s
+function recentUsageDays(count, date = new Date()) {
+  return Array.from({ length: count }, (_, i) => {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() - (count - 1 - i));
+    return usageDayKey(day);
+  });
+}
+
+// Day keys from the 1st of `date`'s month up to `date`
+function monthToDateUsageDays(date = new Date()) {
+  return recentUsageDays(date.getDate(), date);
+}
+
+// Adds one call to `usageByDay` (in place) and drops days past retention.
+// `call` is { feature, provider, model, promptTokens, completionTokens,
+// estimated } — estimated when the provider reported no usage and the
+// counts come from the local tokenizer.
+function addUsage(usageByDay, call, date = new Date()) {
+  const dayKey = usageDayKey(date);
+  const day = usageByDay[dayKey] || (usageByDay[dayKey] = {});
+  const feature = day[call.feature] || (day[call.feature] = {});
+  const totals = feature[call.model] || (feature[call.model] = {
+    provider: call.provider, calls: 0, promptTokens: 0, completionTokens: 0, estimatedCalls: 0
+  });
+  totals.calls += 1;
+  totals.promptTokens += call.promptTokens || 0;
+  totals.completionTokens += call.completionTokens || 0;
+  if (call.estimated) totals.estimatedCalls += 1;
+
+  const oldest = recentUsageDays(AI_USAGE_RETENTION_DAYS, date)[0];
+  Object.keys(usageByDay).forEach(key => {
+    if (key < oldest) delete usageByDay[key];
+  });
+  return usageByDay;
+}
+
+// Spend over `days` (day keys): { total, byDay: [{ day, cost }], byFeature:
+// { [feature]: { cost, calls, tokens } }, unpriced: [model ids used with no
+// price], estimatedCalls }.
+function summarizeUsage(usageByDay, prices, days) {
+  const summary = { total: 0, byDay: [], byFeature: {}, unpriced: [], estimatedCalls: 0 };
+  days.forEach(dayKey => {
+    let dayCost = 0;
+    Object.entries((usageByDay && usageByDay[dayKey]) || {}).forEach(([feature, models]) => {
+      const featureSummary = summary.byFeature[feature] || (summary.byFeature[feature] = { cost: 0, calls: 0, tokens: 0 });
+      Object.entries(models).forEach(([model, totals]) => {
+        const price = isFreeUsageProvider(totals.provider) ? { input: 0, output: 0 } : getModelPrice(model, prices);
+        if (!price && !summary.unpriced.includes(model)) summary.unpriced.push(model);
+        const cost = price
+          ? (totals.promptTokens * price.input + totals.completionTokens * price.output) / 1e6
+          : 0;
+        dayCost += cost;
+        featureSummary.cost += cost;
+        featureSummary.calls += totals.calls;
+        featureSummary.tokens += totals.promptTokens + totals.completionTokens;
+        summary.estimatedCalls += totals.estimatedCalls || 0;
+      });
+    });
+    summary.byDay.push({ day: dayKey, cost: dayCost });
+    summary.total += dayCost;
+  });
+  return summary;
+}
+
+// { budget, spent, reached } for the current month. No budget is never reached.
+function getMonthlyBudgetStatus(usageByDay, prices, budget, date = new Date()) {
+  const spent = summarizeUsage(usageByDay, prices, monthToDateUsageDays(date)).total;
+  const limit = Number(budget) > 0 ? Number(budget) : 0;
+  return { budget: limit, spent, reached: limit > 0 && spent >= limit };
+}
+
+// Small amounts need more than two decimals to be anything but $0.00
+function formatUsageCost(cost) {
+  if (cost === 0) return '$0.00';
+  if (cost < 0.01) return `$${cost.toFixed(4)}`;
+  return `$${cost.toFixed(2)}`;
+}
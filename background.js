@@ -4,13 +4,101 @@
 
 // Background script for Prompt Tracer extension
 
-// Initialize storage with default settings
-chrome.runtime.onInstalled.addListener(() => {
-  chrome.storage.local.set({
-    promptHistory: []
-  });
+// Provider table (LLM_PROVIDERS, resolveProviderConfig, ...), shared with
+// the popup's Settings form; the check definitions; the IndexedDB prompt
+// history; the optional PII redaction for outbound prompts; the token
+// counter, whose rank tables load here once instead of in every tab; the
+// cache of provider replies; usage/spend tracking for the budget; and the
+// scheduler every provider call goes through (limits, retries, breaker).
+importScripts('llm-providers.js', 'prompt-languages.js', 'check-registry.js', 'history-store.js', 'pii-redactor.js', 'token-counter.js', 'response-cache.js', 'api-usage.js', 'llm-scheduler.js');
+
+const historyStore = new HistoryStore();
+const responseCache = new ResponseCache();
+const llmScheduler = new LLMScheduler();
+
+// History used to be a `promptHistory` array in chrome.storage. Copy it into
+// IndexedDB once, then drop the key — so this is a no-op on every later
+// start, and an interrupted run just repeats (ids are never added twice).
+async function migrateLegacyHistory() {
+  const { promptHistory } = await chrome.storage.local.get(['promptHistory']);
+  if (!Array.isArray(promptHistory)) return;
+  if (promptHistory.length > 0) {
+    const migrated = await historyStore.putMany(promptHistory);
+    console.log(`Migrated ${migrated} prompt history entries to IndexedDB`);
+  }
+  await chrome.storage.local.remove('promptHistory');
+}
+
+// Every history request waits for this, so nothing reads a half-migrated store
+const historyReady = migrateLegacyHistory()
+  .then(enforceHistoryRetention)
+  .catch(error => console.error('History migration failed:', error));
+
+async function getHistoryRetention() {
+  const result = await chrome.storage.local.get(['history-max-entries', 'history-max-age-days']);
+  return {
+    maxEntries: Number.isFinite(result['history-max-entries']) ? result['history-max-entries'] : DEFAULT_HISTORY_RETENTION.maxEntries,
+    maxAgeDays: Number.isFinite(result['history-max-age-days']) ? result['history-max-age-days'] : DEFAULT_HISTORY_RETENTION.maxAgeDays
+  };
+}
+
+async function enforceHistoryRetention() {
+  const removed = await historyStore.applyRetention(await getHistoryRetention());
+  if (removed > 0) {
+    console.log(`History retention removed ${removed} entries`);
+  }
+}
+
+// Tightening retention in Settings applies right away, not on the next save
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && (changes['history-max-entries'] || changes['history-max-age-days'])) {
+    historyReady.then(enforceHistoryRetention).catch(error => console.error('History retention failed:', error));
+  }
 });
 
+async function handleHistoryRequest(request) {
+  await historyReady;
+  switch (request.action) {
+    case 'addHistoryEntry':
+      await historyStore.put(request.entry);
+      await enforceHistoryRetention();
+      return { success: true };
+    case 'updateHistoryEntry': {
+      const entry = await historyStore.update(request.id, request.changes || {});
+      return { success: Boolean(entry) };
+    }
+    case 'getHistory':
+      if (request.filters) {
+        // Filtered (for exports): every match, oldest first like getAll
+        const { entries } = await historyStore.search(request.filters, { limit: Number.MAX_SAFE_INTEGER });
+        return { history: entries.reverse() };
+      }
+      return { history: await historyStore.getAll({ limit: request.limit || 0 }) };
+    case 'searchHistory':
+      return historyStore.search(request.filters || {}, { offset: request.offset || 0, limit: request.limit || 20 });
+    case 'getHistoryEntry':
+      return { entry: await historyStore.get(request.id) };
+    case 'getHistoryFacets':
+      return historyStore.facets();
+    case 'deleteHistoryEntry':
+      await historyStore.delete(request.id);
+      return { success: true };
+    case 'getMissingHistoryIds':
+      return { ids: await historyStore.missingIds(request.ids || []) };
+    case 'importHistory': {
+      // Entries already here (same PromptData id) are kept as they are
+      const added = await historyStore.putMany(request.entries || []);
+      await enforceHistoryRetention();
+      return { success: true, added };
+    }
+    case 'clearHistory':
+      await historyStore.clear();
+      return { success: true };
+    default:
+      throw new Error(`Unknown history action: ${request.action}`);
+  }
+}
+
 // Note: chrome.action.openPopup() can silently do nothing (no popup opens)
 // without throwing — most commonly when called from a background handler
 // relaying a content-script click, which doesn't always carry the genuine
@@ -39,16 +127,8 @@ function openPopup(sendResponse, extraStorage) {
 // Handle messages from content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   switch (request.action) {
-    case 'optimizePrompt':
-      optimizePromptWithLLM(request.prompt, request.analysis)
-        .then(sendResponse)
-        .catch(error => {
-          console.error('Optimize prompt error:', error);
-          sendResponse({ optimized: null, method: 'error', error: error.message });
-        });
-      return true;
     case 'testApiKey':
-      testApiKey(request.apiKey)
+      testApiKey(request.apiKey, request.provider, request.baseUrl)
         .then(sendResponse)
         .catch(error => {
           console.error('Test API key error:', error);
@@ -64,44 +144,184 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     case 'openDashboard':
       openPopup(sendResponse);
       return true;
-    case 'generateFeedback':
-      generateAIFeedback(request.prompt)
+    case 'getProviderStatus':
+      getProviderStatus()
+        .then(sendResponse)
+        .catch(error => {
+          console.error('Provider status error:', error);
+          sendResponse({ configured: false, error: error.message });
+        });
+      return true;
+    case 'listModels':
+      listProviderModels(request.provider, request.baseUrl, request.apiKey)
+        .then(sendResponse)
+        .catch(error => {
+          console.error('List models error:', error);
+          sendResponse({ success: false, models: [], error: error.message });
+        });
+      return true;
+    case 'saveApiKey':
+      saveApiKeyForCurrentProvider(request.apiKey)
         .then(sendResponse)
         .catch(error => {
-          console.error('Generate feedback error:', error);
-          sendResponse({ feedback: null, method: 'error', error: error.message });
+          console.error('Save API key error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true;
+    case 'addHistoryEntry':
+    case 'updateHistoryEntry':
+    case 'getHistory':
+    case 'searchHistory':
+    case 'getHistoryEntry':
+    case 'getHistoryFacets':
+    case 'deleteHistoryEntry':
+    case 'getMissingHistoryIds':
+    case 'importHistory':
+    case 'clearHistory':
+      handleHistoryRequest(request)
+        .then(sendResponse)
+        .catch(error => {
+          console.error('History error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true;
+    case 'countTokens':
+      countTokens(request.text, getChatModel(request.platform, request.model))
+        .then(sendResponse)
+        .catch(error => {
+          console.error('Count tokens error:', error);
+          sendResponse({ count: null, error: error.message });
+        });
+      return true;
+    case 'getResponseCacheStats':
+      responseCache.stats()
+        .then(sendResponse)
+        .catch(error => {
+          console.error('Response cache error:', error);
+          sendResponse({ entries: 0, error: error.message });
+        });
+      return true;
+    case 'clearResponseCache':
+      responseCache.clear()
+        .then(() => sendResponse({ success: true }))
+        .catch(error => {
+          console.error('Clear response cache error:', error);
+          sendResponse({ success: false, error: error.message });
         });
       return true;
   }
 });
 
+// Streamed AI optimization for the panel, one port per request. The
+// content script posts { prompt, analysis } and gets back
+// { type: 'text', text } as the rewrite grows, then one { type: 'done',
+// ...optimizePromptWithLLM() result } (straight away, with cached: true,
+// when the same rewrite was asked for recently). While the scheduler waits
+// to retry, { type: 'status', state, retryAt, label } says so.
+// Disconnecting the port — Cancel, a newer prompt, or the tab closing —
+// aborts the provider request.
+//
+// AI feedback comes over a 'feedback-stream' port the same way, minus the
+// text: status updates while it waits, then { type: 'done',
+// ...generateAIFeedback() result }.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'optimize-stream' && port.name !== 'feedback-stream') return;
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
+  port.onMessage.addListener((request) => {
+    const post = (message) => {
+      if (!controller.signal.aborted) port.postMessage(message);
+    };
+    const options = {
+      signal: controller.signal,
+      onStatus: status => post({ type: 'status', ...status })
+    };
+    const reply = port.name === 'optimize-stream'
+      ? optimizePromptWithLLM(request.prompt, request.analysis, { ...options, onText: text => post({ type: 'text', text }) })
+      : generateAIFeedback(request.prompt, request.analysis, options);
+    reply
+      .then(result => post({ type: 'done', ...result }))
+      .catch(error => post({ type: 'done', optimized: null, method: 'error', error: error.message }));
+  });
+});
+
 // Real AI optimization only — no local hardcoded-template fallback here.
-// If OpenAI isn't available or fails, this returns optimized: null and the
-// content script keeps showing its own rule-based version (which is built
-// from the same non-hardcoded, checklist-driven logic used for scoring),
-// rather than substituting a fixed "if the prompt says X, wrap it in this
-// canned paragraph" generator.
-async function optimizePromptWithLLM(originalPrompt, analysis) {
+// If no provider is configured or the call fails, this returns optimized:
+// null and the content script keeps showing its own rule-based version
+// (which is built from the same non-hardcoded, checklist-driven logic used
+// for scoring), rather than substituting a fixed "if the prompt says X,
+// wrap it in this canned paragraph" generator.
+//
+// With `options.onText`, the reply is streamed: onText(textSoFar) is called
+// as it grows (PII already restored, as far as the last whole token), and
+// `options.signal` cancels it. A cached rewrite comes back whole, with
+// `cached: true`, and never streams.
+// `options.onStatus` hears about scheduler retries (see llm-scheduler.js);
+// a failure comes back with a `notice` the panel shows instead.
+async function optimizePromptWithLLM(originalPrompt, analysis, options = {}) {
   try {
-    const result = await chrome.storage.local.get(['llm-optimization', 'openai-api-key']);
+    const result = await chrome.storage.local.get(['llm-optimization']);
     const llmOptimization = result['llm-optimization'] !== false; // Default to true
-    const apiKey = result['openai-api-key'];
 
     if (!llmOptimization) {
       return { optimized: null, method: 'disabled' };
     }
 
-    if (!apiKey || !apiKey.startsWith('sk-')) {
-      return { optimized: null, method: 'no-api-key' };
+    const config = await getProviderConfig();
+    if (!config.ready) {
+      return { optimized: null, method: 'no-api-key', error: config.problem };
+    }
+
+    // Cached by the prompt as it goes out, and with the provider's tokens
+    // still in the reply: with redaction on, the real values never reach
+    // storage — they're put back from this call's token map on the way out.
+    const outbound = await redactForProvider(originalPrompt);
+    const cacheKey = await ResponseCache.keyFor('optimize', outbound.text, getResponseCacheScope(config, analysis));
+    const cached = await responseCache.get(cacheKey);
+    if (cached) {
+      console.log(`Using cached ${config.label} optimization`);
+      return { ...cached, optimized: restorePii(cached.optimized, outbound.tokens), original: originalPrompt, cached: true };
+    }
+
+    const budget = await getBudgetStatus();
+    if (budget.reached) {
+      return { optimized: null, method: 'budget-reached', error: 'Monthly AI budget reached', notice: BUDGET_REACHED_NOTICE };
     }
 
     try {
-      const optimizationPrompt = createOptimizationPrompt(originalPrompt, analysis);
-      const optimizedPrompt = await callOpenAI(optimizationPrompt, apiKey);
-      return { optimized: optimizedPrompt, method: 'openai-premium', original: originalPrompt };
+      recordOutboundPrompt(outbound);
+      const optimizationPrompt = createOptimizationPrompt(outbound.text, analysis);
+      const request = {
+        system: 'You are an expert prompt engineer. Your ONLY job is to return the optimized prompt text. Do NOT include explanations, meta-commentary, or any text other than the optimized prompt itself. Return ONLY the prompt.',
+        prompt: optimizationPrompt,
+        maxTokens: 300, // Kept small for a fast response
+        temperature: 0.3,
+        timeoutMs: 6000
+      };
+      const { text, usage } = await scheduleLLM(config, () => (options.onText
+        ? streamLLM(config, {
+          ...request,
+          signal: options.signal,
+          onText: soFar => options.onText(restorePii(trimPartialPiiToken(soFar), outbound.tokens))
+        })
+        : callLLM(config, request)), options);
+      recordUsage(config, 'optimize', request, text, usage);
+      const providerText = cleanOptimizedPrompt(text);
+      const optimizedPrompt = restorePii(providerText, outbound.tokens);
+      // The length only: the text has any redacted values back in it
+      console.log(`${config.label} optimized prompt: ${optimizedPrompt.length} characters`);
+      const reply = { optimized: optimizedPrompt, method: 'llm', provider: config.id, model: config.model };
+      if (providerText) await responseCache.set(cacheKey, { ...reply, optimized: providerText });
+      return { ...reply, original: originalPrompt };
     } catch (error) {
-      console.log('OpenAI optimization failed:', error.message);
-      return { optimized: null, method: 'openai-failed', error: error.message };
+      console.log(`${config.label} optimization failed:`, error.message);
+      return {
+        optimized: null,
+        method: getLLMFailureMethod(error),
+        provider: config.id,
+        error: error.message,
+        notice: describeLLMFailure(config, error)
+      };
     }
   } catch (error) {
     console.error('Optimization failed:', error);
@@ -109,6 +329,200 @@ async function optimizePromptWithLLM(originalPrompt, analysis) {
   }
 }
 
+// What a cached reply depends on besides the prompt: the provider and model
+// that wrote it, and the rubric revision (and domain pack) the prompt was
+// scored with — editing a rubric bumps its version, so old replies drop out.
+function getResponseCacheScope(config, analysis) {
+  const rubric = (analysis && analysis.rubric) || DEFAULT_RUBRIC;
+  const pack = (analysis && analysis.pack && analysis.pack.id) || 'general';
+  return { provider: config.id, model: config.model, rubric: `${rubric.id}@${rubric.version}/${pack}` };
+}
+
+// Per attempt; feedback asks for more text than a rewrite
+const AI_FEEDBACK_TIMEOUT_MS = 10000;
+
+const BUDGET_REACHED_NOTICE = 'Monthly AI budget reached — AI calls are paused (Analytics → API spend)';
+
+// A provider call through llmScheduler, with that provider's concurrency
+// limit. `options` may carry the caller's signal and onStatus; status
+// updates get the provider's label so the panel can name it.
+function scheduleLLM(config, task, options = {}) {
+  const provider = LLM_PROVIDERS[config.id];
+  return llmScheduler.run(config.id, task, {
+    maxConcurrent: provider.maxConcurrent,
+    signal: options.signal,
+    onStatus: options.onStatus && (status => options.onStatus({ ...status, label: config.label }))
+  });
+}
+
+function getLLMFailureMethod(error) {
+  if (error.cancelled) return 'cancelled';
+  if (error.status === 429 || error.rateLimited) return 'rate-limited';
+  if (error.circuitOpen) return 'paused';
+  return 'llm-failed';
+}
+
+// One line for the panel about why there's no AI result this time, or null
+// when there's nothing to say (the user cancelled).
+function describeLLMFailure(config, error) {
+  if (error.cancelled) return null;
+  const wait = error.retryAt ? Math.max(1, Math.ceil((error.retryAt - Date.now()) / 1000)) : null;
+  if (error.circuitOpen) {
+    return error.rateLimited
+      ? `${config.label} is rate-limiting requests — AI calls paused${wait ? ` for ${wait}s` : ''}`
+      : `${config.label} keeps failing — AI calls paused${wait ? ` for ${wait}s` : ''}`;
+  }
+  if (error.status === 429) {
+    return `${config.label} is rate-limiting requests${wait ? ` — try again in ${wait}s` : ''}`;
+  }
+  if (isTransientLLMError(error)) {
+    return `${config.label} isn't responding right now — showing the rule-based version`;
+  }
+  const message = error.message.length > 120 ? `${error.message.slice(0, 117)}…` : error.message;
+  return `${config.label} call failed: ${message}`;
+}
+
+// Usage is written one call at a time: two replies landing together would
+// otherwise both read the same day's totals and one would be lost.
+let usageWrites = Promise.resolve();
+
+// Adds a finished call to the 'ai-usage' totals. Providers that don't
+// report usage (some local and compatible servers) get counted with the
+// local tokenizer instead, flagged as estimated.
+function recordUsage(config, feature, request, replyText, usage) {
+  const call = usage
+    ? { promptTokens: usage.promptTokens, completionTokens: usage.completionTokens, estimated: false }
+    : {
+      promptTokens: approximateTokenCount(`${request.system}\n${request.prompt}`),
+      completionTokens: approximateTokenCount(replyText || ''),
+      estimated: true
+    };
+  usageWrites = usageWrites
+    .then(async () => {
+      const stored = await chrome.storage.local.get([AI_USAGE_KEY]);
+      const usageByDay = addUsage(stored[AI_USAGE_KEY] || {}, { ...call, feature, provider: config.id, model: config.model });
+      await chrome.storage.local.set({ [AI_USAGE_KEY]: usageByDay });
+    })
+    .catch(error => console.warn('Could not record AI usage:', error.message));
+  return usageWrites;
+}
+
+// This month's spend against the budget set in Analytics. Checked before
+// every provider call (cached replies are free, so they're served anyway).
+async function getBudgetStatus() {
+  await usageWrites;
+  const stored = await chrome.storage.local.get([AI_USAGE_KEY, AI_PRICES_KEY, AI_BUDGET_KEY]);
+  return getMonthlyBudgetStatus(stored[AI_USAGE_KEY] || {}, stored[AI_PRICES_KEY] || {}, stored[AI_BUDGET_KEY]);
+}
+
+// The optional PII pass (Settings → Privacy): the prompt text as it should
+// go to the provider, plus the token map to restore the reply with. The
+// same prompt and name list always give the same tokens, so a cached reply
+// can be restored with a later call's map.
+async function redactForProvider(text) {
+  const settings = await chrome.storage.local.get(['pii-redaction', 'pii-names']);
+  if (settings['pii-redaction'] !== true) {
+    return { text, tokens: {}, counts: {}, redacted: false };
+  }
+  return { ...redactPii(text, { names: settings['pii-names'] || [] }), redacted: true };
+}
+
+// Leaves a redacted prompt that's about to be sent in session storage —
+// memory only, gone when the browser closes — so Settings can show exactly
+// what was last sent. Replies served from the cache send nothing.
+function recordOutboundPrompt(outbound) {
+  if (!outbound.redacted) return;
+  chrome.storage.session.set({
+    lastOutboundPrompt: { at: new Date().toISOString(), text: outbound.text, counts: outbound.counts }
+  }).catch(error => console.warn('Could not record the last outbound prompt:', error.message));
+}
+
+// The selected provider's settings, read fresh on every call so a change in
+// the popup applies to the very next request.
+async function getProviderConfig() {
+  const { 'llm-provider': providerId } = await chrome.storage.local.get(['llm-provider']);
+  const id = LLM_PROVIDERS[providerId] ? providerId : DEFAULT_LLM_PROVIDER;
+  const keys = getProviderStorageKeys(id);
+  const stored = await chrome.storage.local.get([keys.apiKey, keys.model, keys.baseUrl]);
+  return resolveProviderConfig({ ...stored, 'llm-provider': id });
+}
+
+// What the content script needs to decide between the AI and rule-based
+// paths, and how to word the "add your key" prompt. Never includes the key.
+async function getProviderStatus() {
+  const config = await getProviderConfig();
+  const provider = LLM_PROVIDERS[config.id];
+  return {
+    configured: config.ready,
+    problem: config.problem,
+    provider: config.id,
+    label: config.label,
+    model: config.model,
+    requiresKey: provider.requiresKey,
+    // A key-less provider can't be fixed from the panel's key box
+    needsSettings: !config.ready && !provider.requiresKey,
+    keyPlaceholder: provider.keyPlaceholder,
+    keyUrl: provider.keyUrl,
+    // Slow providers (a local model) get longer than the usual few seconds;
+    // the content script stretches its own waits to match.
+    timeoutMs: provider.timeoutMs || null,
+    // How long one AI feedback attempt may take, as callLLM() counts it.
+    // The panel waits this long (plus any retry wait it's told about)
+    // before giving up, which also cancels the call.
+    feedbackTimeoutMs: Math.max(AI_FEEDBACK_TIMEOUT_MS, provider.timeoutMs || 0)
+  };
+}
+
+// Models a server says it has, for providers that can list them (a local
+// Ollama / llama.cpp server, an OpenAI-compatible gateway). Fixed-list
+// providers just return their built-in list.
+async function listProviderModels(providerId, baseUrl, apiKey) {
+  const provider = LLM_PROVIDERS[providerId];
+  if (!provider) {
+    return { success: false, models: [], error: 'Unknown provider' };
+  }
+  if (!provider.modelsRequest) {
+    return { success: true, models: provider.models };
+  }
+
+  const url = normalizeBaseUrl(baseUrl || provider.defaultBaseUrl);
+  if (!url) {
+    return { success: false, models: [], error: 'Enter the server\'s base URL' };
+  }
+
+  const request = provider.modelsRequest({ apiKey: (apiKey || '').trim(), baseUrl: url });
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 5000);
+  try {
+    const response = await fetch(request.url, { ...request.init, signal: controller.signal });
+    if (!response.ok) {
+      const error = await readProviderError(response);
+      // Ollama answers 403 to origins it hasn't been told to trust
+      const hint = response.status === 403 && !isOpenAIStyleBaseUrl(url)
+        ? ' — start Ollama with OLLAMA_ORIGINS=chrome-extension://*'
+        : '';
+      return { success: false, models: [], error: `${response.status} ${error}${hint}`.trim() };
+    }
+    return { success: true, models: provider.parseModels(await response.json()) };
+  } catch (error) {
+    const message = error.name === 'AbortError' ? 'Server did not respond' : `Can't reach ${url}`;
+    return { success: false, models: [], error: message };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Used by the floating panel's inline key box: checks the key against the
+// currently selected provider, and only stores it once it works.
+async function saveApiKeyForCurrentProvider(apiKey) {
+  const config = await getProviderConfig();
+  const test = await testApiKey(apiKey, config.id, config.baseUrl);
+  if (test.success) {
+    await chrome.storage.local.set({ [getProviderStorageKeys(config.id).apiKey]: apiKey.trim() });
+  }
+  return test;
+}
+
 // Create optimization prompt for LLM
 function createOptimizationPrompt(originalPrompt, analysis) {
   const metrics = analysis.metrics || {};
@@ -204,146 +618,254 @@ Create an optimized version of "${originalPrompt}" that:
 Return ONLY the optimized prompt text, nothing else. No explanations, no meta-commentary, just the prompt itself.`;
 }
 
-// Call OpenAI API with timeout
-async function callOpenAI(prompt, apiKey) {
-  console.log('Calling OpenAI API with prompt:', prompt.substring(0, 100) + '...');
-  
+// One chat call to whichever provider `config` describes. Every provider's
+// request and response shape lives in llm-providers.js; this only adds the
+// timeout and turns HTTP failures into errors with the provider's message.
+// `signal` cancels it, as for streamLLM().
+async function callLLM(config, { system, prompt, maxTokens, temperature, timeoutMs = 6000, signal }) {
+  const provider = LLM_PROVIDERS[config.id];
+  console.log(`Calling ${provider.label} API (${config.model}) with prompt:`, prompt.substring(0, 100) + '...');
+
+  const { url, init } = provider.chatRequest({
+    apiKey: config.apiKey,
+    baseUrl: config.baseUrl,
+    model: config.model,
+    system,
+    prompt,
+    maxTokens,
+    temperature
+  });
+
+  // Create abort controller for timeout
+  const controller = new AbortController();
+  let timedOut = false;
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, Math.max(timeoutMs, provider.timeoutMs || 0));
+  const onCancel = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    signal.addEventListener('abort', onCancel);
+  }
+
   try {
-    // Use GPT-3.5-turbo for speed (faster than GPT-4)
-    const model = 'gpt-3.5-turbo';
-    
-    // Create abort controller for timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 6000); // 6 second timeout
-    
-    try {
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({
-          model: model,
-          messages: [
-            {
-              role: 'system',
-              content: 'You are an expert prompt engineer. Your ONLY job is to return the optimized prompt text. Do NOT include explanations, meta-commentary, or any text other than the optimized prompt itself. Return ONLY the prompt.'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          max_tokens: 300, // Reduced for faster response
-          temperature: 0.3,
-          top_p: 0.9
-        }),
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-    
-      console.log(`OpenAI API response status:`, response.status);
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`OpenAI API error response:`, errorText);
-        throw new Error(`OpenAI API error: ${response.status} - ${errorText}`);
+    const response = await fetch(url, { ...init, signal: controller.signal }).catch(markNetworkFailure);
+    console.log(`${provider.label} API response status:`, response.status);
+
+    if (!response.ok) {
+      const errorText = await readProviderError(response);
+      console.error(`${provider.label} API error response:`, errorText);
+      throw providerHttpError(provider, response, errorText);
+    }
+
+    const data = await response.json();
+    const result = provider.parseChat(data);
+    if (!result.text) {
+      throw new Error(`Invalid response format from ${provider.label} API`);
+    }
+    return result;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw timedOut
+        ? Object.assign(new Error('Request timeout - API took too long to respond'), { timedOut: true })
+        : llmCancelledError();
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    if (signal) signal.removeEventListener('abort', onCancel);
+  }
+}
+
+// Like callLLM(), but reads the reply as it's generated, calling
+// onText(textSoFar) after each piece. `timeoutMs` is how long the provider
+// may go quiet — before the first piece or between two — rather than a
+// limit on the whole reply, so a slow model that keeps writing isn't cut
+// off. `signal` aborts it (the panel's Cancel, or the tab going away).
+// A server that ignores `stream` and answers with one JSON body still works.
+async function streamLLM(config, { system, prompt, maxTokens, temperature, timeoutMs = 6000, signal, onText }) {
+  const provider = LLM_PROVIDERS[config.id];
+  console.log(`Streaming from ${provider.label} API (${config.model}) with prompt:`, prompt.substring(0, 100) + '...');
+
+  const { url, init } = provider.chatRequest({
+    apiKey: config.apiKey,
+    baseUrl: config.baseUrl,
+    model: config.model,
+    system,
+    prompt,
+    maxTokens,
+    temperature,
+    stream: true
+  });
+
+  const controller = new AbortController();
+  let timedOut = false;
+  let timeoutId = null;
+  const idleMs = Math.max(timeoutMs, provider.timeoutMs || 0);
+  const resetIdle = () => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, idleMs);
+  };
+  const onCancel = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    signal.addEventListener('abort', onCancel);
+  }
+  resetIdle();
+
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal }).catch(markNetworkFailure);
+    console.log(`${provider.label} API response status:`, response.status);
+
+    if (!response.ok) {
+      const errorText = await readProviderError(response);
+      console.error(`${provider.label} API error response:`, errorText);
+      throw providerHttpError(provider, response, errorText);
+    }
+
+    if (!response.body || /application\/json/.test(response.headers.get('content-type') || '')) {
+      const result = provider.parseChat(await response.json());
+      if (!result.text) {
+        throw new Error(`Invalid response format from ${provider.label} API`);
       }
-      
-      const data = await response.json();
-      console.log(`OpenAI API response data:`, data);
-      
-      if (data.choices && data.choices[0] && data.choices[0].message) {
-        let optimizedPrompt = data.choices[0].message.content.trim();
-        
-        // Clean up the response - remove any meta-commentary or explanations
-        optimizedPrompt = optimizedPrompt
-          .replace(/^(Here's|Here is|This is|The optimized prompt is|Optimized prompt:|Optimized version:)\s*/i, '')
-          .replace(/^["']|["']$/g, '') // Remove surrounding quotes
-          .trim();
-        
-        // If the response still looks like it contains explanations, try to extract just the prompt
-        if (optimizedPrompt.includes('ORIGINAL PROMPT:') || optimizedPrompt.includes('Optimized:')) {
-          const promptMatch = optimizedPrompt.match(/(?:Optimized|Optimized prompt|Here's the optimized prompt)[:\s]*(.+)/is);
-          if (promptMatch) {
-            optimizedPrompt = promptMatch[1].trim();
-          }
-        }
-        
-        console.log(`OpenAI optimized prompt:`, optimizedPrompt);
-        return optimizedPrompt;
-      } else {
-        throw new Error('Invalid response format from OpenAI API');
+      onText(result.text);
+      return result;
+    }
+
+    let text = '';
+    let usage = null;
+    // One line of the stream: an SSE "data:" field or a bare JSON line.
+    // Event names, comments and blank separators carry nothing needed here.
+    const handleLine = (line) => {
+      const payload = line.startsWith('data:') ? line.slice(5).trim() : line.trim();
+      if (!payload.startsWith('{')) return;
+      const event = provider.parseStreamEvent(JSON.parse(payload));
+      if (event.usage) {
+        usage = {
+          promptTokens: Math.max(event.usage.promptTokens, usage ? usage.promptTokens : 0),
+          completionTokens: Math.max(event.usage.completionTokens, usage ? usage.completionTokens : 0)
+        };
       }
-    } catch (error) {
-      clearTimeout(timeoutId);
-      if (error.name === 'AbortError') {
-        throw new Error('Request timeout - API took too long to respond');
+      if (event.text) {
+        text += event.text;
+        onText(text);
       }
-      throw error;
+    };
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+      const { done, value } = await reader.read().catch(markNetworkFailure);
+      if (done) break;
+      resetIdle();
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffer + decoder.decode());
+
+    if (!text.trim()) {
+      throw new Error(`Invalid response format from ${provider.label} API`);
     }
+    return { text: text.trim(), usage };
   } catch (error) {
-    console.error('OpenAI API call failed:', error);
+    if (error.name === 'AbortError') {
+      throw timedOut
+        ? Object.assign(new Error('Request timeout - API stopped responding'), { timedOut: true })
+        : llmCancelledError();
+    }
     throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    if (signal) signal.removeEventListener('abort', onCancel);
   }
 }
 
-// Call Claude API
-async function callClaude(prompt, apiKey) {
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': apiKey,
-      'anthropic-version': '2023-06-01'
-    },
-    body: JSON.stringify({
-      model: 'claude-3-sonnet-20240229',
-      max_tokens: 200,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ]
-    })
+// fetch() (or a streamed body) rejecting, rather than answering with an
+// error status, means the connection failed: tagged `network` so the
+// scheduler retries it, unlike a bug that happens to throw a TypeError.
+// Aborts are left to the caller's timeout and cancel handling.
+function markNetworkFailure(error) {
+  if (error && error.name !== 'AbortError') error.network = true;
+  throw error;
+}
+
+// An HTTP failure, with what the scheduler needs to decide on a retry:
+// the status and how long the provider asked us to wait, if it did.
+function providerHttpError(provider, response, errorText) {
+  return Object.assign(new Error(`${provider.label} API error: ${response.status} - ${errorText}`), {
+    status: response.status,
+    retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
   });
-  
-  if (!response.ok) {
-    throw new Error(`Claude API error: ${response.status}`);
+}
+
+// Providers nest their error message differently (error.message,
+// error.status, a bare string); fall back to the raw body when it isn't JSON.
+async function readProviderError(response) {
+  const text = await response.text();
+  try {
+    const data = JSON.parse(text);
+    const error = data.error || data;
+    return (typeof error === 'string' ? error : error.message) || text;
+  } catch (parseError) {
+    return text;
   }
-  
-  const data = await response.json();
-  return data.content[0].text.trim();
 }
 
-// Test API key
-async function testApiKey(apiKey) {
+// Models sometimes wrap the prompt in a preamble or quotes despite being
+// told not to.
+function cleanOptimizedPrompt(text) {
+  let optimizedPrompt = text
+    .replace(/^(Here's|Here is|This is|The optimized prompt is|Optimized prompt:|Optimized version:)\s*/i, '')
+    .replace(/^["']|["']$/g, '') // Remove surrounding quotes
+    .trim();
+
+  // If the response still looks like it contains explanations, try to extract just the prompt
+  if (optimizedPrompt.includes('ORIGINAL PROMPT:') || optimizedPrompt.includes('Optimized:')) {
+    const promptMatch = optimizedPrompt.match(/(?:Optimized|Optimized prompt|Here's the optimized prompt)[:\s]*(.+)/is);
+    if (promptMatch) {
+      optimizedPrompt = promptMatch[1].trim();
+    }
+  }
+  return optimizedPrompt;
+}
+
+// Test an API key (or, for key-less servers, just the connection) against
+// the given provider — defaulting to whichever one is selected in Settings.
+async function testApiKey(apiKey, providerId, baseUrl) {
   try {
-    console.log('Testing API key...');
-    
-    if (!apiKey || !apiKey.startsWith('sk-')) {
-      return { success: false, error: 'Invalid API key format' };
+    const id = LLM_PROVIDERS[providerId] ? providerId : (await getProviderConfig()).id;
+    const provider = LLM_PROVIDERS[id];
+    const key = (apiKey || '').trim();
+    console.log(`Testing ${provider.label} API key...`);
+
+    if (provider.requiresKey && !key) {
+      return { success: false, error: 'Enter an API key' };
     }
-    
-    // Make a simple test call to OpenAI
-    const response = await fetch('https://api.openai.com/v1/models', {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`
-      }
-    });
-    
+    if (key && !provider.isValidKey(key)) {
+      return { success: false, error: `Invalid API key format — ${provider.keyFormat}` };
+    }
+    const serverUrl = normalizeBaseUrl(baseUrl || provider.defaultBaseUrl);
+    if (provider.requiresBaseUrl && !serverUrl) {
+      return { success: false, error: 'Enter the server\'s base URL' };
+    }
+
+    const { url, init } = provider.testRequest({ apiKey: key, baseUrl: serverUrl });
+    const response = await fetch(url, init);
+
     if (response.ok) {
       console.log('API key test successful');
       return { success: true };
-    } else {
-      const errorData = await response.json();
-      console.log('API key test failed:', errorData);
-      return { success: false, error: errorData.error?.message || 'API key validation failed' };
     }
+    const error = await readProviderError(response);
+    console.log('API key test failed:', error);
+    return { success: false, error: error || 'API key validation failed' };
   } catch (error) {
     console.error('API key test error:', error);
     return { success: false, error: 'Network error' };
@@ -353,106 +875,99 @@ async function testApiKey(apiKey) {
 // Enhanced optimization functions for better prompt quality
 
 // Generate AI-powered feedback for prompts
-async function generateAIFeedback(originalPrompt) {
+// `options.signal` and `options.onStatus` work as for optimizePromptWithLLM().
+async function generateAIFeedback(originalPrompt, analysis, options = {}) {
   try {
-    const result = await chrome.storage.local.get(['openai-api-key']);
-    const apiKey = result['openai-api-key'];
-    
-    // If no API key, return null to use rule-based feedback
-    if (!apiKey || !apiKey.startsWith('sk-')) {
+    const config = await getProviderConfig();
+
+    // If no provider is set up, return null to use rule-based feedback
+    if (!config.ready) {
       return { feedback: null, method: 'rule-based' };
     }
-    
+
+    // Cached with the tokens left in, like rewrites (see optimizePromptWithLLM)
+    const outbound = await redactForProvider(originalPrompt);
+    const cacheKey = await ResponseCache.keyFor('feedback', outbound.text, getResponseCacheScope(config, analysis));
+    const cached = await responseCache.get(cacheKey);
+    if (cached) {
+      return { ...cached, feedback: restoreFeedbackPii(cached.feedback, outbound.tokens), cached: true };
+    }
+
+    if ((await getBudgetStatus()).reached) {
+      return { feedback: null, method: 'budget-reached', notice: BUDGET_REACHED_NOTICE };
+    }
+
     // Create feedback prompt for LLM
-    const feedbackPrompt = createFeedbackPrompt(originalPrompt);
-    
-    // Call OpenAI API
-    const models = ['gpt-4-turbo-preview', 'gpt-4', 'gpt-3.5-turbo'];
-    let lastError = null;
-    
-    for (const model of models) {
-      try {
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-          },
-          body: JSON.stringify({
-            model: model,
-            messages: [
-              {
-                role: 'system',
-                content: 'You are an expert prompt engineer. Analyze prompts and provide specific, actionable feedback. Return ONLY a JSON array of feedback objects, no other text.'
-              },
-              {
-                role: 'user',
-                content: feedbackPrompt
-              }
-            ],
-            max_tokens: 500,
-            temperature: 0.3
-          })
-        });
-        
-        if (!response.ok) {
-          if (response.status === 404) {
-            lastError = new Error(`Model ${model} not available`);
-            continue;
-          }
-          throw new Error(`OpenAI API error: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        if (data.choices && data.choices[0] && data.choices[0].message) {
-          let feedbackText = data.choices[0].message.content.trim();
-          
-          // Clean up the response - remove markdown code blocks if present
-          feedbackText = feedbackText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-          
-          // Try to extract JSON array from the response
-          // Look for JSON array pattern: [...]
-          const jsonMatch = feedbackText.match(/\[[\s\S]*\]/);
-          if (jsonMatch) {
-            feedbackText = jsonMatch[0];
-          }
-          
-          try {
-            const feedback = JSON.parse(feedbackText);
-            // Validate it's an array
-            if (Array.isArray(feedback) && feedback.length > 0) {
-              // Validate each item has required fields
-              const validFeedback = feedback.filter(item => 
-                item && typeof item === 'object' && 
-                item.type && item.title && 
-                (item.suggestion || item.message)
-              );
-              if (validFeedback.length > 0) {
-                return { feedback: validFeedback, method: 'ai-powered' };
-              }
-            }
-            throw new Error('Invalid feedback format');
-          } catch (parseError) {
-            console.error('Failed to parse AI feedback:', parseError.message);
-            // Don't log the full error to avoid console spam
-            return { feedback: null, method: 'rule-based' };
-          }
+    recordOutboundPrompt(outbound);
+    const feedbackPrompt = createFeedbackPrompt(outbound.text);
+
+    let feedbackText;
+    try {
+      const request = {
+        system: 'You are an expert prompt engineer. Analyze prompts and provide specific, actionable feedback. Return ONLY a JSON array of feedback objects, no other text.',
+        prompt: feedbackPrompt,
+        maxTokens: 500,
+        temperature: 0.3,
+        timeoutMs: AI_FEEDBACK_TIMEOUT_MS
+      };
+      let usage;
+      ({ text: feedbackText, usage } = await scheduleLLM(config, () => callLLM(config, { ...request, signal: options.signal }), options));
+      recordUsage(config, 'feedback', request, feedbackText, usage);
+    } catch (error) {
+      console.log(`${config.label} feedback failed, using rule-based:`, error.message);
+      return { feedback: null, method: 'rule-based', notice: describeLLMFailure(config, error) };
+    }
+
+    // Clean up the response - remove markdown code blocks if present
+    feedbackText = feedbackText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+
+    // Try to extract JSON array from the response
+    // Look for JSON array pattern: [...]
+    const jsonMatch = feedbackText.match(/\[[\s\S]*\]/);
+    if (jsonMatch) {
+      feedbackText = jsonMatch[0];
+    }
+
+    try {
+      const feedback = JSON.parse(feedbackText);
+      // Validate it's an array
+      if (Array.isArray(feedback) && feedback.length > 0) {
+        // Validate each item has required fields
+        const validFeedback = feedback.filter(item =>
+          item && typeof item === 'object' &&
+          item.type && item.title &&
+          (item.suggestion || item.message)
+        );
+        if (validFeedback.length > 0) {
+          const reply = { feedback: validFeedback, method: 'ai-powered', provider: config.id };
+          await responseCache.set(cacheKey, reply);
+          return { ...reply, feedback: restoreFeedbackPii(validFeedback, outbound.tokens) };
         }
-      } catch (error) {
-        console.log(`Failed with model ${model}, trying next...`, error.message);
-        lastError = error;
-        continue;
       }
+      throw new Error('Invalid feedback format');
+    } catch (parseError) {
+      console.error('Failed to parse AI feedback:', parseError.message);
+      // Don't log the full error to avoid console spam
+      return { feedback: null, method: 'rule-based' };
     }
-    
-    // If all models failed, return null to use rule-based
-    return { feedback: null, method: 'rule-based' };
   } catch (error) {
     console.error('AI feedback generation failed:', error);
     return { feedback: null, method: 'rule-based' };
   }
 }
 
+// Suggestions quote the prompt back, tokens and all. Copies, so the
+// tokenized items can go in the cache as they are.
+function restoreFeedbackPii(feedback, tokens) {
+  return feedback.map(item => {
+    const restored = { ...item };
+    ['title', 'message', 'suggestion'].forEach(field => {
+      restored[field] = restorePii(item[field], tokens);
+    });
+    return restored;
+  });
+}
+
 // Create feedback prompt for LLM
 function createFeedbackPrompt(originalPrompt) {
   return `Analyze this prompt and provide specific, actionable feedback on how to improve it.
@@ -255,6 +255,160 @@ class PromptTracerCharts {
     container.appendChild(svg);
   }
 
+  // Scatter plot of prompt score (x, 0–100) against an outcome (y, from
+  // options.yMin to options.yMax), with the least-squares trend line when
+  // there are enough points to draw one
+  createCorrelationChart(containerId, points, options = {}) {
+    const container = document.getElementById(containerId);
+    if (!container || !points || points.length === 0) {
+      container.innerHTML = '<div style="text-align: center; color: var(--text-secondary); padding: 30px; font-size: 13px;">Rate a few answers to see this chart</div>';
+      return;
+    }
+
+    const { yMin = 0, yMax = 100, yLabel = '' } = options;
+    const width = 300;
+    const height = 160;
+    const margin = { top: 15, right: 15, bottom: 30, left: 35 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const toX = (x) => margin.left + (x / 100) * plotWidth;
+    const toY = (y) => height - margin.bottom - ((y - yMin) / (yMax - yMin)) * plotHeight;
+
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+
+    [[margin.left, margin.top, margin.left, height - margin.bottom],
+     [margin.left, height - margin.bottom, width - margin.right, height - margin.bottom]].forEach(([x1, y1, x2, y2]) => {
+      const axis = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      axis.setAttribute('x1', x1);
+      axis.setAttribute('y1', y1);
+      axis.setAttribute('x2', x2);
+      axis.setAttribute('y2', y2);
+      axis.style.stroke = 'var(--border)';
+      axis.setAttribute('stroke-width', '1');
+      svg.appendChild(axis);
+    });
+
+    const addLabel = (x, y, text, anchor) => {
+      const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      label.setAttribute('x', x);
+      label.setAttribute('y', y);
+      label.setAttribute('text-anchor', anchor);
+      label.setAttribute('font-size', '10');
+      label.style.fill = 'var(--text-secondary)';
+      label.textContent = text;
+      svg.appendChild(label);
+    };
+    [yMin, yMax].forEach(y => addLabel(margin.left - 6, toY(y) + 4, y, 'end'));
+    [0, 50, 100].forEach(x => addLabel(toX(x), height - margin.bottom + 14, x, 'middle'));
+    addLabel(margin.left + plotWidth / 2, height - 2, `Prompt score → ${yLabel}`.trim(), 'middle');
+
+    // Least-squares fit, drawn across the range of scores actually seen
+    const n = points.length;
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+    const spreadX = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+    if (n >= 3 && spreadX > 0) {
+      const slope = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0) / spreadX;
+      const minX = Math.min(...points.map(p => p.x));
+      const maxX = Math.max(...points.map(p => p.x));
+      const clampY = (y) => Math.max(yMin, Math.min(yMax, y));
+      const trend = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      trend.setAttribute('x1', toX(minX));
+      trend.setAttribute('y1', toY(clampY(meanY + slope * (minX - meanX))));
+      trend.setAttribute('x2', toX(maxX));
+      trend.setAttribute('y2', toY(clampY(meanY + slope * (maxX - meanX))));
+      trend.setAttribute('stroke', this.colors.warning);
+      trend.setAttribute('stroke-width', '2');
+      trend.setAttribute('stroke-dasharray', '4 3');
+      svg.appendChild(trend);
+    }
+
+    points.forEach(point => {
+      const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+      circle.setAttribute('cx', toX(point.x));
+      circle.setAttribute('cy', toY(point.y));
+      circle.setAttribute('r', '4');
+      circle.setAttribute('fill', this.colors.primary);
+      circle.setAttribute('fill-opacity', '0.6');
+      const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+      title.textContent = `Score ${point.x} · ${yLabel} ${point.y}`;
+      circle.appendChild(title);
+      svg.appendChild(circle);
+    });
+
+    container.innerHTML = '';
+    container.appendChild(svg);
+  }
+
+  // Bar per day of AI provider spend (days: [{ day: 'YYYY-MM-DD', cost }],
+  // oldest first), with the tallest day marked on the y axis
+  createSpendChart(containerId, days) {
+    const container = document.getElementById(containerId);
+    if (!container || !days || !days.some(d => d.cost > 0)) {
+      container.innerHTML = '<div style="text-align: center; color: var(--text-secondary); padding: 30px; font-size: 13px;">No API spend in the last 30 days</div>';
+      return;
+    }
+
+    const width = 300;
+    const height = 150;
+    const margin = { top: 15, right: 10, bottom: 25, left: 45 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const maxCost = Math.max(...days.map(d => d.cost));
+    const slot = plotWidth / days.length;
+    const formatCost = (cost) => cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+
+    const axis = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+    axis.setAttribute('x1', margin.left);
+    axis.setAttribute('y1', height - margin.bottom);
+    axis.setAttribute('x2', width - margin.right);
+    axis.setAttribute('y2', height - margin.bottom);
+    axis.style.stroke = 'var(--border)';
+    axis.setAttribute('stroke-width', '1');
+    svg.appendChild(axis);
+
+    const addLabel = (x, y, text, anchor) => {
+      const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      label.setAttribute('x', x);
+      label.setAttribute('y', y);
+      label.setAttribute('text-anchor', anchor);
+      label.setAttribute('font-size', '10');
+      label.style.fill = 'var(--text-secondary)';
+      label.textContent = text;
+      svg.appendChild(label);
+    };
+    addLabel(margin.left - 6, margin.top + 4, formatCost(maxCost), 'end');
+    addLabel(margin.left - 6, height - margin.bottom, '$0', 'end');
+    addLabel(margin.left, height - margin.bottom + 14, days[0].day.slice(5), 'start');
+    addLabel(width - margin.right, height - margin.bottom + 14, days[days.length - 1].day.slice(5), 'end');
+
+    days.forEach((d, i) => {
+      if (d.cost <= 0) return;
+      // At least a sliver, so a day with a fraction of a cent still shows
+      const barHeight = Math.max(2, (d.cost / maxCost) * plotHeight);
+      const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      rect.setAttribute('x', margin.left + i * slot + 1);
+      rect.setAttribute('y', height - margin.bottom - barHeight);
+      rect.setAttribute('width', Math.max(1, slot - 2));
+      rect.setAttribute('height', barHeight);
+      rect.setAttribute('fill', this.colors.primary);
+      rect.setAttribute('rx', '2');
+      const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+      title.textContent = `${d.day}: ${formatCost(d.cost)}`;
+      rect.appendChild(title);
+      svg.appendChild(rect);
+    });
+
+    container.innerHTML = '';
+    container.appendChild(svg);
+  }
+
   // Helper methods
   createArcPath(centerX, centerY, radius, startAngle, endAngle) {
     const start = this.polarToCartesian(centerX, centerY, radius, endAngle);
@@ -0,0 +1,595 @@
+/**
+ * Check registry for PromptOptimizer
+ *
+ * Loaded as a plain script ahead of content.js (same reason the classes in
+ * content.js are inlined: no ES6 modules in content scripts), so everything
+ * here is a global shared with it.
+ */
+
+// Action verbs that signal a concrete task.
+const PROMPT_ACTION_WORDS = [
+  'write', 'create', 'explain', 'analyze', 'compare', 'evaluate', 'build',
+  'design', 'make', 'generate', 'summarize', 'list', 'outline', 'plan',
+  'improve', 'fix', 'debug', 'review', 'translate', 'develop', 'draft',
+  'describe', 'show', 'demonstrate', 'illustrate'
+];
+
+// Naming a well-known deliverable or genre — "a recipe", "a haiku", "an
+// itinerary", "interview questions" — is itself a clear, bounded request:
+// there's nothing left for the LLM to guess at, whether or not the
+// sentence also has an explicit verb. Shared by clear_action (recognizing
+// the request) and the ambiguity check (recognizing the scope is bounded)
+// so the two can't quietly disagree about the same prompt.
+const PROMPT_BOUNDED_TOPIC_WORDS = [
+  'recipe', 'template', 'example', 'itinerary', 'questions', 'substitute',
+  'alternative', 'checklist', 'workout', 'haiku', 'poem', 'sonnet',
+  'limerick', 'tweet', 'post', 'email', 'essay', 'story', 'script',
+  'tagline', 'slogan', 'joke', 'riddle', 'resume', 'memo', 'letter'
+];
+
+// Noun-phrase requests like "pros and cons of X" or "summary of X" carry
+// just as clear an implied action as an explicit verb — the analysis type
+// is named directly. Also used by isAmbiguous(), for the same reason.
+const ANALYTICAL_NOUN_PHRASE = /^(summary|overview|pros and cons|advantages and disadvantages|comparison|difference between|differences between|analysis|review|history|breakdown|top\s+\d+)\b/i;
+
+// Everything a detector gets to look at. Built once per runChecks() call so
+// each check isn't re-splitting the same text. `lexicon` is the prompt
+// language's word lists (prompt-languages.js), or null for English.
+function buildCheckContext(text) {
+  const trimmed = (text || '').trim();
+  const language = detectPromptLanguage(trimmed);
+  return {
+    text: trimmed,
+    lower: trimmed.toLowerCase(),
+    words: splitPromptWords(trimmed, language),
+    paragraphs: trimmed.split('\n\n').filter(p => p.trim().length > 0),
+    language,
+    lexicon: getPromptLexicon(language)
+  };
+}
+
+// The five built-in checks. Each one is self-contained: its detector, the
+// short name the rubric editor shows, the checklist label for either
+// outcome, the feedback card it produces when it fails, and the sentence
+// reinforceFailedChecks() appends to fix it.
+const DEFAULT_PROMPT_CHECKS = [
+  {
+    id: 'substance',
+    name: 'Enough detail',
+    weight: 20,
+    icon: '📝',
+    title: 'Too Short',
+    severity: 'error',
+    passLabel: 'Enough detail to work with',
+    failLabel: 'Too short — add more detail about what you want',
+    reinforce: null,
+    detect: ({ words }) => words.length >= 8
+  },
+  {
+    id: 'clear_action',
+    name: 'Clear action',
+    weight: 20,
+    icon: '🎯',
+    title: 'Unclear Intent',
+    severity: 'warning',
+    passLabel: 'Clear action requested',
+    failLabel: 'No clear task or action — start with a verb like "explain" or "create"',
+    reinforce: null,
+    detect: ({ text, lower, lexicon }) => {
+      const hasActionWord = PROMPT_ACTION_WORDS.some(w => lower.includes(w));
+      // A plain "what is X" / "how does X work" is a complete, well-formed
+      // question even without a terminal "?" — people routinely drop it when
+      // typing fast into a chat box. Recognizing the WH-structure itself
+      // avoids penalizing a perfectly clear question for missing punctuation.
+      // "Best time to visit X" / "best way to do X" is an implicit question
+      // (functionally "when/how should I...") even without a WH-word.
+      const hasWhQuestion = /^(what|how|why|when|where|who|which|best)\b/i.test(text);
+      const hasAnalyticalNounPhrase = ANALYTICAL_NOUN_PHRASE.test(text);
+      // "Give me X" / "come up with X" are two of the most common ways people
+      // actually phrase a request in a chat box — as clear an ask as any verb
+      // in PROMPT_ACTION_WORDS, just idiomatic rather than a single verb.
+      const hasCommonRequestPhrase = lower.includes('give me') || lower.includes('come up with');
+      // Naming a well-known deliverable ("recipe for X", "template for X",
+      // "itinerary for X") is itself the request — no separate verb needed.
+      const hasBoundedTopicWord = PROMPT_BOUNDED_TOPIC_WORDS.some(w => lower.includes(w));
+      // The same signals in the prompt's own language, if it isn't English
+      const hasLocalRequest = lexicon !== null && (
+        lexiconMatches(lexicon, 'actionWords', lower)
+        || lexiconMatches(lexicon, 'requestPhrases', lower)
+        || lexiconMatches(lexicon, 'questionWords', lower, { atStart: !lexicon.questionAnywhere })
+        || lexiconMatches(lexicon, 'analyticalPhrases', lower, { atStart: true })
+        || lexiconMatches(lexicon, 'boundedTopicWords', lower));
+      return hasActionWord || /[?？]/.test(text) || hasWhQuestion || hasAnalyticalNounPhrase
+        || hasCommonRequestPhrase || hasBoundedTopicWord || hasLocalRequest
+        || lower.includes('please') || lower.includes('can you') || lower.includes('could you')
+        || lower.includes('help me') || lower.startsWith('help ');
+    }
+  },
+  {
+    id: 'specific_details',
+    name: 'Specific details',
+    weight: 20,
+    icon: '📊',
+    title: 'Too Vague',
+    severity: 'warning',
+    passLabel: 'Includes specific details',
+    failLabel: 'No specific details — mention concrete names, numbers, or examples',
+    reinforce: 'Be concrete and specific — use real details, not placeholders.',
+    // \p{Nd} so full-width and Devanagari digits count as numbers too
+    detect: ({ text, lower, lexicon }) => /\p{Nd}/u.test(text) || /[A-Z][a-z]+/.test(text)
+      || /\b(specific|detailed|concrete|particular|exact)\b/i.test(text)
+      || lexiconMatches(lexicon, 'specificWords', lower)
+  },
+  {
+    id: 'audience_or_context',
+    name: 'Audience or context',
+    weight: 20,
+    icon: '🌍',
+    title: 'Missing Context',
+    severity: 'warning',
+    passLabel: 'Audience or context given',
+    failLabel: 'No audience or context — say who this is for and why',
+    // Deliberately not "assume a non-expert audience" — that default
+    // actively hurts clearly technical asks (e.g. a React/SQL question),
+    // pushing the LLM to over-explain basics to someone who obviously
+    // already knows them. Ask it to match the depth the question already
+    // implies instead of forcing a novice-level default either way.
+    reinforce: "Match the response's depth to what the question already implies (e.g. keep it at a developer level if it uses technical terms) — state who it's for if that's genuinely unclear.",
+    detect: ({ lower, lexicon }) => /\b(beginner|expert|professional|student|for a|for someone|goal|objective|purpose|so that|in order to)\b/i.test(lower)
+      || lower.includes(' for ') || lower.includes(' about ')
+      || lexiconMatches(lexicon, 'audienceWords', lower)
+  },
+  {
+    id: 'structure_or_format',
+    name: 'Structure or format',
+    weight: 20,
+    icon: '📋',
+    title: 'Could Be Better Organized',
+    severity: 'warning',
+    passLabel: 'Structured or asks for a specific format',
+    failLabel: 'No structure or format requested — ask for bullet points, sections, or an example',
+    reinforce: 'Structure the response with clear sections or bullet points, and include at least one concrete example.',
+    detect: ({ text, lower, paragraphs, lexicon }) => {
+      const hasFormatting = paragraphs.length > 1 || text.includes('\n')
+        || /(^|\n)\s*[-•・]/.test(text) || /(^|\n)\s*\d+[.)]/.test(text);
+      return hasFormatting || /\b(format|list|steps|bullet|section|example|instance)\b/i.test(lower)
+        || lexiconMatches(lexicon, 'formatWords', lower);
+    }
+  }
+];
+
+// Registered checks keyed by id, in registration order. Disabling or
+// re-weighting a check never removes it, so it can be switched back on
+// without re-registering; resolve() is the one place that decides which
+// checks actually take part in a run.
+class PromptCheckRegistry {
+  constructor(checks = DEFAULT_PROMPT_CHECKS) {
+    this.checks = new Map();
+    checks.forEach(check => this.register(check));
+  }
+
+  // Registering an id that already exists replaces that check in place, so
+  // a domain check can override a built-in one without reordering the list.
+  register(check) {
+    if (!check || !check.id || typeof check.detect !== 'function') {
+      throw new Error('A prompt check needs an id and a detect() function');
+    }
+    this.checks.set(check.id, {
+      enabled: true,
+      weight: 20,
+      icon: '💡',
+      name: check.id,
+      title: check.failLabel || check.id,
+      severity: 'warning',
+      reinforce: null,
+      ...check
+    });
+    return this;
+  }
+
+  unregister(id) {
+    this.checks.delete(id);
+    return this;
+  }
+
+  update(id, changes) {
+    const check = this.checks.get(id);
+    if (check) {
+      this.checks.set(id, { ...check, ...changes });
+    }
+    return this;
+  }
+
+  enable(id) {
+    return this.update(id, { enabled: true });
+  }
+
+  disable(id) {
+    return this.update(id, { enabled: false });
+  }
+
+  setWeight(id, weight) {
+    return this.update(id, { weight: Math.max(0, Number(weight) || 0) });
+  }
+
+  get(id) {
+    return this.checks.get(id) || null;
+  }
+
+  resolve() {
+    return [...this.checks.values()].filter(check => check.enabled && check.weight > 0);
+  }
+
+  // One result per resolved check, in the plain { id, weight, ok, label,
+  // reinforce } shape the rest of the extension already reads — plus the
+  // feedback card fields, so generateRealTimeFeedback() doesn't need its own
+  // per-id lookup tables. A detector that throws counts as failing rather
+  // than taking the whole analysis down with it.
+  run(text) {
+    const context = buildCheckContext(text);
+    return this.resolve().map(check => {
+      let ok = false;
+      try {
+        ok = Boolean(check.detect(context));
+      } catch (error) {
+        console.error(`Prompt Tracer: check "${check.id}" failed:`, error);
+      }
+      return {
+        id: check.id,
+        name: check.name,
+        weight: check.weight,
+        ok,
+        label: ok ? check.passLabel : check.failLabel,
+        reinforce: check.reinforce || null,
+        icon: check.icon,
+        title: check.title,
+        severity: check.severity
+      };
+    });
+  }
+
+  clone() {
+    return new PromptCheckRegistry([...this.checks.values()]);
+  }
+
+  // Builds a registry from the defaults plus a stored rubric's overrides and
+  // extra checks. A custom check whose detector no longer compiles is left
+  // out (and logged) instead of failing the whole rubric.
+  static fromRubric(rubric) {
+    const registry = new PromptCheckRegistry();
+    ((rubric && rubric.checks) || []).forEach(check => {
+      const changes = { enabled: check.enabled !== false };
+      if (typeof check.weight === 'number') changes.weight = check.weight;
+      if (check.reinforce) changes.reinforce = check.reinforce;
+
+      if (registry.get(check.id)) {
+        registry.update(check.id, changes);
+        return;
+      }
+
+      let detect;
+      try {
+        detect = compileRubricDetector(check.detector);
+      } catch (error) {
+        console.warn(`Prompt Tracer: skipping rubric check "${check.name || check.id}":`, error.message);
+        return;
+      }
+      registry.register({
+        id: check.id,
+        name: check.name,
+        icon: '🧩',
+        title: check.name,
+        passLabel: check.name,
+        failLabel: `Missing: ${check.name}`,
+        reinforce: null,
+        detect,
+        ...changes
+      });
+    });
+    return registry;
+  }
+}
+
+// Weights are relative, not points: the score is the passed share of the
+// total resolved weight, so re-weighting or adding checks never pushes it
+// past 100. With the five defaults at 20 each this is the same plain sum it
+// always was.
+function scorePromptChecks(checks) {
+  const total = checks.reduce((sum, c) => sum + c.weight, 0);
+  if (total <= 0) return 0;
+  const passed = checks.reduce((sum, c) => sum + (c.ok ? c.weight : 0), 0);
+  return Math.round((passed / total) * 100);
+}
+
+// Quality tier for a 0–100 score. Shared so the panel, the history store's
+// filters and the popup all draw the tier lines in the same place.
+function determineQualityTier(score) {
+  const percentage = Math.max(0, Math.min(100, score));
+  if (percentage < 30) return 'basic';
+  if (percentage < 50) return 'developing';
+  if (percentage < 70) return 'good';
+  if (percentage < 85) return 'excellent';
+  return 'masterful';
+}
+
+// A rubric is the stored, user-editable form of a registry: which checks
+// are on, their weights, their reinforce sentences, and any extra checks
+// defined by a regex or keyword list. The built-in default is never stored;
+// every other rubric lives in chrome.storage under 'customRubrics', and its
+// version is bumped on each save so history entries can say exactly which
+// revision produced their score.
+const DEFAULT_RUBRIC = { id: 'default', name: 'Default', version: 1, checks: [] };
+
+// Turns a rubric check's { type, value } detector into a detect() function.
+// Throws on an invalid regex so the editor can refuse to save it, rather
+// than a broken pattern silently failing every prompt later.
+function compileRubricDetector(detector) {
+  const value = ((detector && detector.value) || '').trim();
+  if (!value) {
+    throw new Error('Detector is empty');
+  }
+  if (detector.type === 'regex') {
+    const regex = new RegExp(value, 'i');
+    return ({ text }) => regex.test(text);
+  }
+  const keywords = value.split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+  return ({ lower }) => keywords.some(k => lower.includes(k));
+}
+
+// Scales the enabled checks' weights so they add up to exactly 100,
+// handing out rounding leftovers to the largest remainders. Disabled checks
+// keep whatever weight they had so re-enabling one restores it.
+function normalizeRubricWeights(checks) {
+  const enabled = checks.filter(c => c.enabled && c.weight > 0);
+  const total = enabled.reduce((sum, c) => sum + c.weight, 0);
+  if (total <= 0) return checks.map(c => ({ ...c }));
+
+  const scaled = enabled.map(c => ({ id: c.id, exact: (c.weight / total) * 100 }));
+  scaled.forEach(s => { s.weight = Math.floor(s.exact); });
+  let leftover = 100 - scaled.reduce((sum, s) => sum + s.weight, 0);
+  [...scaled]
+    .sort((a, b) => (b.exact - b.weight) - (a.exact - a.weight))
+    .forEach(s => {
+      if (leftover > 0) {
+        s.weight += 1;
+        leftover -= 1;
+      }
+    });
+
+  const byId = Object.fromEntries(scaled.map(s => [s.id, s.weight]));
+  return checks.map(c => (c.id in byId ? { ...c, weight: byId[c.id] } : { ...c }));
+}
+
+// The rubric currently selected in Settings, falling back to the built-in
+// default when nothing is selected or the selected one has been deleted.
+function resolveActiveRubric(customRubrics, activeRubricId) {
+  const match = (customRubrics || []).find(r => r.id === activeRubricId);
+  return match || DEFAULT_RUBRIC;
+}
+
+// Built-in domain packs. A pack doesn't replace the active rubric — its
+// checks are layered on top of it for prompts in that domain, so "fix my
+// React hook" gets asked for a version and an error message while "write a
+// wedding toast" gets asked for tone and length instead. `signals` decides
+// which pack a prompt belongs to (see detectPromptDomain()).
+const RUBRIC_PACKS = [
+  {
+    id: 'general',
+    name: 'General',
+    icon: '✨',
+    signals: [],
+    checks: []
+  },
+  {
+    id: 'coding',
+    name: 'Coding',
+    icon: '💻',
+    signals: [
+      'code', 'function', 'bug', 'error', 'exception', 'compile', 'debug', 'stack trace',
+      'react', 'hook', 'python', 'javascript', 'typescript', 'java', 'rust', 'golang',
+      'sql', 'api', 'css', 'html', 'npm', 'component', 'class', 'script', 'regex', 'git'
+    ],
+    checks: [
+      {
+        id: 'coding_language',
+        name: 'Language or version',
+        weight: 15,
+        icon: '🔤',
+        title: 'Which Language or Version?',
+        passLabel: 'Names the language, framework, or version',
+        failLabel: 'No language or version — say e.g. "Python 3.12" or "React 18"',
+        reinforce: 'State which language, framework and version (e.g. Python 3.12) the answer assumes before giving code.',
+        detect: ({ lower }) => /\b(python|javascript|typescript|java|kotlin|swift|rust|golang|c\+\+|c#|ruby|php|sql|bash|react|vue|angular|svelte|node|django|flask|rails|spring|next\.?js)\b/.test(lower)
+          // "Go" only where it's clearly the language — "go through this"
+          // and "let's go" are ordinary English
+          || /\b(in|using|with|written in) go\b|\bgo \d|\w\.go\b/.test(lower)
+          || /\bv?\d+(\.\d+)+\b/.test(lower)
+      },
+      {
+        id: 'coding_error',
+        name: 'Error message',
+        weight: 15,
+        icon: '🧯',
+        title: 'Include the Error',
+        passLabel: 'Includes the error message or code',
+        failLabel: 'No error message or code — paste the exact error or the snippet involved',
+        reinforce: 'If anything in the answer depends on the exact error message or code, say what is missing instead of guessing.',
+        // A pasted snippet or traceback counts just as much as the word
+        // "error" — either way the model has the real failure to work from.
+        detect: ({ text, lower }) => /```|`[^`]+`/.test(text)
+          || /\b(error|exception|traceback|stack trace|warning|fails? with|throws?|undefined is not|cannot read)\b/.test(lower)
+          || /\b[A-Z][a-zA-Z]*(Error|Exception)\b/.test(text)
+      },
+      {
+        id: 'coding_expected_actual',
+        name: 'Expected vs actual',
+        weight: 15,
+        icon: '⚖️',
+        title: 'Expected vs. Actual',
+        passLabel: 'Says what should happen and what happens instead',
+        failLabel: 'No expected vs. actual behavior — say what should happen and what happens instead',
+        reinforce: 'Explain the expected behavior, how it differs from what the code actually does, and why.',
+        detect: ({ lower }) => /\b(expected|expect|should|supposed to|instead|actually|but (it|i get|i got|nothing)|works? (when|if|until)|doesn't|does not|isn't|is not)\b/.test(lower)
+      }
+    ]
+  },
+  {
+    id: 'writing',
+    name: 'Writing',
+    icon: '✍️',
+    signals: [
+      'write', 'essay', 'story', 'poem', 'toast', 'speech', 'letter', 'email', 'blog',
+      'article', 'caption', 'copy', 'tone', 'draft', 'rewrite', 'proofread', 'bio',
+      'cover letter', 'wedding', 'newsletter', 'headline'
+    ],
+    checks: [
+      {
+        id: 'writing_tone',
+        name: 'Tone',
+        weight: 15,
+        icon: '🎭',
+        title: 'What Tone?',
+        passLabel: 'Sets the tone or voice',
+        failLabel: 'No tone — say e.g. "warm and funny" or "formal"',
+        reinforce: 'Keep the tone consistent and suited to the occasion, and say which tone you chose.',
+        detect: ({ lower }) => /\b(tone|voice|formal|informal|casual|friendly|funny|humorous|witty|serious|warm|heartfelt|professional|playful|persuasive|sincere|upbeat|conversational)\b/.test(lower)
+      },
+      {
+        id: 'writing_length',
+        name: 'Length',
+        weight: 15,
+        icon: '📏',
+        title: 'How Long?',
+        passLabel: 'Gives a target length',
+        failLabel: 'No length — say e.g. "about 200 words" or "a 2-minute speech"',
+        reinforce: 'Keep it concise — no longer than the format needs.',
+        detect: ({ lower }) => /\b\d+\s*(-\s*\d+\s*)?(words?|sentences?|paragraphs?|pages?|lines?|minutes?|characters?)\b/.test(lower)
+          || /\b(short|brief|concise|long|one[- ]page|one[- ]paragraph|a few sentences|tweet-length)\b/.test(lower)
+      },
+      {
+        id: 'writing_audience',
+        name: 'Reader',
+        weight: 15,
+        icon: '👥',
+        title: 'Who Will Read It?',
+        passLabel: 'Says who will read or hear it',
+        failLabel: 'No reader named — say who this is for, e.g. "wedding guests" or "hiring managers"',
+        reinforce: 'Write it for the specific readers or listeners it is meant for.',
+        detect: ({ lower }) => /\b(for (my|our|a|an|the)|audience|readers?|guests?|customers?|clients?|colleagues?|team|manager|recruiters?|hiring|kids|children|students|friends|family|followers)\b/.test(lower)
+      }
+    ]
+  },
+  {
+    id: 'data_analysis',
+    name: 'Data analysis',
+    icon: '📈',
+    signals: [
+      'data', 'dataset', 'csv', 'excel', 'spreadsheet', 'pandas', 'dataframe', 'chart',
+      'graph', 'plot', 'regression', 'statistic', 'average', 'median', 'correlation',
+      'column', 'rows', 'pivot', 'dashboard', 'metric', 'trend', 'forecast'
+    ],
+    checks: [
+      {
+        id: 'data_shape',
+        name: 'Data description',
+        weight: 15,
+        icon: '🗂️',
+        title: 'Describe the Data',
+        passLabel: 'Describes the data (columns, size, or source)',
+        failLabel: 'No description of the data — list the columns, rough size, or where it comes from',
+        reinforce: 'State any assumptions made about the columns, data types and size of the data.',
+        detect: ({ lower }) => /\b(columns?|fields?|rows?|records?|schema|table|sheet|\d+\s*(k|m|thousand|million)?\s*(rows|records|entries))\b/.test(lower)
+      },
+      {
+        id: 'data_question',
+        name: 'Question to answer',
+        weight: 15,
+        icon: '❔',
+        title: 'What Should It Answer?',
+        passLabel: 'States the question the analysis should answer',
+        failLabel: 'No analysis question — say what you want to find out from the data',
+        reinforce: 'Start with the question the analysis answers — what does the data show? — then answer it directly.',
+        detect: ({ text, lower }) => text.includes('?')
+          || /\b(find out|figure out|determine|whether|which|why|compare|identify|predict|explain|correlat\w*|impact of|effect of|relationship between)\b/.test(lower)
+      },
+      {
+        id: 'data_output',
+        name: 'Output form',
+        weight: 15,
+        icon: '📊',
+        title: 'Table, Chart, or Code?',
+        passLabel: 'Says what form the result should take',
+        failLabel: 'No output form — ask for a table, a chart, a summary, or code',
+        reinforce: 'Present the results as a table or chart where it helps, and include the code used to produce them.',
+        detect: ({ lower }) => /\b(table|chart|graph|plot|visuali[sz]\w*|summary|report|code|formula|query|notebook|dashboard)\b/.test(lower)
+      }
+    ]
+  },
+  {
+    id: 'research',
+    name: 'Research',
+    icon: '🔬',
+    signals: [
+      'research', 'study', 'studies', 'paper', 'papers', 'literature', 'sources',
+      'citation', 'cite', 'evidence', 'peer-reviewed', 'journal', 'survey', 'meta-analysis',
+      'findings', 'scientific', 'review of'
+    ],
+    checks: [
+      {
+        id: 'research_scope',
+        name: 'Scope or timeframe',
+        weight: 15,
+        icon: '🧭',
+        title: 'Narrow the Scope',
+        passLabel: 'Sets a scope, field, or timeframe',
+        failLabel: 'No scope — limit it by field, region, population, or years',
+        reinforce: 'Say which field, population and time period the answer covers.',
+        detect: ({ lower }) => /\b(since|between|from \d{4}|after \d{4}|before \d{4}|last \d+ years?|recent|in (the )?(us|uk|eu|europe|asia|india)|among|population|field of|focus(ed)? on|limited to)\b/.test(lower)
+          || /\b(19|20)\d{2}\b/.test(lower)
+      },
+      {
+        id: 'research_sources',
+        name: 'Sources',
+        weight: 15,
+        icon: '📚',
+        title: 'Ask for Sources',
+        passLabel: 'Asks for sources or citations',
+        failLabel: 'No source requirement — ask for citations or peer-reviewed sources',
+        reinforce: 'Cite the sources behind each claim, and flag anything that is not well established.',
+        detect: ({ lower }) => /\b(sources?|cite|citations?|references?|peer[- ]reviewed|doi|links?|bibliography)\b/.test(lower)
+      },
+      {
+        id: 'research_depth',
+        name: 'Depth',
+        weight: 15,
+        icon: '🔎',
+        title: 'How Deep?',
+        passLabel: 'Says how deep the answer should go',
+        failLabel: 'No depth given — ask for an overview, a literature review, or key findings only',
+        reinforce: 'Separate the key findings from the supporting detail, and note where the evidence disagrees.',
+        detect: ({ lower }) => /\b(overview|summary|in[- ]depth|detailed|comprehensive|brief|key findings|literature review|high[- ]level|deep dive)\b/.test(lower)
+      }
+    ]
+  }
+];
+
+function getRubricPack(id) {
+  return RUBRIC_PACKS.find(pack => pack.id === id) || RUBRIC_PACKS[0];
+}
+
+// Picks the pack whose signal words show up most often in the prompt.
+// One hit isn't enough — "write about AI" or "a bug in my plan" shouldn't
+// drag in writing or coding checks — so a pack needs at least two. Ties go
+// to the earlier pack in RUBRIC_PACKS, and anything else stays on
+// 'general' (which adds no checks at all).
+function detectPromptDomain(text) {
+  const lower = (text || '').toLowerCase();
+  let best = { id: 'general', hits: 1 };
+  RUBRIC_PACKS.forEach(pack => {
+    const hits = pack.signals.filter(word => new RegExp(`\\b${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'i').test(lower)).length;
+    if (hits > best.hits) {
+      best = { id: pack.id, hits };
+    }
+  });
+  return best.id;
+}
@@ -14,15 +14,55 @@ class PromptData {
     this.optimizedVersion = null;
     this.response = null;
     this.userRating = null;
+    // Which rubric (and which saved revision of it) produced this entry's
+    // score — averages across different rubrics aren't comparable.
+    this.rubric = null;
+    this.pack = null;
+    this.quality = null;
+    // Per-check outcome ({id, name, ok, weight, label}) behind the score, so
+    // history can show the breakdown and filter on a failed check.
+    this.checks = [];
+    // Kinds of secret found in the prompt ({id, name}); the secrets
+    // themselves are redacted before the entry is stored.
+    this.secrets = [];
+    this.tags = [];
+    // Filled in once the prompt is actually sent and answered. Drafts that
+    // were analyzed but never sent don't become history entries.
+    this.sentAt = null;
+    this.conversationId = null;
+    this.respondedAt = null;
+    this.firstTokenMs = null; // send → first text of the reply
+    this.latencyMs = null; // send → reply finished streaming
+    // 0–100: how much of the prompt's substance the reply addresses (see
+    // scoreResponseRelevance). `userRating` above is the user's own 1–5.
+    this.responseRelevance = null;
+    // The optimizer variant the user inserted before sending this prompt
+    // ({id, name, edited}), or null if they wrote it themselves.
+    this.variant = null;
   }
 
   generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
   }
 
-  setResponse(response) {
+  markSent(conversationId) {
+    this.sentAt = new Date().toISOString();
+    this.timestamp = this.sentAt;
+    this.conversationId = conversationId;
+  }
+
+  // `metrics` holds the stored analysis snapshot by this point (see
+  // buildStoredMetrics), so the reply is recorded alongside it rather than
+  // re-scored through PromptMetrics.
+  setResponse(response, firstTokenAt = null) {
+    const now = Date.now();
     this.response = response;
-    this.metrics.calculateMetrics(this.prompt, response);
+    this.respondedAt = new Date(now).toISOString();
+    if (this.sentAt) {
+      const sentAt = Date.parse(this.sentAt);
+      this.latencyMs = now - sentAt;
+      this.firstTokenMs = firstTokenAt ? firstTokenAt - sentAt : null;
+    }
   }
 
   setUserRating(rating) {
@@ -102,19 +142,14 @@ class PromptMetrics {
   }
 
   calculateRelevance(prompt, response) {
-    // Simple relevance check - can be enhanced with more sophisticated NLP
-    if (!response) return 0.5;
-    
-    const promptWords = new Set(prompt.toLowerCase().split(/\s+/));
-    const responseWords = new Set(response.toLowerCase().split(/\s+/));
-    
-    const commonWords = [...promptWords].filter(word => responseWords.has(word));
-    return Math.min(1.0, commonWords.length / Math.max(promptWords.size, 1) * 2);
+    const score = scoreResponseRelevance(prompt, response);
+    return score === null ? 0.5 : score / 100;
   }
 
+  // Synchronous, so the character-class approximation; the panel's live
+  // count is the real one from the background worker (see updateTokenCount).
   estimateTokenCount(text) {
-    // Rough estimation: 1 token ≈ 4 characters for English text
-    return Math.ceil(text.length / 4);
+    return approximateTokenCount(text);
   }
 
   calculateOverallScore() {
@@ -137,220 +172,54 @@ class PromptMetrics {
   }
 }
 
-class PromptOptimizer {
-
-  // Action verbs that signal a concrete task.
-  getActionWords() {
-    return [
-      'write', 'create', 'explain', 'analyze', 'compare', 'evaluate', 'build',
-      'design', 'make', 'generate', 'summarize', 'list', 'outline', 'plan',
-      'improve', 'fix', 'debug', 'review', 'translate', 'develop', 'draft',
-      'describe', 'show', 'demonstrate', 'illustrate'
-    ];
-  }
-
-  // Naming a well-known deliverable or genre — "a recipe", "a haiku", "an
-  // itinerary", "interview questions" — is itself a clear, bounded request:
-  // there's nothing left for the LLM to guess at, whether or not the
-  // sentence also has an explicit verb. Shared by clear_action (recognizing
-  // the request) and the ambiguity check (recognizing the scope is bounded)
-  // so the two can't quietly disagree about the same prompt.
-  getBoundedTopicWords() {
-    return [
-      'recipe', 'template', 'example', 'itinerary', 'questions', 'substitute',
-      'alternative', 'checklist', 'workout', 'haiku', 'poem', 'sonnet',
-      'limerick', 'tweet', 'post', 'email', 'essay', 'story', 'script',
-      'tagline', 'slogan', 'joke', 'riddle', 'resume', 'memo', 'letter'
-    ];
-  }
-
-  // The single source of truth: the score, the quality tier, the checklist
-  // shown in the panel, the feedback cards, and the optimizer's reinforcement
-  // pass all read from this one array. Nothing else computes a competing
-  // number, so "all checks pass" and "score is 100" can never disagree again.
-  runChecks(text) {
-    const trimmed = (text || '').trim();
-    const lower = trimmed.toLowerCase();
-    const words = trimmed.split(/\s+/).filter(w => w.length > 0);
-    const paragraphs = trimmed.split('\n\n').filter(p => p.trim().length > 0);
-
-    const hasActionWord = this.getActionWords().some(w => lower.includes(w));
-    // A plain "what is X" / "how does X work" is a complete, well-formed
-    // question even without a terminal "?" — people routinely drop it when
-    // typing fast into a chat box. Recognizing the WH-structure itself
-    // avoids penalizing a perfectly clear question for missing punctuation.
-    // "Best time to visit X" / "best way to do X" is an implicit question
-    // (functionally "when/how should I...") even without a WH-word.
-    const hasWhQuestion = /^(what|how|why|when|where|who|which|best)\b/i.test(trimmed);
-    // Noun-phrase requests like "pros and cons of X" or "summary of X" carry
-    // just as clear an implied action as an explicit verb — the analysis
-    // type is named directly, so treat these openers as recognized requests.
-    const hasAnalyticalNounPhrase = /^(summary|overview|pros and cons|advantages and disadvantages|comparison|difference between|differences between|analysis|review|history|breakdown|top\s+\d+)\b/i.test(trimmed);
-    // "Give me X" / "come up with X" are two of the most common ways people
-    // actually phrase a request in a chat box — as clear an ask as any verb
-    // in getActionWords(), just idiomatic rather than a single verb.
-    const hasCommonRequestPhrase = lower.includes('give me') || lower.includes('come up with');
-    // Naming a well-known deliverable ("recipe for X", "template for X",
-    // "itinerary for X") is itself the request — no separate verb needed.
-    const hasBoundedTopicWord = this.getBoundedTopicWords().some(w => lower.includes(w));
-    const hasQuestionOrRequest = trimmed.includes('?') || hasWhQuestion || hasAnalyticalNounPhrase
-      || hasCommonRequestPhrase || hasBoundedTopicWord
-      || lower.includes('please') || lower.includes('can you') || lower.includes('could you')
-      || lower.includes('help me') || lower.startsWith('help ');
-    const hasNumberOrProperNoun = /\d/.test(trimmed) || /[A-Z][a-z]+/.test(trimmed);
-    const hasSpecificWord = /\b(specific|detailed|concrete|particular|exact)\b/i.test(trimmed);
-    const hasAudienceOrPurpose = /\b(beginner|expert|professional|student|for a|for someone|goal|objective|purpose|so that|in order to)\b/i.test(lower)
-      || lower.includes(' for ') || lower.includes(' about ');
-    const hasFormatting = paragraphs.length > 1 || trimmed.includes('\n')
-      || /(^|\n)\s*[-•]/.test(trimmed) || /(^|\n)\s*\d+[.)]/.test(trimmed);
-    const hasFormatOrExampleAsk = /\b(format|list|steps|bullet|section|example|instance)\b/i.test(lower);
-
-    return [
-      {
-        id: 'substance',
-        weight: 20,
-        ok: words.length >= 8,
-        label: words.length >= 8
-          ? 'Enough detail to work with'
-          : 'Too short — add more detail about what you want',
-        reinforce: null
-      },
-      {
-        id: 'clear_action',
-        weight: 20,
-        ok: hasActionWord || hasQuestionOrRequest,
-        label: (hasActionWord || hasQuestionOrRequest)
-          ? 'Clear action requested'
-          : 'No clear task or action — start with a verb like "explain" or "create"',
-        reinforce: null
-      },
-      {
-        id: 'specific_details',
-        weight: 20,
-        ok: hasNumberOrProperNoun || hasSpecificWord,
-        label: (hasNumberOrProperNoun || hasSpecificWord)
-          ? 'Includes specific details'
-          : 'No specific details — mention concrete names, numbers, or examples',
-        reinforce: 'Be concrete and specific — use real details, not placeholders.'
-      },
-      {
-        id: 'audience_or_context',
-        weight: 20,
-        ok: hasAudienceOrPurpose,
-        label: hasAudienceOrPurpose
-          ? 'Audience or context given'
-          : 'No audience or context — say who this is for and why',
-        // Deliberately not "assume a non-expert audience" — that default
-        // actively hurts clearly technical asks (e.g. a React/SQL question),
-        // pushing the LLM to over-explain basics to someone who obviously
-        // already knows them. Ask it to match the depth the question already
-        // implies instead of forcing a novice-level default either way.
-        reinforce: "Match the response's depth to what the question already implies (e.g. keep it at a developer level if it uses technical terms) — state who it's for if that's genuinely unclear."
-      },
-      {
-        id: 'structure_or_format',
-        weight: 20,
-        ok: hasFormatting || hasFormatOrExampleAsk,
-        label: (hasFormatting || hasFormatOrExampleAsk)
-          ? 'Structured or asks for a specific format'
-          : 'No structure or format requested — ask for bullet points, sections, or an example',
-        reinforce: 'Structure the response with clear sections or bullet points, and include at least one concrete example.'
-      }
-    ];
-  }
-
-  // Ambiguity is a different problem than a missing format ask: reinforcement
-  // (below) only ever appends generic rigor instructions, so it can polish
-  // HOW a vague prompt gets answered but can't fix WHAT the LLM has to guess
-  // at. A prompt this short, missing substance/specifics/audience all at
-  // once, is a sign the user hasn't decided the scope themselves yet — no
-  // amount of "be more specific" reinforcement resolves that, only the user
-  // actually adding real intent can.
-  isAmbiguous(text, checks) {
-    const trimmed = (text || '').trim();
-    const words = trimmed.split(/\s+/).filter(w => w.length > 0);
-
-    // "What is X" / "How does X work" is fully scoped by its own grammar —
-    // the LLM knows exactly what's being asked (define/explain X) even if
-    // the prompt is short. The scope problem is specific to broad, undefined
-    // action verbs like "build" or "make", not genuine definitional
-    // questions, so those are excluded here even though they can trip the
-    // same brevity-driven checks below.
-    // "Help me understand/learn X" and "explain/describe X" are all
-    // functionally the same ask — bounded by the named topic, not open scope.
-    const isDefinitionalQuestion = /^(what|how|why|when|where|who|which|best|explain|describe)\b/i.test(trimmed)
-      || trimmed.includes('?')
-      || /\bhelp me (understand|learn|grasp)\b/i.test(trimmed);
-    if (isDefinitionalQuestion) return false;
-
-    // "Pros and cons of X" / "summary of X" / "difference between X and Y"
-    // name the analysis type directly — just as bounded as an explicit verb.
-    const isAnalyticalNounPhrase = /^(summary|overview|pros and cons|advantages and disadvantages|comparison|difference between|differences between|analysis|review|history|breakdown|top\s+\d+)\b/i.test(trimmed);
-    if (isAnalyticalNounPhrase) return false;
-
-    // "Translate THIS sentence" / "summarize THIS article" / "fix THIS
-    // function" all point at something specific and already provided — the
-    // scope is bounded by that reference even though the sentence is short.
-    const lower = trimmed.toLowerCase();
-    const hasBoundedReference = /\b(this|that|these|those)\b/i.test(lower);
-
-    // Naming a well-known deliverable/genre ("a haiku", "an itinerary", "a
-    // recipe") bounds the task the same way — there's no real scope left
-    // for the LLM to guess at.
-    const hasGenreWord = this.getBoundedTopicWords().some(w => lower.includes(w));
-
-    if (hasBoundedReference || hasGenreWord) return false;
-
-    const byId = Object.fromEntries(checks.map(c => [c.id, c.ok]));
-    const missingCount = [byId.substance, byId.specific_details, byId.audience_or_context]
-      .filter(ok => ok === false).length;
-    return words.length <= 8 && missingCount >= 2;
-  }
-
-  analyzePrompt(prompt) {
-    const checks = this.runChecks(prompt);
-    const score = checks.reduce((sum, c) => sum + (c.ok ? c.weight : 0), 0);
-    const quality = this.determineQuality(score);
-
-    return {
-      metrics: { overallScore: score },
-      checks,
-      quality,
-      isAmbiguous: this.isAmbiguous(prompt, checks)
-    };
-  }
-
-  determineQuality(score) {
-    const percentage = Math.max(0, Math.min(100, score));
-    if (percentage < 30) return 'basic';
-    if (percentage < 50) return 'developing';
-    if (percentage < 70) return 'good';
-    if (percentage < 85) return 'excellent';
-    return 'masterful';
-  }
-
-  // Strictly additive: the original text is never rewritten, reworded, or
-  // re-cased (that was the old bug — lowercasing the whole prompt destroyed
-  // proper nouns like "Facebook", which specificity scoring rewards). This
-  // only appends fixes for checks that are currently failing, phrased so
-  // each addition contains the exact signal its check looks for — so
-  // applying the suggestion reliably flips that check to passing.
-  optimizePrompt(promptText, analysis) {
-    const checks = (analysis && analysis.checks) || this.runChecks(promptText);
-    return this.reinforceFailedChecks(promptText, checks);
-  }
-
-  reinforceFailedChecks(text, checks) {
-    const asks = checks.filter(c => !c.ok && c.reinforce).map(c => c.reinforce);
-
-    if (asks.length === 0) {
-      return text;
-    }
-
-    return `${text.trim()}\n\nAdditional requirements:\n- ${asks.join('\n- ')}`;
-  }
-
-}
+// Where each platform keeps the pieces of a conversation turn. The composer
+// is what the user types into; the send and stop buttons bracket a reply
+// (the stop button only exists while the reply is streaming); assistant
+// message elements hold the replies, newest last; the conversation path
+// pulls the thread ID out of the page URL. Selectors are listed most
+// specific first — the sites rename their markup often, so each has a
+// looser fallback.
+const PLATFORM_DOM = {
+  gpt: {
+    composer: ['#prompt-textarea', 'div[contenteditable="true"]', 'textarea[data-id="root"]', 'textarea[placeholder*="Message"]'],
+    sendButton: 'button[data-testid="send-button"], #composer-submit-button, button[aria-label*="Send"]',
+    stopButton: 'button[data-testid="stop-button"], button[aria-label*="Stop"]',
+    assistantMessage: '[data-message-author-role="assistant"]',
+    streaming: '.result-streaming',
+    conversationPath: /\/c\/([\w-]+)/
+  },
+  claude: {
+    composer: ['div[contenteditable="true"]', 'textarea[placeholder*="Message"]'],
+    sendButton: 'button[aria-label="Send message"], button[aria-label="Send Message"], button[aria-label*="Send"]',
+    stopButton: 'button[aria-label="Stop response"], button[aria-label*="Stop"]',
+    assistantMessage: '.font-claude-response, .font-claude-message, [data-testid="assistant-message"]',
+    streaming: '[data-is-streaming="true"]',
+    conversationPath: /\/chat\/([\w-]+)/
+  },
+  grok: {
+    composer: ['textarea[placeholder*="Message"]', 'textarea[aria-label*="Ask"]', 'div[contenteditable="true"]', 'textarea'],
+    sendButton: 'button[type="submit"][aria-label="Submit"], button[aria-label*="Submit"], button[aria-label*="Send"]',
+    stopButton: 'button[aria-label*="Stop"]',
+    assistantMessage: '[data-testid="assistant-message"], .items-start .message-bubble, .response-content-markdown',
+    streaming: '[aria-busy="true"]',
+    conversationPath: /\/chat\/([\w-]+)/
+  },
+  gemini: {
+    composer: ['rich-textarea div[contenteditable="true"]', 'textarea[placeholder*="Message"]', 'div[contenteditable="true"]'],
+    sendButton: 'button.send-button, button[aria-label*="Send"]',
+    stopButton: 'button[aria-label*="Stop"]',
+    assistantMessage: 'model-response .model-response-text, model-response message-content, .response-content',
+    streaming: '[aria-busy="true"]',
+    conversationPath: /\/app\/([\w-]+)/
+  }
+};
+
+// A reply counts as finished once nothing marks it as streaming and its
+// text has stopped changing for this long.
+const RESPONSE_SETTLE_MS = 1500;
+// Give up on a reply that never shows up (a failed send, a page that
+// changed its markup). Whatever text did arrive is still recorded.
+const RESPONSE_TIMEOUT_MS = 5 * 60 * 1000;
 
 const CORE_METRIC_KEYS = ['clarity', 'specificity', 'structure', 'context', 'intent', 'completeness'];
 
@@ -366,6 +235,37 @@ function buildStoredMetrics(analysis) {
   return metrics;
 }
 
+// Words too common to say anything about whether a reply is on topic
+const RELEVANCE_STOPWORDS = new Set(('the and for are but not you your with this that from have has had was were ' +
+  'will would can could should what when where which who why how about into over than then them they their there ' +
+  'these those its it\'s our out all any some more most such only also just like make give write tell please want ' +
+  'need help me my i\'m use using get one two very much many each other been being does did doing').split(' '));
+
+// Content words of `text`, cut to a five-letter stem so "explain",
+// "explained" and "explaining" count as the same word.
+function relevanceKeywords(text) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+  return new Set(words
+    .filter(word => word.length >= 3 && !RELEVANCE_STOPWORDS.has(word))
+    .map(word => word.slice(0, 5)));
+}
+
+// 0–100 automatic relevance of a reply to its prompt: the share of the
+// prompt's content words the reply picks up, scaled down for a reply too
+// short to have covered much. Null when the prompt has no content words to
+// judge by. Deliberately simple and local — it's a signal to set beside the
+// user's own rating, not a verdict.
+function scoreResponseRelevance(prompt, response) {
+  if (!response) return null;
+  const promptKeywords = relevanceKeywords(prompt);
+  if (promptKeywords.size === 0) return null;
+  const responseKeywords = relevanceKeywords(response);
+  const covered = [...promptKeywords].filter(word => responseKeywords.has(word)).length;
+  const responseWords = (response.match(/\S+/g) || []).length;
+  const lengthFactor = Math.min(1, responseWords / 20);
+  return Math.round(100 * (covered / promptKeywords.size) * lengthFactor);
+}
+
 function getOverallScoreFromMetrics(metrics) {
   if (!metrics) return 0;
   if (typeof metrics.overallScore === 'number') {
@@ -381,17 +281,62 @@ class PromptTracer {
   constructor() {
     this.platform = this.detectPlatform();
     this.optimizer = new PromptOptimizer();
+    this.secretScanner = new SecretScanner();
+    // Composer text the user chose to send despite the secret warning
+    this.secretsAllowedFor = null;
     this.currentPrompt = null;
     // Bumped every time the tracked input text actually changes. Async AI
     // calls capture this value and check it before writing to the panel, so
     // a slow response for stale text can never clobber a newer result.
     this.analysisGeneration = 0;
+    // Domain pack picked by hand in the panel. Null means "detect it from
+    // the prompt"; cleared again once the composer is emptied, so an
+    // override only ever applies to the prompt it was chosen for.
+    this.packOverride = null;
+    // The sent prompt whose reply is being watched for, plus what's been
+    // seen of that reply so far. Null between turns.
+    this.pendingTurn = null;
+    this.responseCheckTimer = null;
+    // The panel's word diff of the prompt against its suggestion: which
+    // additions the user rejected, and whether the diff is showing (which
+    // sticks across panel rebuilds until toggled off).
+    this.promptDiff = null;
+    this.showPromptDiff = false;
     this.settings = {
       autoAnalysis: true,
       showPanel: true,
       saveHistory: true,
-      llmOptimization: true
+      llmOptimization: true,
+      chatModels: {},
+      promptStyles: {}
     };
+    // The panel's optimization variants (see generateVariants()), which tab
+    // is showing, and whether the user picked it — a picked tab stays
+    // selected as they keep typing and when the AI rewrite arrives. Token
+    // counts are cached per model and text, since the same variants are
+    // re-rendered on every keystroke.
+    this.variants = [];
+    this.selectedVariantId = null;
+    this.variantPicked = false;
+    this.variantTokenCounts = new Map();
+    // The variant last inserted into the composer, until that prompt is
+    // sent (and recorded with it) or the composer is cleared
+    this.insertedVariant = null;
+    // The AI rewrite being streamed in ({ port, text, status }), or null;
+    // why the last one came back empty (rate limit, paused provider,
+    // budget), shown until the next prompt; and the timer that counts a
+    // retry's wait down
+    this.aiStream = null;
+    this.aiNotice = null;
+    this.aiStatusTimer = null;
+    // The AI feedback request in flight ({ port, status, timer }), or null
+    this.aiFeedback = null;
+    // Live token count: the text waiting to be counted, the throttle timer
+    // that sends it, and the last answer (a rebuilt panel shows it straight
+    // away rather than blinking while it asks again)
+    this.pendingTokenText = null;
+    this.tokenCountTimer = null;
+    this.lastTokenCount = null;
     this.init();
   }
 
@@ -418,7 +363,7 @@ class PromptTracer {
     const style = document.createElement('style');
     style.id = 'prompt-tracer-styles';
     style.textContent = `
-      #prompt-tracer-panel, #prompt-tracer-button, #prompt-tracer-tutorial, .pt-toast, .pt-modal-overlay {
+      #prompt-tracer-panel, #prompt-tracer-button, #prompt-tracer-tutorial, #prompt-tracer-rating, .pt-toast, .pt-modal-overlay {
         --pt-bg: #ffffff;
         --pt-bg-subtle: #f9fafb;
         --pt-bg-muted: #f3f4f6;
@@ -447,7 +392,7 @@ class PromptTracer {
         color-scheme: light dark;
       }
       @media (prefers-color-scheme: dark) {
-        #prompt-tracer-panel, #prompt-tracer-button, #prompt-tracer-tutorial, .pt-toast, .pt-modal-overlay {
+        #prompt-tracer-panel, #prompt-tracer-button, #prompt-tracer-tutorial, #prompt-tracer-rating, .pt-toast, .pt-modal-overlay {
           --pt-bg: #1c1c1f;
           --pt-bg-subtle: #232326;
           --pt-bg-muted: #2a2a2e;
@@ -502,6 +447,134 @@ class PromptTracer {
       .pt-btn-success { background: var(--pt-success); color: white; }
       .pt-btn-danger { background: var(--pt-danger); color: white; }
       #prompt-tracer-panel a { color: var(--pt-accent); }
+      .pt-variant-tabs { display: flex; gap: 4px; margin-bottom: 8px; }
+      .pt-variant-tabs[hidden] { display: none; }
+      .pt-variant-tab {
+        flex: 1;
+        min-width: 0;
+        display: flex;
+        flex-direction: column;
+        align-items: flex-start;
+        gap: 1px;
+        padding: 6px 8px;
+        border: 1px solid var(--pt-border);
+        border-radius: var(--pt-radius-sm);
+        background: var(--pt-bg-muted);
+        color: var(--pt-text-secondary);
+        font-size: 11px;
+        cursor: pointer;
+        text-align: left;
+      }
+      .pt-variant-tab[aria-selected="true"] {
+        background: var(--pt-accent-subtle);
+        border-color: var(--pt-accent);
+        color: var(--pt-text-primary);
+      }
+      .pt-variant-name { font-weight: 600; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; max-width: 100%; }
+      .pt-variant-meta { font-size: 10px; color: var(--pt-text-muted); font-variant-numeric: tabular-nums; }
+      .pt-cached-badge {
+        display: inline-block;
+        margin-left: 4px;
+        padding: 0 5px;
+        border-radius: 999px;
+        background: var(--pt-bg-muted);
+        border: 1px solid var(--pt-border);
+        color: var(--pt-text-muted);
+        font-size: 9px;
+        font-weight: 600;
+        text-transform: uppercase;
+        letter-spacing: 0.03em;
+      }
+      .pt-cached-note { margin-bottom: 8px; font-size: 10px; color: var(--pt-text-muted); }
+      .pt-ai-stream {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 8px;
+        margin-top: 6px;
+        font-size: 11px;
+        color: var(--pt-text-secondary);
+      }
+      .pt-ai-stream[hidden] { display: none; }
+      .pt-ai-stream.pt-ai-notice { color: var(--pt-warning-text); }
+      .pt-diff { white-space: pre-wrap; word-wrap: break-word; }
+      .pt-diff ins, .pt-diff del { text-decoration: none; border-radius: 3px; }
+      .pt-diff-added { background: var(--pt-success-subtle); color: var(--pt-success-text); }
+      .pt-diff-added[data-change] { cursor: pointer; }
+      .pt-diff-rejected { background: none; color: var(--pt-text-muted); text-decoration: line-through !important; }
+      .pt-diff-removed { background: var(--pt-danger-subtle); color: var(--pt-danger-text); text-decoration: line-through !important; }
+      .pt-diff-restored { color: var(--pt-text-primary); }
+      .pt-rating {
+        position: fixed;
+        bottom: 84px;
+        right: 20px;
+        width: 220px;
+        padding: 12px 14px;
+        background: var(--pt-bg);
+        color: var(--pt-text-primary);
+        border-radius: var(--pt-radius-md);
+        box-shadow: var(--pt-shadow);
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 13px;
+        z-index: 999999;
+        animation: slideIn 0.3s ease-out;
+      }
+      .pt-rating-header { display: flex; justify-content: space-between; align-items: center; font-weight: 600; }
+      .pt-rating-close { background: none; border: none; cursor: pointer; color: var(--pt-text-muted); font-size: 16px; line-height: 1; }
+      .pt-rating-stars { display: flex; gap: 2px; margin-top: 6px; }
+      .pt-rating-stars button {
+        background: none;
+        border: none;
+        cursor: pointer;
+        font-size: 22px;
+        line-height: 1;
+        padding: 0 2px;
+        color: var(--pt-border-strong);
+      }
+      .pt-rating-stars button.active { color: var(--pt-warning); }
+      .pt-rating-note { margin-top: 4px; font-size: 11px; color: var(--pt-text-muted); }
+      .pt-rating-note:empty { display: none; }
+      .pt-secret-warning {
+        padding: 12px 20px;
+        background: var(--pt-danger-subtle);
+        border-bottom: 2px solid var(--pt-danger);
+        color: var(--pt-danger-text);
+        font-size: 12px;
+      }
+      .pt-secret-warning[hidden] { display: none; }
+      .pt-secret-title { font-size: 13px; font-weight: 700; margin-bottom: 6px; }
+      .pt-secret-warning ul { margin: 0 0 6px; padding-left: 18px; }
+      .pt-secret-warning li { margin: 2px 0; }
+      .pt-secret-warning code { font-family: 'Monaco', 'Courier New', monospace; font-size: 11px; }
+      .pt-secret-note { font-size: 11px; color: var(--pt-text-secondary); margin-bottom: 8px; }
+      .pt-secret-actions { display: flex; gap: 6px; }
+      .pt-secret-actions .pt-btn { padding: 6px 12px; font-size: 11px; }
+      #pt-send-anyway { background: var(--pt-bg-muted); color: var(--pt-text-primary); }
+      .pt-token-count {
+        padding: 8px 20px;
+        background: var(--pt-bg-subtle);
+        border-bottom: 1px solid var(--pt-border);
+        color: var(--pt-text-secondary);
+        font-size: 11px;
+        font-variant-numeric: tabular-nums;
+      }
+      .pt-token-count[hidden] { display: none; }
+      .pt-token-near { background: var(--pt-warning-subtle); color: var(--pt-warning-text); }
+      .pt-token-over { background: var(--pt-danger-subtle); color: var(--pt-danger-text); }
+      .pt-token-warning { margin-top: 4px; font-weight: 600; line-height: 1.4; }
+      .pt-diff-check {
+        display: inline-block;
+        margin-left: 4px;
+        padding: 0 5px;
+        border-radius: 999px;
+        background: var(--pt-accent-subtle);
+        color: var(--pt-accent-text);
+        font-size: 9px;
+        font-weight: 600;
+        line-height: 15px;
+        vertical-align: middle;
+        white-space: nowrap;
+      }
     `;
     document.head.appendChild(style);
   }
@@ -561,14 +634,17 @@ class PromptTracer {
   loadSettings() {
     return new Promise((resolve) => {
       chrome.storage.local.get(
-        ['auto-analysis', 'show-panel', 'save-history', 'llm-optimization'],
+        ['auto-analysis', 'show-panel', 'save-history', 'llm-optimization', 'chat-models', 'prompt-styles', 'customRubrics', 'activeRubricId'],
         (result) => {
           this.settings = {
             autoAnalysis: result['auto-analysis'] !== false,
             showPanel: result['show-panel'] !== false,
             saveHistory: result['save-history'] !== false,
-            llmOptimization: result['llm-optimization'] !== false
+            llmOptimization: result['llm-optimization'] !== false,
+            chatModels: result['chat-models'] || {},
+            promptStyles: result['prompt-styles'] || {}
           };
+          this.optimizer.setRubric(resolveActiveRubric(result.customRubrics, result.activeRubricId));
           resolve();
         }
       );
@@ -594,60 +670,232 @@ class PromptTracer {
       if (changes['llm-optimization']) {
         this.settings.llmOptimization = changes['llm-optimization'].newValue !== false;
       }
+      if (changes['chat-models']) {
+        this.settings.chatModels = changes['chat-models'].newValue || {};
+        if (this.lastMonitoredValue) this.updateTokenCount(this.lastMonitoredValue);
+      }
+      if (changes['prompt-styles']) {
+        this.settings.promptStyles = changes['prompt-styles'].newValue || {};
+        const row = this.currentPanel && this.currentPanel.querySelector('#pt-style-row');
+        if (row) row.outerHTML = this.renderPromptStyleSelector().trim();
+      }
+      if (changes.customRubrics || changes.activeRubricId) {
+        // Re-read both: a change to one only carries its own new value.
+        chrome.storage.local.get(['customRubrics', 'activeRubricId'], (result) => {
+          this.optimizer.setRubric(resolveActiveRubric(result.customRubrics, result.activeRubricId));
+        });
+      }
     });
   }
 
   setupEventListeners() {
-    // Listen for form submissions and button clicks
-    document.addEventListener('submit', this.handleSubmit.bind(this));
-    document.addEventListener('click', this.handleClick.bind(this));
+    // Listen for form submissions and button clicks. Capture phase, so the
+    // composer is read before the page's own handler sends and clears it.
+    document.addEventListener('submit', this.handleSubmit.bind(this), true);
+    document.addEventListener('click', this.handleClick.bind(this), true);
     
-    // Listen for keyboard events to detect when user is typing
-    document.addEventListener('keydown', this.handleKeydown.bind(this));
+    // Listen for Enter in the composer, the usual way a prompt is sent
+    document.addEventListener('keydown', this.handleKeydown.bind(this), true);
     
     // Setup keyboard shortcuts
     this.setupKeyboardShortcuts();
   }
 
   setupMutationObserver() {
-    // Watch for DOM changes to detect new messages
-    const observer = new MutationObserver((mutations) => {
-      mutations.forEach((mutation) => {
-        if (mutation.type === 'childList') {
-          this.detectNewMessages();
-        }
-      });
+    // Watch for DOM changes to detect new messages. Only connected while a
+    // sent prompt is waiting for its reply (see watchReplies) — a streaming
+    // chat page mutates constantly, and nothing else needs to see it.
+    this.replyObserver = new MutationObserver((mutations) => {
+      if (mutations.some(mutation => mutation.type === 'childList')) {
+        this.detectNewMessages();
+      }
     });
+  }
 
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
-    });
+  watchReplies(enabled) {
+    if (!this.replyObserver) return;
+    this.replyObserver.disconnect();
+    if (enabled && !document.hidden) {
+      this.replyObserver.observe(document.body, {
+        childList: true,
+        subtree: true
+      });
+    }
   }
 
   handleSubmit(event) {
     // Capture form submissions that might contain prompts
     const form = event.target;
-    const textarea = form.querySelector('textarea');
-    if (textarea && textarea.value.trim()) {
-      this.capturePrompt(textarea.value.trim());
+    if (form && form.querySelector && form.querySelector('textarea, [contenteditable="true"]')) {
+      if (this.blockSecretSend(event)) return;
+      this.noteSubmitAttempt();
     }
   }
 
   handleClick(event) {
-    // Capture button clicks that might send prompts
-    const button = event.target;
-    if (button.textContent.toLowerCase().includes('send') || 
-        button.textContent.toLowerCase().includes('submit')) {
-      this.findAndCapturePrompt();
+    // Capture clicks on the platform's send button (an icon, usually — so
+    // matched by selector, with the button's text as a fallback)
+    const dom = PLATFORM_DOM[this.platform];
+    const target = event.target instanceof Element ? event.target : null;
+    if (!target || target.closest('#prompt-tracer-panel, #prompt-tracer-button')) return;
+    const button = target.closest('button');
+    if (!button) return;
+    const label = button.textContent.toLowerCase();
+    if ((dom && button.matches(dom.sendButton)) || label.includes('send') || label.includes('submit')) {
+      if (this.blockSecretSend(event)) return;
+      this.noteSubmitAttempt();
     }
   }
 
   handleKeydown(event) {
-    // Detect Ctrl+Enter or Cmd+Enter for sending messages
-    if ((event.ctrlKey || event.metaKey) && event.key === 'Enter') {
-      setTimeout(() => this.findAndCapturePrompt(), 100);
+    // Enter sends on every supported platform (Shift+Enter is a newline);
+    // Ctrl/Cmd+Enter sends too where Enter is set to insert a newline.
+    // isComposing: Enter that confirms an IME candidate doesn't send.
+    if (event.key !== 'Enter' || event.shiftKey || event.altKey || event.isComposing) return;
+    const composer = this.findComposer();
+    if (composer && event.target instanceof Node && composer.contains(event.target)) {
+      if (this.blockSecretSend(event)) return;
+      this.noteSubmitAttempt();
+    }
+  }
+
+  // Stops a send whose text contains a secret, and puts the warning in
+  // front of the user instead. These listeners run in the capture phase on
+  // the document, ahead of the page's own handlers on the composer and send
+  // button. The scan runs here rather than relying on the last analysis,
+  // which is debounced and may not have seen a key pasted a moment ago.
+  blockSecretSend(event) {
+    const text = this.readComposer();
+    if (!text || text === this.secretsAllowedFor) return false;
+    const findings = this.secretScanner.scan(text);
+    if (findings.length === 0) return false;
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    const panelExists = this.currentPanel && document.body.contains(this.currentPanel);
+    if (panelExists) {
+      this.renderSecretWarning(findings);
+    } else {
+      const { promptData, analysis } = this.buildPromptData(text);
+      this.currentPrompt = promptData;
+      this.showAnalysis(promptData, analysis, promptData.optimizedVersion);
+    }
+    this.showErrorNotification(
+      `Not sent: this prompt contains ${findings.length === 1 ? 'a secret' : `${findings.length} secrets`}. Redact ${findings.length === 1 ? 'it' : 'them'} or choose "Send anyway" in the panel.`,
+      'error'
+    );
+    return true;
+  }
+
+  // Replaces every secret in the composer with its placeholder. Re-scans
+  // the composer as it is now rather than trusting the panel's findings,
+  // which may be from a slightly older version of the text.
+  redactComposerSecrets() {
+    const text = this.readComposer();
+    const findings = this.secretScanner.scan(text);
+    if (findings.length === 0) {
+      this.renderSecretWarning([]);
+      return;
+    }
+    if (this.insertPromptText(this.secretScanner.redact(text, findings))) {
+      this.showShortcutNotification(`🔒 Redacted ${findings.length === 1 ? '1 secret' : `${findings.length} secrets`}`);
+    } else {
+      this.showErrorNotification('Couldn\'t find the message box to redact — remove the secret by hand.', 'warning');
+    }
+  }
+
+  // The element the user types prompts into, or null if the page hasn't
+  // rendered it (yet).
+  findComposer() {
+    const dom = PLATFORM_DOM[this.platform] || PLATFORM_DOM.gpt;
+    for (const selector of dom.composer) {
+      for (const element of document.querySelectorAll(selector)) {
+        if (!this.isOwnUi(element)) return element;
+      }
+    }
+    return null;
+  }
+
+  // Inputs inside the extension's own panel and dialogs are never the composer
+  isOwnUi(element) {
+    return Boolean(element.closest('[id^="prompt-tracer-"]'));
+  }
+
+  readComposer(element = this.findComposer()) {
+    if (!element) return '';
+    return (element.value || element.textContent || '').trim();
+  }
+
+  // Conversation/thread ID from the page URL. A brand-new chat often only
+  // gets its URL after the first reply, so this is read again once the
+  // reply finishes.
+  getConversationId() {
+    const dom = PLATFORM_DOM[this.platform];
+    const match = dom && window.location.pathname.match(dom.conversationPath);
+    return match ? match[1] : null;
+  }
+
+  // Enter or a send click *might* send — it doesn't while a reply is still
+  // streaming, or when the composer is empty. Read the text now, before the
+  // page clears it, and only treat it as sent once the composer actually
+  // changes.
+  noteSubmitAttempt() {
+    const composer = this.findComposer();
+    const text = this.readComposer(composer);
+    if (!text) return;
+
+    clearTimeout(this.submitConfirmTimer);
+    const startedAt = Date.now();
+    const confirm = () => {
+      if (this.readComposer() !== text) {
+        this.onPromptSubmitted(text);
+        // The page cleared the composer itself, which fires no input event
+        this.monitorInputField();
+      } else if (Date.now() - startedAt < 1500) {
+        this.submitConfirmTimer = setTimeout(confirm, 150);
+      }
+    };
+    this.submitConfirmTimer = setTimeout(confirm, 150);
+  }
+
+  onPromptSubmitted(text) {
+    // Don't record the same send twice (Enter, then the form's submit event)
+    if (this.pendingTurn && this.pendingTurn.promptData.prompt === text &&
+        Date.now() - this.pendingTurn.sentAt < 2000) {
+      return;
+    }
+
+    // A reply still being watched for gets whatever text it has so far
+    if (this.pendingTurn) this.finishTurn();
+
+    const promptData = this.currentPrompt && this.currentPrompt.prompt === text && !this.currentPrompt.sentAt
+      ? this.currentPrompt
+      : this.buildPromptData(text).promptData;
+    promptData.markSent(this.getConversationId());
+    if (this.insertedVariant) {
+      const { id, name, text: inserted } = this.insertedVariant;
+      promptData.variant = { id, name, edited: text.trim() !== inserted.trim() };
+      this.insertedVariant = null;
     }
+    this.storePromptData(promptData);
+
+    // Remember the newest existing reply, so its text isn't mistaken for
+    // the answer to this prompt
+    const dom = PLATFORM_DOM[this.platform];
+    const replies = dom ? document.querySelectorAll(dom.assistantMessage) : [];
+    const baseline = replies[replies.length - 1] || null;
+    this.watchReplies(true);
+    this.pendingTurn = {
+      promptData,
+      sentAt: Date.parse(promptData.sentAt),
+      baselineCount: replies.length,
+      baselineElement: baseline,
+      baselineText: baseline ? this.readReply(baseline) : '',
+      firstTokenAt: null,
+      lastText: '',
+      lastChangeAt: 0
+    };
+    this.scheduleResponseCheck(RESPONSE_SETTLE_MS);
   }
 
   setupKeyboardShortcuts() {
@@ -685,6 +933,12 @@ class PromptTracer {
         event.preventDefault();
         this.showKeyboardShortcutsHelp();
       }
+
+      // Ctrl+Shift+L: Insert a prompt from the template library
+      if (event.ctrlKey && event.shiftKey && event.key === 'L') {
+        event.preventDefault();
+        this.showTemplatePicker();
+      }
     });
   }
 
@@ -802,6 +1056,7 @@ class PromptTracer {
         ${shortcutRow('Quick analysis', 'Analyze current prompt', 'Ctrl+Shift+P')}
         ${shortcutRow('Copy optimized', 'Copy last optimized prompt', 'Ctrl+Shift+O')}
         ${shortcutRow('Open dashboard', 'View analytics and settings', 'Ctrl+Shift+D')}
+        ${shortcutRow('Insert template', 'Fill in a saved prompt template', 'Ctrl+Shift+L')}
         ${shortcutRow('Show help', 'Display this shortcuts guide', 'Ctrl+Shift+H')}
       </div>
 
@@ -834,6 +1089,173 @@ class PromptTracer {
     }, 10000);
   }
 
+  // Template library: pick a saved template, fill in its {{variables}},
+  // and insert the result the same way "Use this prompt" does. Templates are
+  // written and scored in the popup; this only reads them. The overlay's id
+  // keeps its inputs from being mistaken for the composer.
+  async showTemplatePicker() {
+    if (document.getElementById('prompt-tracer-templates')) return;
+    let templates = [];
+    try {
+      const stored = await chrome.storage.local.get([PROMPT_TEMPLATES_KEY]);
+      templates = stored[PROMPT_TEMPLATES_KEY] || [];
+    } catch (error) {
+      this.showShortcutNotification('⚠️ Please reload the extension', 'warning');
+      return;
+    }
+    if (templates.length === 0) {
+      this.showShortcutNotification('📄 No templates yet — add one in the Templates tab of the Prompt Tracer popup');
+      return;
+    }
+
+    this.injectSharedStyles();
+    const overlay = document.createElement('div');
+    overlay.id = 'prompt-tracer-templates';
+    overlay.className = 'pt-modal-overlay';
+    overlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.6);
+      z-index: 1000000;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    `;
+
+    const modal = document.createElement('div');
+    modal.style.cssText = `
+      background: var(--pt-bg);
+      color: var(--pt-text-primary);
+      border-radius: var(--pt-radius-lg);
+      padding: 24px;
+      max-width: 520px;
+      width: 90%;
+      max-height: 80vh;
+      overflow-y: auto;
+      box-shadow: var(--pt-shadow);
+      font-size: 14px;
+    `;
+    modal.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 16px;">
+        <h2 id="pt-template-title" style="margin: 0; color: var(--pt-text-primary); font-size: 18px; font-weight: 700;">Insert a template</h2>
+        <button id="pt-close-templates" class="pt-icon-btn" style="background: transparent; color: var(--pt-text-secondary); width: 28px; height: 28px;">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
+        </button>
+      </div>
+      <div id="pt-template-body"></div>
+    `;
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+
+    const close = () => {
+      overlay.remove();
+      document.removeEventListener('keydown', handleEscape, true);
+    };
+    const handleEscape = (event) => {
+      if (event.key === 'Escape') close();
+    };
+    document.addEventListener('keydown', handleEscape, true);
+    modal.querySelector('#pt-close-templates').addEventListener('click', close);
+    overlay.addEventListener('click', (event) => {
+      if (event.target === overlay) close();
+    });
+
+    const body = modal.querySelector('#pt-template-body');
+    const title = modal.querySelector('#pt-template-title');
+
+    const showList = () => {
+      title.textContent = 'Insert a template';
+      body.replaceChildren(...templates.map(template => {
+        const item = document.createElement('button');
+        item.style.cssText = 'display: block; width: 100%; text-align: left; padding: 12px; margin-bottom: 8px; background: var(--pt-bg-subtle); border: 1px solid var(--pt-border); border-radius: var(--pt-radius-md); cursor: pointer; color: var(--pt-text-primary); font: inherit;';
+        const heading = document.createElement('div');
+        heading.style.cssText = 'display: flex; justify-content: space-between; gap: 8px; font-weight: 600;';
+        const name = document.createElement('span');
+        name.textContent = template.name;
+        const score = document.createElement('span');
+        score.style.cssText = 'font-size: 12px; color: var(--pt-text-secondary); white-space: nowrap;';
+        score.textContent = typeof template.score === 'number' ? `${template.score}/100` : '';
+        heading.append(name, score);
+        const preview = document.createElement('div');
+        preview.style.cssText = 'font-size: 12px; color: var(--pt-text-secondary); margin-top: 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;';
+        preview.textContent = template.body;
+        item.append(heading, preview);
+        item.addEventListener('click', () => showForm(template));
+        return item;
+      }));
+    };
+
+    const showForm = (template) => {
+      title.textContent = template.name;
+      const values = {};
+      const fields = (template.variables || []).map(variable => {
+        const field = document.createElement('label');
+        field.style.cssText = 'display: block; margin-bottom: 12px; font-size: 13px; font-weight: 600; color: var(--pt-text-primary);';
+        field.textContent = variable.name;
+        if (variable.description) {
+          const hint = document.createElement('div');
+          hint.style.cssText = 'font-size: 11px; font-weight: 400; color: var(--pt-text-secondary); margin-top: 2px;';
+          hint.textContent = variable.description;
+          field.appendChild(hint);
+        }
+        const input = document.createElement('textarea');
+        input.rows = 1;
+        input.value = variable.default || '';
+        input.placeholder = variable.default || variable.name;
+        input.style.cssText = 'display: block; width: 100%; margin-top: 6px; padding: 8px 10px; border: 1px solid var(--pt-border-strong); border-radius: var(--pt-radius-sm); font: inherit; font-weight: 400; font-size: 13px; background: var(--pt-bg); color: var(--pt-text-primary); resize: vertical;';
+        input.addEventListener('input', () => {
+          values[variable.name] = input.value;
+          renderPreview();
+        });
+        values[variable.name] = input.value;
+        field.appendChild(input);
+        return field;
+      });
+
+      const preview = document.createElement('div');
+      preview.style.cssText = 'background: var(--pt-accent-subtle); border: 1px solid var(--pt-border); border-radius: var(--pt-radius-md); padding: 12px; font-size: 13px; line-height: 1.5; white-space: pre-wrap; word-wrap: break-word; max-height: 180px; overflow-y: auto; margin-bottom: 12px;';
+      const renderPreview = () => {
+        preview.textContent = fillPromptTemplate(template, values);
+      };
+      renderPreview();
+
+      const actions = document.createElement('div');
+      actions.style.cssText = 'display: flex; gap: 8px; justify-content: flex-end;';
+      const back = document.createElement('button');
+      back.className = 'pt-btn';
+      back.style.cssText = 'padding: 8px 14px; font-size: 13px; background: var(--pt-bg-muted); color: var(--pt-text-primary);';
+      back.textContent = 'Back';
+      back.addEventListener('click', showList);
+      const insert = document.createElement('button');
+      insert.className = 'pt-btn pt-btn-primary';
+      insert.style.cssText = 'padding: 8px 14px; font-size: 13px;';
+      insert.textContent = 'Insert';
+      insert.addEventListener('click', () => {
+        const text = fillPromptTemplate(template, values);
+        close();
+        if (this.insertPromptText(text)) {
+          this.showShortcutNotification(`📄 Inserted "${template.name}"`);
+        } else {
+          navigator.clipboard.writeText(text)
+            .then(() => this.showShortcutNotification('📋 No message box found — template copied to clipboard'))
+            .catch(() => this.showShortcutNotification('⚠️ No message box found to insert into', 'warning'));
+        }
+      });
+      actions.append(back, insert);
+
+      body.replaceChildren(...fields, preview, actions);
+      const firstInput = body.querySelector('textarea');
+      if (firstInput) firstInput.focus();
+    };
+
+    if (templates.length === 1) showForm(templates[0]);
+    else showList();
+  }
+
   findAndCapturePrompt() {
     console.log('findAndCapturePrompt called, platform:', this.platform);
     // Platform-specific prompt detection
@@ -958,19 +1380,21 @@ class PromptTracer {
     // overwriting the panel with stale text.
     this.analysisGeneration += 1;
     const generation = this.analysisGeneration;
-
-    const promptData = new PromptData(promptText, this.platform);
-    const analysis = this.optimizer.analyzePrompt(promptText);
-    promptData.metrics = buildStoredMetrics(analysis);
-
-    // Show analysis immediately with rule-based optimization (fast, always works)
-    if (!analysis.quality) {
-      analysis.quality = this.optimizer.determineQuality((analysis.metrics && analysis.metrics.overallScore) || 0);
-    }
+    // A rewrite still streaming in, or feedback still on its way, is for
+    // the old text
+    this.cancelAIStream();
+    this.cancelAIFeedback();
+
+    const { promptData, analysis } = this.buildPromptData(promptText);
+    // The latest analyzed draft. If it's what ends up being sent, its
+    // analysis (and any AI rewrite that arrived) becomes the history entry.
+    this.currentPrompt = promptData;
+    // A prompt holding a secret is never sent to the AI provider; the
+    // rule-based analysis runs entirely in the page
+    const hasSecrets = analysis.secrets.length > 0;
 
     // Always show rule-based optimization immediately (no waiting)
-    const immediateOptimization = this.optimizer.optimizePrompt(promptText, analysis);
-    promptData.setOptimizedVersion(immediateOptimization);
+    const immediateOptimization = promptData.optimizedVersion;
     if (this.settings.showPanel) {
       const panelExists = this.currentPanel && document.body.contains(this.currentPanel);
       if (panelExists) {
@@ -980,166 +1404,264 @@ class PromptTracer {
         const feedback = this.generateRealTimeFeedback(promptText, analysis);
         const feedbackSection = this.currentPanel.querySelector('#prompt-tracer-feedback');
         if (feedbackSection) feedbackSection.innerHTML = this.renderFeedbackItems(feedback);
-        this.updateOptimizedPrompt(immediateOptimization);
+        this.setVariants(analysis.variants, promptText, analysis.pack.id);
+        this.renderSecretWarning(analysis.secrets);
       } else {
         this.showAnalysis(promptData, analysis, immediateOptimization, generation);
       }
-      this.fetchAIFeedback(promptText, analysis, generation);
+      if (!hasSecrets) this.fetchAIFeedback(promptText, analysis, generation);
     }
 
+    if (hasSecrets) return;
+
     // Try AI optimization in background if API key exists (non-blocking)
-    this.checkApiKeyStatus().then(hasApiKey => {
+    this.getProviderStatus().then(providerStatus => {
+      const hasApiKey = Boolean(providerStatus && providerStatus.configured);
       if (!hasApiKey || !this.settings.llmOptimization) {
         // No API key - already showing rule-based, done
-        this.storePromptData(promptData);
         return;
       }
 
-      // Has API key - try LLM optimization in background (updates panel when ready)
-      // Check if extension context is valid first
-      if (!chrome || !chrome.runtime || !chrome.runtime.sendMessage) {
+      // Has API key - stream the AI rewrite into the panel as it's written
+      if (!chrome || !chrome.runtime || !chrome.runtime.connect) {
         console.warn('Extension context invalidated - using rule-based optimization');
-        this.storePromptData(promptData);
         return; // Already showing rule-based, no need to update
       }
+      if (generation !== this.analysisGeneration) return;
+      this.streamAIOptimization(promptText, analysis, promptData);
+    }).catch(error => {
+      console.log('Error checking API key status, using rule-based:', error);
+      // Already showing rule-based
+    });
+  }
 
-      // Try AI optimization with shorter timeout
-      const optimizationPromise = this.getLLMOptimizedPrompt(promptText, analysis);
-      const timeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Optimization timeout')), 5000) // 5 second timeout
-      );
-
-      Promise.race([optimizationPromise, timeoutPromise])
-        .then(optimizedPrompt => {
-          console.log('Got LLM optimized prompt, updating panel...', optimizedPrompt);
-          console.log('Original:', promptText);
-          console.log('Rule-based:', immediateOptimization);
-          console.log('AI optimized:', optimizedPrompt);
-
-          this.storePromptData(promptData);
+  // Analysis + rule-based optimization for one prompt text, packaged as the
+  // PromptData that becomes a history entry if the text is sent.
+  buildPromptData(promptText) {
+    const promptData = new PromptData(promptText, this.platform);
+    const analysis = this.optimizer.analyzePrompt(promptText, { pack: this.packOverride });
+    promptData.metrics = buildStoredMetrics(analysis);
+    promptData.rubric = analysis.rubric;
+    promptData.pack = analysis.pack.id;
+    promptData.checks = analysis.checks.map(({ id, name, ok, weight, label }) => ({ id, name, ok, weight, label }));
+    analysis.secrets = this.secretScanner.scan(promptText);
+    promptData.secrets = analysis.secrets.map(({ id, name }) => ({ id, name }));
 
-          if (generation !== this.analysisGeneration) {
-            console.log('Discarding stale AI optimization — input has changed since this request started');
-            return;
-          }
+    if (!analysis.quality) {
+      analysis.quality = this.optimizer.determineQuality((analysis.metrics && analysis.metrics.overallScore) || 0);
+    }
+    promptData.quality = analysis.quality;
 
-          // Update if we got a valid AI optimization (always update if AI succeeded)
-          if (optimizedPrompt && optimizedPrompt.trim()) {
-            // Safety net: verify the AI's rewrite isn't weaker than it should
-            // be on our own rubric, and patch any still-failing check before
-            // showing it. This is what guarantees the suggested prompt never
-            // scores worse than what the user typed.
-            const candidateChecks = this.optimizer.runChecks(optimizedPrompt);
-            const finalOptimized = this.optimizer.reinforceFailedChecks(optimizedPrompt, candidateChecks);
-            console.log('Updating panel with AI optimization');
-            promptData.setOptimizedVersion(finalOptimized);
-            this.updateOptimizedPrompt(finalOptimized);
-          } else {
-            console.log('AI optimization returned empty, keeping rule-based');
-          }
-        })
-        .catch(error => {
-          console.log('AI optimization failed or timed out, keeping rule-based:', error.message);
-          // Keep the rule-based optimization that's already showing
-          this.storePromptData(promptData);
-        });
-    }).catch(error => {
-      console.log('Error checking API key status, using rule-based:', error);
-      // Already showing rule-based, just store the data
-      this.storePromptData(promptData);
+    analysis.variants = this.optimizer.generateVariants(promptText, analysis, {
+      platform: this.platform,
+      style: this.settings.promptStyles[this.platform]
     });
+    promptData.setOptimizedVersion(analysis.variants.find(variant => variant.preferred).text);
+    return { promptData, analysis };
   }
 
   detectNewMessages() {
-    // Detect when AI responses are received
-    setTimeout(() => {
+    // Only a sent prompt has a reply worth looking for
+    if (!this.pendingTurn) return;
+    // Throttled, not debounced: a streaming reply mutates the page
+    // continuously, and the first check is what times the first token.
+    if (!this.responseCheckTimer || this.responseCheckDue - Date.now() > 250) {
+      this.scheduleResponseCheck(250);
+    }
+  }
+
+  scheduleResponseCheck(delay) {
+    clearTimeout(this.responseCheckTimer);
+    this.responseCheckDue = Date.now() + delay;
+    this.responseCheckTimer = setTimeout(() => {
+      this.responseCheckTimer = null;
       this.captureAIResponse();
-    }, 500);
+    }, delay);
   }
 
-  captureAIResponse() {
-    // Platform-specific response detection
-    const responseSelectors = {
-      gpt: '.markdown, .prose, [data-message-author-role="assistant"]',
-      claude: '.claude-message, .prose',
-      grok: '.message-content, .response',
-      gemini: '.response-content, .message'
-    };
+  readReply(element) {
+    return (element.innerText || element.textContent || '').trim();
+  }
 
-    const selector = responseSelectors[this.platform];
-    if (!selector) return;
+  isReplyStreaming(element) {
+    const dom = PLATFORM_DOM[this.platform];
+    if (!dom) return false;
+    if (element.matches(dom.streaming) || element.closest(dom.streaming) || element.querySelector(dom.streaming)) {
+      return true;
+    }
+    const stop = document.querySelector(dom.stopButton);
+    return Boolean(stop && stop.offsetParent !== null);
+  }
 
-    const responseElements = document.querySelectorAll(selector);
-    if (responseElements.length > 0) {
-      const latestResponse = responseElements[responseElements.length - 1];
-      const responseText = latestResponse.textContent.trim();
-      
-      if (responseText && this.currentPrompt) {
-        this.currentPrompt.setResponse(responseText);
-        this.updatePromptData(this.currentPrompt);
+  captureAIResponse() {
+    const turn = this.pendingTurn;
+    const dom = PLATFORM_DOM[this.platform];
+    if (!turn || !dom) return;
+
+    const now = Date.now();
+    const replies = document.querySelectorAll(dom.assistantMessage);
+    const latest = replies[replies.length - 1];
+    const text = latest ? this.readReply(latest) : '';
+    const isNewReply = latest && text && (
+      replies.length > turn.baselineCount ||
+      (latest !== turn.baselineElement && text !== turn.baselineText)
+    );
+
+    if (!isNewReply) {
+      if (now - turn.sentAt > RESPONSE_TIMEOUT_MS) {
+        this.pendingTurn = null;
+        this.watchReplies(false);
+      } else {
+        this.scheduleResponseCheck(RESPONSE_SETTLE_MS);
       }
+      return;
+    }
+
+    if (!turn.firstTokenAt) turn.firstTokenAt = now;
+    if (text !== turn.lastText) {
+      turn.lastText = text;
+      turn.lastChangeAt = now;
+    }
+
+    const settled = !this.isReplyStreaming(latest) && now - turn.lastChangeAt >= RESPONSE_SETTLE_MS;
+    if (settled || now - turn.sentAt > RESPONSE_TIMEOUT_MS) {
+      this.finishTurn();
+    } else {
+      // Mutations stop once streaming does, so don't rely on them to
+      // trigger the check that sees the reply has settled
+      this.scheduleResponseCheck(RESPONSE_SETTLE_MS);
     }
   }
 
-  storePromptData(promptData) {
-    if (!this.settings.saveHistory) return;
+  finishTurn() {
+    const turn = this.pendingTurn;
+    this.pendingTurn = null;
+    this.watchReplies(false);
+    clearTimeout(this.responseCheckTimer);
+    this.responseCheckTimer = null;
+    if (!turn || !turn.lastText) return;
+
+    const { promptData } = turn;
+    promptData.setResponse(turn.lastText, turn.firstTokenAt);
+    promptData.responseRelevance = scoreResponseRelevance(promptData.prompt, turn.lastText);
+    promptData.conversationId = this.getConversationId() || promptData.conversationId;
+    this.updatePromptData(promptData);
+    if (this.settings.saveHistory) this.showResponseRating(promptData);
+  }
+
+  // A small card in the corner once a reply has finished: rate it 1–5 and
+  // the rating goes onto that turn's history entry, next to the automatic
+  // relevance score. Dismissed by rating it, closing it, the next reply
+  // taking its place, or being left alone for a while.
+  showResponseRating(promptData) {
+    const existing = document.getElementById('prompt-tracer-rating');
+    if (existing) existing.remove();
+    clearTimeout(this.ratingTimer);
+
+    const card = document.createElement('div');
+    card.id = 'prompt-tracer-rating';
+    card.className = 'pt-rating';
+    card.setAttribute('role', 'group');
+    card.setAttribute('aria-label', 'Rate this answer');
+
+    const header = document.createElement('div');
+    header.className = 'pt-rating-header';
+    const title = document.createElement('span');
+    title.textContent = 'How good was this answer?';
+    const close = document.createElement('button');
+    close.className = 'pt-rating-close';
+    close.title = 'Dismiss';
+    close.setAttribute('aria-label', 'Dismiss');
+    close.textContent = '×';
+    header.append(title, close);
+
+    const stars = document.createElement('div');
+    stars.className = 'pt-rating-stars';
+    for (let value = 1; value <= 5; value++) {
+      const star = document.createElement('button');
+      star.dataset.rating = String(value);
+      star.textContent = '★';
+      star.title = `${value} of 5`;
+      star.setAttribute('aria-label', `${value} of 5`);
+      stars.appendChild(star);
+    }
 
-    try {
-      if (!chrome || !chrome.storage || !chrome.storage.local) {
-        console.warn('Extension context invalidated - cannot store prompt');
-        return;
-      }
-      
-    chrome.storage.local.get(['promptHistory'], (result) => {
-        try {
-          if (chrome.runtime && chrome.runtime.lastError) {
-            console.warn('Extension context invalidated:', chrome.runtime.lastError.message);
-            return;
-          }
-          
-      const history = result.promptHistory || [];
-      history.push(promptData);
-      
-      // Keep only last 100 prompts
-      if (history.length > 100) {
-        history.splice(0, history.length - 100);
-      }
-      
-      chrome.storage.local.set({ promptHistory: history });
-        } catch (error) {
-          console.error('Error storing prompt:', error);
-        }
+    const note = document.createElement('div');
+    note.className = 'pt-rating-note';
+    note.textContent = typeof promptData.responseRelevance === 'number'
+      ? `Automatic relevance: ${promptData.responseRelevance}/100`
+      : '';
+
+    card.append(header, stars, note);
+    document.body.appendChild(card);
+
+    const dismiss = (delay) => {
+      clearTimeout(this.ratingTimer);
+      this.ratingTimer = setTimeout(() => card.remove(), delay);
+    };
+    stars.addEventListener('mouseover', (e) => {
+      const value = Number(e.target.dataset.rating) || 0;
+      stars.querySelectorAll('button').forEach(star => {
+        star.classList.toggle('active', Number(star.dataset.rating) <= value);
+      });
     });
-    } catch (error) {
-      console.error('Extension context error:', error);
-    }
+    stars.addEventListener('mouseleave', () => {
+      stars.querySelectorAll('button').forEach(star => {
+        star.classList.toggle('active', Number(star.dataset.rating) <= (promptData.userRating || 0));
+      });
+    });
+    stars.addEventListener('click', (e) => {
+      const value = Number(e.target.dataset.rating);
+      if (!value) return;
+      promptData.setUserRating(value);
+      this.updatePromptData(promptData);
+      title.textContent = `Rated ${value}/5 — thanks`;
+      dismiss(1500);
+    });
+    close.addEventListener('click', () => dismiss(0));
+    dismiss(45000);
+  }
+
+  // History lives in IndexedDB in the background worker (one writer, no
+  // cross-tab races); this just hands the entry over.
+  storePromptData(promptData) {
+    if (!this.settings.saveHistory) return;
+    this.sendHistoryMessage({ action: 'addHistoryEntry', entry: this.toHistoryEntry(promptData) });
   }
 
   updatePromptData(promptData) {
+    this.sendHistoryMessage({ action: 'updateHistoryEntry', id: promptData.id, changes: this.toHistoryEntry(promptData) });
+  }
+
+  // The entry as history keeps it: any secret in the prompt, its optimized
+  // version or the reply (which may echo it back) replaced by its
+  // placeholder. promptData itself keeps the real text, since the page
+  // still matches it against the composer.
+  toHistoryEntry(promptData) {
+    const redact = (text) => typeof text === 'string' ? this.secretScanner.redact(text) : text;
+    return {
+      ...promptData,
+      prompt: redact(promptData.prompt),
+      optimizedVersion: redact(promptData.optimizedVersion),
+      response: redact(promptData.response)
+    };
+  }
+
+  sendHistoryMessage(message) {
     try {
-      if (!chrome || !chrome.storage || !chrome.storage.local) {
-        console.warn('Extension context invalidated - cannot update prompt');
+      if (!chrome || !chrome.runtime || !chrome.runtime.sendMessage) {
+        console.warn('Extension context invalidated - cannot save prompt history');
         return;
       }
-      
-    chrome.storage.local.get(['promptHistory'], (result) => {
-        try {
-          if (chrome.runtime && chrome.runtime.lastError) {
-            console.warn('Extension context invalidated:', chrome.runtime.lastError.message);
-            return;
-          }
-          
-      const history = result.promptHistory || [];
-      const index = history.findIndex(p => p.id === promptData.id);
-      
-      if (index !== -1) {
-        history[index] = promptData;
-        chrome.storage.local.set({ promptHistory: history });
+      // Round-trip through JSON so the PromptData instance goes over as the
+      // same plain record the store keeps
+      chrome.runtime.sendMessage(JSON.parse(JSON.stringify(message)))
+        .then(response => {
+          if (response && response.success === false) {
+            console.error('Error saving prompt history:', response.error);
           }
-        } catch (error) {
-          console.error('Error updating prompt:', error);
-        }
-      });
+        })
+        .catch(error => console.warn('Extension context error:', error.message));
     } catch (error) {
       console.error('Extension context error:', error);
     }
@@ -1157,13 +1679,10 @@ class PromptTracer {
       existingPanel.remove();
     }
 
-    // Check API key status first (needed for template)
-    let hasApiKey = false;
-    try {
-      hasApiKey = await this.checkApiKeyStatus();
-    } catch (error) {
-      hasApiKey = false;
-    }
+    // Check provider status first (needed for template)
+    const providerStatus = await this.getProviderStatus();
+    const hasApiKey = Boolean(providerStatus && providerStatus.configured);
+    const providerLabel = (providerStatus && providerStatus.label) || 'OpenAI';
 
     const metrics = analysis.metrics || {};
     const clampedScore = getOverallScoreFromMetrics(metrics);
@@ -1226,10 +1745,13 @@ class PromptTracer {
             </div>
             <div>
               <h3 style="margin: 0; color: white; font-size: 16px; font-weight: 700;">Prompt Optimizer</h3>
-              <div style="font-size: 11px; color: rgba(255,255,255,0.85); margin-top: 2px;">${hasApiKey ? 'AI-powered optimization' : 'Rule-based optimization'}</div>
+              <div style="font-size: 11px; color: rgba(255,255,255,0.85); margin-top: 2px;">${hasApiKey ? `AI-powered optimization · ${providerLabel}` : 'Rule-based optimization'}</div>
             </div>
           </div>
           <div style="display: flex; gap: 6px; align-items: center;">
+            <button id="pt-templates-btn" class="pt-icon-btn" style="width: 28px; height: 28px;" title="Insert a template (Ctrl+Shift+L)">
+              <svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path><polyline points="14 2 14 8 20 8"></polyline><line x1="8" y1="13" x2="16" y2="13"></line><line x1="8" y1="17" x2="13" y2="17"></line></svg>
+            </button>
             <button id="settings-btn" class="pt-icon-btn" style="width: 28px; height: 28px;" title="Open Settings">
               <svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="3"></circle><path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 1 1-2.83 2.83l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 0 1-4 0v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 1 1-2.83-2.83l.06-.06a1.65 1.65 0 0 0 .33-1.82 1.65 1.65 0 0 0-1.51-1H3a2 2 0 0 1 0-4h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 1 1 2.83-2.83l.06.06a1.65 1.65 0 0 0 1.82.33H9a1.65 1.65 0 0 0 1-1.51V3a2 2 0 0 1 4 0v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 1 1 2.83 2.83l-.06.06a1.65 1.65 0 0 0-.33 1.82V9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 0 1 0 4h-.09a1.65 1.65 0 0 0-1.51 1z"></path></svg>
             </button>
@@ -1240,7 +1762,10 @@ class PromptTracer {
         </div>
       </div>
 
-      ${this.renderCoreMetricsPanel(metrics, clampedScore, quality, config, analysis.checks)}
+      <div id="pt-secret-warning" class="pt-secret-warning" role="alert" hidden></div>
+      <div id="pt-token-count" class="pt-token-count" aria-live="polite" hidden></div>
+
+      ${this.renderCoreMetricsPanel(metrics, clampedScore, quality, config, analysis.checks, analysis.pack, analysis.language)}
 
       <!-- Feedback Section -->
       <div id="prompt-tracer-feedback" style="padding: 16px 20px; background: var(--pt-bg); border-bottom: 1px solid var(--pt-border);">
@@ -1256,11 +1781,22 @@ class PromptTracer {
                 <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M13 2 3 14h7l-1 8 10-12h-7l1-8z"></path></svg>
                 <span style="font-size: 13px; font-weight: 600; color: var(--pt-text-primary);">Ready-to-use version</span>
               </div>
-              <button id="copy-optimized" class="pt-btn pt-btn-primary" style="padding: 6px 12px; font-size: 11px;">Copy</button>
+              <div style="display: flex; gap: 6px;">
+                <button id="pt-toggle-diff" class="pt-btn" style="padding: 6px 10px; font-size: 11px; background: var(--pt-bg-muted); color: var(--pt-text-primary);" title="Compare with what you typed">Show changes</button>
+                <button id="copy-optimized" class="pt-btn pt-btn-primary" style="padding: 6px 12px; font-size: 11px;">Copy</button>
+              </div>
             </div>
+            <div id="pt-variant-tabs" class="pt-variant-tabs" role="tablist" aria-label="Optimization variants" hidden></div>
+            ${this.renderPromptStyleSelector()}
             <div style="background: var(--pt-accent-subtle); border: 1px solid var(--pt-border); border-radius: var(--pt-radius-md); padding: 14px; font-size: 13px; line-height: 1.6; color: var(--pt-text-primary); position: relative; max-height: 200px; overflow-y: auto;">
               <div id="optimized-text" style="white-space: pre-wrap; word-wrap: break-word;">${llmOptimizedPrompt}</div>
+              <div id="pt-diff-view" class="pt-diff" hidden></div>
             </div>
+            <div id="pt-ai-stream" class="pt-ai-stream" aria-live="polite" hidden>
+              <span id="pt-ai-stream-text">Writing the AI rewrite…</span>
+              <button id="pt-cancel-ai" class="pt-btn" style="padding: 4px 10px; font-size: 11px; background: var(--pt-bg-muted); color: var(--pt-text-primary);">Cancel</button>
+            </div>
+            <div id="pt-diff-summary" style="margin-top: 6px; font-size: 10px; color: var(--pt-text-muted);" hidden></div>
             <div style="margin-top: 10px;">
               <button id="use-optimized" class="pt-btn pt-btn-primary" style="width: 100%; padding: 12px; font-size: 14px;">
                 Use this prompt
@@ -1268,7 +1804,12 @@ class PromptTracer {
             </div>
             ${hasApiKey ? `
               <div style="margin-top: 8px; text-align: center; font-size: 10px; color: var(--pt-text-muted);">
-                AI-powered optimization
+                AI-powered optimization · ${providerLabel}
+              </div>
+            ` : providerStatus && providerStatus.needsSettings ? `
+              <div style="margin-top: 12px; padding: 12px; background: var(--pt-warning-subtle); border: 1px solid var(--pt-border); border-radius: var(--pt-radius-md);">
+                <div style="font-size: 12px; font-weight: 600; color: var(--pt-warning-text); margin-bottom: 2px;">Finish AI setup</div>
+                <div style="font-size: 10px; color: var(--pt-text-secondary);">${providerLabel}: ${providerStatus.problem || 'setup incomplete'} — finish it in Settings.</div>
               </div>
             ` : `
               <div style="margin-top: 12px; padding: 12px; background: var(--pt-warning-subtle); border: 1px solid var(--pt-border); border-radius: var(--pt-radius-md);">
@@ -1276,16 +1817,18 @@ class PromptTracer {
                   <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="var(--pt-warning-text)" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="flex-shrink: 0;"><path d="M21 2l-2 2m-7.61 7.61a5.5 5.5 0 1 1-7.778 7.778 5.5 5.5 0 0 1 7.777-7.777zm0 0L15.5 7.5m0 0l3 3L22 7l-3-3m-3.5 3.5L19 4"></path></svg>
                   <div style="flex: 1;">
                     <div style="font-size: 12px; font-weight: 600; color: var(--pt-warning-text); margin-bottom: 2px;">Enable AI optimization</div>
-                    <div style="font-size: 10px; color: var(--pt-text-secondary);">Add your OpenAI API key for better results</div>
+                    <div style="font-size: 10px; color: var(--pt-text-secondary);">Add your ${providerLabel} API key for better results</div>
                   </div>
                 </div>
                 <div style="display: flex; gap: 6px; align-items: center;">
-                  <input type="password" id="inline-api-key" placeholder="sk-proj-..." style="flex: 1; padding: 8px 10px; border: 1px solid var(--pt-border-strong); border-radius: var(--pt-radius-sm); font-size: 11px; font-family: 'Monaco', 'Courier New', monospace; background: var(--pt-bg); color: var(--pt-text-primary);" autocomplete="off">
+                  <input type="password" id="inline-api-key" placeholder="${(providerStatus && providerStatus.keyPlaceholder) || 'sk-proj-...'}" style="flex: 1; padding: 8px 10px; border: 1px solid var(--pt-border-strong); border-radius: var(--pt-radius-sm); font-size: 11px; font-family: 'Monaco', 'Courier New', monospace; background: var(--pt-bg); color: var(--pt-text-primary);" autocomplete="off">
                   <button id="save-inline-api-key" class="pt-btn pt-btn-primary" style="padding: 8px 14px; font-size: 11px; white-space: nowrap;">Save</button>
                 </div>
-                <div style="margin-top: 8px; font-size: 10px; color: var(--pt-text-secondary);">
-                  <a href="https://platform.openai.com/api-keys" target="_blank" style="text-decoration: none; font-weight: 500;">Get your key here</a>
-                </div>
+                ${!providerStatus || providerStatus.keyUrl ? `
+                  <div style="margin-top: 8px; font-size: 10px; color: var(--pt-text-secondary);">
+                    <a href="${(providerStatus && providerStatus.keyUrl) || 'https://platform.openai.com/api-keys'}" target="_blank" style="text-decoration: none; font-weight: 500;">Get your key here</a>
+                  </div>
+                ` : ''}
               </div>
             `}
           </div>
@@ -1299,6 +1842,40 @@ class PromptTracer {
     `;
 
     document.body.appendChild(panel);
+    this.currentPanel = panel;
+    this.renderSecretWarning(analysis.secrets || []);
+    this.updateTokenCount(this.lastMonitoredValue || promptData.prompt);
+
+    const secretWarning = panel.querySelector('#pt-secret-warning');
+    secretWarning.addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      if (!button) return;
+      if (button.id === 'pt-redact-secrets') {
+        this.redactComposerSecrets();
+      } else if (button.id === 'pt-send-anyway') {
+        // Lets exactly this text through; any edit brings the check back
+        this.secretsAllowedFor = this.readComposer();
+        this.renderSecretWarning([]);
+      }
+    });
+
+    panel.addEventListener('change', (e) => {
+      if (e.target && e.target.id === 'pt-pack-select') {
+        this.packOverride = e.target.value === 'auto' ? null : e.target.value;
+        // The panel outlives the prompt it was first built for, so re-run
+        // on whatever is in the composer now.
+        this.capturePrompt(this.lastMonitoredValue || promptData.prompt);
+      } else if (e.target && e.target.id === 'pt-style-select') {
+        const styles = { ...this.settings.promptStyles };
+        if (e.target.value === 'auto') delete styles[this.platform];
+        else styles[this.platform] = e.target.value;
+        this.settings.promptStyles = styles;
+        chrome.storage.local.set({ 'prompt-styles': styles });
+        const row = panel.querySelector('#pt-style-row');
+        if (row) row.outerHTML = this.renderPromptStyleSelector().trim();
+        this.capturePrompt(this.lastMonitoredValue || promptData.prompt);
+      }
+    });
 
     // Add settings button functionality
     const settingsButton = panel.querySelector('#settings-btn');
@@ -1325,6 +1902,15 @@ class PromptTracer {
       });
     }
 
+    const templatesButton = panel.querySelector('#pt-templates-btn');
+    if (templatesButton) {
+      templatesButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.showTemplatePicker();
+      });
+    }
+
     // Add close button functionality
     const closeButton = panel.querySelector('#close-analysis-panel');
     if (closeButton) {
@@ -1397,31 +1983,22 @@ class PromptTracer {
             return;
           }
           
-          if (!apiKey.startsWith('sk-')) {
-            saveInlineApiKeyBtn.textContent = 'Invalid';
-            saveInlineApiKeyBtn.style.background = 'var(--pt-danger)';
-            setTimeout(() => {
-              saveInlineApiKeyBtn.textContent = 'Save';
-              saveInlineApiKeyBtn.style.background = 'var(--pt-accent)';
-            }, 2000);
-            return;
-          }
-          
           // Save the key
           saveInlineApiKeyBtn.textContent = 'Saving...';
           saveInlineApiKeyBtn.style.opacity = '0.7';
           saveInlineApiKeyBtn.disabled = true;
           
-          chrome.storage.local.set({ 'openai-api-key': apiKey }, async () => {
+          (async () => {
             try {
               // Check if runtime is available
               if (!chrome.runtime || !chrome.runtime.sendMessage) {
                 throw new Error('Extension context invalidated');
               }
               
-              // Test the API key
+              // The background worker checks the key's format for the
+              // selected provider, tests it, and only stores it if it works
               const testResponse = await chrome.runtime.sendMessage({
-                action: 'testApiKey',
+                action: 'saveApiKey',
                 apiKey: apiKey
               });
               
@@ -1436,6 +2013,7 @@ class PromptTracer {
                 }, 1000);
               } else {
                 saveInlineApiKeyBtn.textContent = 'Failed';
+                saveInlineApiKeyBtn.title = (testResponse && testResponse.error) || '';
                 saveInlineApiKeyBtn.style.background = 'var(--pt-danger)';
                 setTimeout(() => {
                   saveInlineApiKeyBtn.textContent = 'Save';
@@ -1455,7 +2033,7 @@ class PromptTracer {
                 saveInlineApiKeyBtn.style.opacity = '1';
               }, 2000);
             }
-          });
+          })();
         } catch (error) {
           console.error('Error saving API key:', error);
           saveInlineApiKeyBtn.textContent = 'Error';
@@ -1477,38 +2055,36 @@ class PromptTracer {
       });
     }
     
+    const diffToggle = panel.querySelector('#pt-toggle-diff');
+    if (diffToggle) {
+      diffToggle.addEventListener('click', () => {
+        this.showPromptDiff = !this.showPromptDiff;
+        this.renderPromptDiff();
+      });
+    }
+    const diffView = panel.querySelector('#pt-diff-view');
+    if (diffView) {
+      diffView.addEventListener('click', (e) => {
+        const addition = e.target.closest('[data-change]');
+        if (!addition || !this.promptDiff) return;
+        const index = Number(addition.dataset.change);
+        const { rejected } = this.promptDiff;
+        if (rejected.has(index)) rejected.delete(index);
+        else rejected.add(index);
+        this.renderPromptDiff();
+      });
+    }
+
     // Add "Use This Prompt" button functionality
     const useButton = panel.querySelector('#use-optimized');
     if (useButton) {
       useButton.addEventListener('click', () => {
+        // Never insert half a rewrite: stop it and use the tab it was over
+        this.cancelAIStream();
         const text = panel.querySelector('#optimized-text').textContent;
-        
-        // Try to find and fill the input field
-        const selectors = {
-          gpt: ['div[contenteditable="true"]', 'textarea[data-id="root"]', 'textarea[placeholder*="Message"]'],
-          claude: ['div[contenteditable="true"]', 'textarea[placeholder*="Message"]'],
-          grok: ['textarea[placeholder*="Message"]', 'textarea[aria-label*="Ask"]', 'div[contenteditable="true"]', 'textarea'],
-          gemini: ['textarea[placeholder*="Message"]', 'div[contenteditable="true"]']
-        };
-        
-        const platformSelectors = selectors[this.platform] || selectors.gpt;
-        let filled = false;
-        
-        for (const selector of platformSelectors) {
-          const element = document.querySelector(selector);
-          if (element) {
-            if (element.contentEditable === 'true') {
-              element.textContent = text;
-              element.dispatchEvent(new Event('input', { bubbles: true }));
-              filled = true;
-            } else if (element.tagName === 'TEXTAREA') {
-              element.value = text;
-              element.dispatchEvent(new Event('input', { bubbles: true }));
-              filled = true;
-            }
-            if (filled) break;
-          }
-        }
+        const variant = this.variants.find(v => v.id === this.selectedVariantId);
+        this.insertedVariant = variant ? { id: variant.id, name: variant.name, text } : null;
+        const filled = this.insertPromptText(text);
         
         if (filled) {
           useButton.textContent = '✓ Prompt inserted!';
@@ -1535,9 +2111,180 @@ class PromptTracer {
     this.currentPanel = panel;
     this.currentAnalysis = analysis;
     this.currentOptimizedPrompt = llmOptimizedPrompt;
+    const cancelAIButton = panel.querySelector('#pt-cancel-ai');
+    if (cancelAIButton) {
+      cancelAIButton.addEventListener('click', () => this.cancelAIStream());
+    }
+    const variantTabs = panel.querySelector('#pt-variant-tabs');
+    if (variantTabs) {
+      variantTabs.addEventListener('click', (e) => {
+        const tab = e.target.closest('[data-variant]');
+        if (tab) this.selectVariant(tab.dataset.variant);
+      });
+    }
+    if (analysis.variants) {
+      this.setVariants(analysis.variants, promptData.prompt, analysis.pack.id);
+    } else if (llmOptimizedPrompt) {
+      this.setPromptDiff(promptData.prompt, llmOptimizedPrompt, analysis.pack.id);
+    }
+  }
+
+  // Throttled rather than debounced, so the count moves while the user is
+  // still typing instead of only once they stop.
+  scheduleTokenCount(text) {
+    this.pendingTokenText = text;
+    if (this.tokenCountTimer) return;
+    this.tokenCountTimer = setTimeout(() => {
+      this.tokenCountTimer = null;
+      this.updateTokenCount(this.pendingTokenText);
+    }, 250);
+  }
+
+  // The real count runs in the background worker, which holds the rank
+  // table; if it can't answer (or the extension was reloaded under the
+  // page) the approximation stands in. Answers for text that has since
+  // changed are dropped.
+  updateTokenCount(text) {
+    const model = getChatModel(this.platform, this.settings.chatModels[this.platform]);
+    this.pendingTokenText = text;
+    const last = this.lastTokenCount;
+    if (last && last.text === text && last.model === model.id) {
+      this.renderTokenCount(last.result, model);
+      return;
+    }
+    const show = (result) => {
+      if (text === this.pendingTokenText) this.renderTokenCount(result, model);
+    };
+    const approximate = () => show({ count: approximateTokenCount(text), exact: false });
+    try {
+      if (!chrome || !chrome.runtime || !chrome.runtime.sendMessage) {
+        approximate();
+        return;
+      }
+      chrome.runtime.sendMessage({ action: 'countTokens', text, platform: this.platform, model: model.id })
+        .then(response => {
+          if (response && typeof response.count === 'number') {
+            this.lastTokenCount = { text, model: model.id, result: response };
+            show(response);
+          } else {
+            approximate();
+          }
+        })
+        .catch(approximate);
+    } catch (error) {
+      approximate();
+    }
   }
 
-  renderCoreMetricsPanel(metrics, overallScore, quality, qualityConfig, checks) {
+  // "1,234 tokens · GPT-4o", plus a warning once the prompt and a typical
+  // reply come near the selected model's context window.
+  renderTokenCount({ count, exact }, model) {
+    const element = this.currentPanel && this.currentPanel.querySelector('#pt-token-count');
+    if (!element) return;
+
+    const usage = contextWindowUsage(count, model);
+    const summary = document.createElement('div');
+    summary.textContent = `${exact ? '' : '≈ '}${count.toLocaleString()} tokens · ${model.label}`;
+    summary.title = exact
+      ? `Counted with ${model.encoding}, ${model.label}'s tokenizer`
+      : `Approximate — ${model.label}'s exact tokenizer isn't available here`;
+    element.replaceChildren(summary);
+    element.className = `pt-token-count pt-token-${usage.level}`;
+
+    if (usage.level !== 'ok') {
+      const reply = usage.needed - count;
+      const warning = document.createElement('div');
+      warning.className = 'pt-token-warning';
+      warning.textContent = usage.level === 'over'
+        ? `⚠️ Too long for ${model.label}: with a ~${reply.toLocaleString()}-token reply this needs ${usage.needed.toLocaleString()} tokens, and its context window holds ${usage.limit.toLocaleString()}.`
+        : `⚠️ Close to ${model.label}'s limit: with a ~${reply.toLocaleString()}-token reply this uses ${Math.round(usage.ratio * 100)}% of its ${usage.limit.toLocaleString()}-token context window.`;
+      element.appendChild(warning);
+    }
+    element.hidden = false;
+  }
+
+  // The red banner at the top of the panel listing each secret found: its
+  // kind, where it is, and a masked hint of which value it means. Built
+  // with textContent, since the hint comes from the user's own text.
+  renderSecretWarning(findings) {
+    const warning = this.currentPanel && this.currentPanel.querySelector('#pt-secret-warning');
+    if (!warning) return;
+    const text = this.readComposer();
+    if (findings.length === 0 || (text && text === this.secretsAllowedFor)) {
+      warning.hidden = true;
+      warning.replaceChildren();
+      return;
+    }
+
+    const title = document.createElement('div');
+    title.className = 'pt-secret-title';
+    title.textContent = findings.length === 1
+      ? '⚠️ This prompt contains a secret — don\'t send it'
+      : `⚠️ This prompt contains ${findings.length} secrets — don't send it`;
+
+    const list = document.createElement('ul');
+    findings.forEach(finding => {
+      const item = document.createElement('li');
+      const name = document.createElement('strong');
+      name.textContent = finding.name;
+      const where = document.createElement('span');
+      where.textContent = ` · line ${finding.line}, column ${finding.column} · `;
+      const preview = document.createElement('code');
+      preview.textContent = finding.preview;
+      item.append(name, where, preview);
+      list.appendChild(item);
+    });
+
+    const note = document.createElement('div');
+    note.className = 'pt-secret-note';
+    note.textContent = 'Sending is blocked until it\'s removed. Nothing was sent to the AI provider, and history only keeps the placeholder.';
+
+    const actions = document.createElement('div');
+    actions.className = 'pt-secret-actions';
+    const redact = document.createElement('button');
+    redact.id = 'pt-redact-secrets';
+    redact.className = 'pt-btn pt-btn-danger';
+    redact.textContent = findings.length === 1 ? 'Redact it' : 'Redact all';
+    const sendAnyway = document.createElement('button');
+    sendAnyway.id = 'pt-send-anyway';
+    sendAnyway.className = 'pt-btn';
+    sendAnyway.textContent = 'Send anyway';
+    actions.append(redact, sendAnyway);
+
+    warning.replaceChildren(title, list, note, actions);
+    warning.hidden = false;
+  }
+
+  // Replaces whatever is in the platform's composer with `text`, firing the
+  // input event the page's own framework listens for. Returns false when no
+  // composer could be found (callers fall back to the clipboard).
+  insertPromptText(text) {
+    const selectors = {
+      gpt: ['div[contenteditable="true"]', 'textarea[data-id="root"]', 'textarea[placeholder*="Message"]'],
+      claude: ['div[contenteditable="true"]', 'textarea[placeholder*="Message"]'],
+      grok: ['textarea[placeholder*="Message"]', 'textarea[aria-label*="Ask"]', 'div[contenteditable="true"]', 'textarea'],
+      gemini: ['textarea[placeholder*="Message"]', 'div[contenteditable="true"]']
+    };
+
+    const platformSelectors = selectors[this.platform] || selectors.gpt;
+    for (const selector of platformSelectors) {
+      const element = document.querySelector(selector);
+      if (!element) continue;
+      if (element.contentEditable === 'true') {
+        element.textContent = text;
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        return true;
+      }
+      if (element.tagName === 'TEXTAREA') {
+        element.value = text;
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        return true;
+      }
+    }
+    return false;
+  }
+
+  renderCoreMetricsPanel(metrics, overallScore, quality, qualityConfig, checks, pack, language) {
     const config = qualityConfig || { color: 'var(--pt-accent)', icon: '✨', label: 'Analyzing' };
     const checkIcon = `<svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="var(--pt-success)" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>`;
     const emptyIcon = `<svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="var(--pt-border-strong)" stroke-width="2"><circle cx="12" cy="12" r="9"></circle></svg>`;
@@ -1568,6 +2315,54 @@ class PromptTracer {
         <div style="display: flex; flex-direction: column; gap: 6px;">
           ${checklist}
         </div>
+        ${pack ? this.renderPackSelector(pack, language) : ''}
+      </div>
+    `;
+  }
+
+  // Which domain pack scored this prompt (and in which language, when it
+  // isn't English), with a picker to override the pack.
+  // The select is re-rendered with the metrics section on every update, so
+  // its change handler is delegated from the panel (see showAnalysis()).
+  renderPackSelector(pack, language) {
+    const detected = getRubricPack(pack.detected);
+    const options = [
+      `<option value="auto" ${pack.overridden ? '' : 'selected'}>Auto (${detected.icon} ${detected.name})</option>`,
+      ...RUBRIC_PACKS.map(p => `<option value="${p.id}" ${pack.overridden && p.id === pack.id ? 'selected' : ''}>${p.icon} ${p.name}</option>`)
+    ].join('');
+    return `
+      <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px; margin-top: 12px; padding-top: 10px; border-top: 1px solid var(--pt-border); font-size: 11px; color: var(--pt-text-secondary);">
+        <span>Checked as <strong style="color: var(--pt-text-primary);">${pack.icon} ${pack.name}</strong>${pack.overridden ? '' : ' (detected)'}${language && language.code !== 'en' ? ` · ${language.name}` : ''}</span>
+        <select id="pt-pack-select" title="Choose which domain checks to apply" style="font-size: 11px; padding: 3px 6px; border: 1px solid var(--pt-border-strong); border-radius: var(--pt-radius-sm); background: var(--pt-bg); color: var(--pt-text-primary);">
+          ${options}
+        </select>
+      </div>
+    `;
+  }
+
+  // The layout the optimizer uses on this site: the user's pick (panel or
+  // Settings → Prompt format), else the platform's own.
+  getPromptStyle() {
+    return resolvePromptStyle(this.platform, this.settings.promptStyles[this.platform]);
+  }
+
+  // Which layout the suggestion was given, with a picker to override it.
+  // Unlike the pack, the pick is saved per platform: it's a preference
+  // about the model, not about one prompt.
+  renderPromptStyleSelector() {
+    const style = PROMPT_STYLES[this.getPromptStyle()];
+    const platformStyle = PROMPT_STYLES[resolvePromptStyle(this.platform, null)];
+    const overridden = Boolean(PROMPT_STYLES[this.settings.promptStyles[this.platform]]);
+    const options = [
+      `<option value="auto" ${overridden ? '' : 'selected'}>Auto (${platformStyle.name})</option>`,
+      ...Object.values(PROMPT_STYLES).map(s => `<option value="${s.id}" ${overridden && s.id === style.id ? 'selected' : ''}>${s.name}</option>`)
+    ].join('');
+    return `
+      <div id="pt-style-row" style="display: flex; align-items: center; justify-content: space-between; gap: 8px; margin-bottom: 8px; font-size: 11px; color: var(--pt-text-secondary);">
+        <span>Formatted as <strong style="color: var(--pt-text-primary);">${style.name}</strong>${overridden ? '' : ' (auto)'}</span>
+        <select id="pt-style-select" title="Choose how the suggestion is laid out" style="font-size: 11px; padding: 3px 6px; border: 1px solid var(--pt-border-strong); border-radius: var(--pt-radius-sm); background: var(--pt-bg); color: var(--pt-text-primary);">
+          ${options}
+        </select>
       </div>
     `;
   }
@@ -1809,56 +2604,154 @@ class PromptTracer {
     });
   }
 
+  // Event-driven, not polled: input and IME composition events say when
+  // the text changed, and a MutationObserver on the composer's own
+  // container catches the rest — text the page sets or clears itself, and
+  // the SPA swapping the composer element out (new chat, route change).
+  // Nothing runs while the user isn't typing, and everything is unhooked
+  // while the tab is hidden.
   startAutoMonitoring() {
-    // Monitor input field changes automatically with real-time updates
-    setInterval(() => {
-      this.monitorInputField();
-    }, 500); // Check every 500ms for real-time feel
+    this.boundComposer = null;
+    this.isComposing = false;
+    this.composerObserver = new MutationObserver(() => this.onComposerMutation());
+    // Only used until a composer exists to bind to
+    this.bootstrapObserver = new MutationObserver(() => {
+      if (!this.bootstrapFrame) {
+        this.bootstrapFrame = requestAnimationFrame(() => {
+          this.bootstrapFrame = null;
+          this.bindComposer(this.findComposer());
+        });
+      }
+    });
+
+    const onComposerEvent = (event) => {
+      if (document.hidden) return;
+      const composer = this.matchComposer(event.target);
+      if (!composer) return;
+      if (composer !== this.boundComposer) this.bindComposer(composer);
+
+      if (event.type === 'compositionstart') {
+        this.isComposing = true;
+      } else if (event.type === 'compositionend') {
+        this.isComposing = false;
+        this.monitorInputField();
+      } else if (event.type === 'input' && !this.isComposing && !event.isComposing) {
+        this.monitorInputField();
+      }
+    };
+    ['input', 'compositionstart', 'compositionend', 'focusin'].forEach(type => {
+      document.addEventListener(type, onComposerEvent, true);
+    });
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.pauseMonitoring();
+      } else {
+        this.resumeMonitoring();
+      }
+    });
+
+    if (!document.hidden) this.resumeMonitoring();
   }
 
-  monitorInputField() {
-    if (!this.settings.autoAnalysis) return;
+  // The composer element `target` is (or is inside), if any.
+  matchComposer(target) {
+    if (!(target instanceof Element) || this.isOwnUi(target)) return null;
+    const dom = PLATFORM_DOM[this.platform] || PLATFORM_DOM.gpt;
+    for (const selector of dom.composer) {
+      const match = target.closest(selector);
+      if (match) return match;
+    }
+    return null;
+  }
 
-    // Platform-specific input field monitoring
-    const selectors = {
-      gpt: ['div[contenteditable="true"]', 'textarea[data-id="root"]', 'textarea[placeholder*="Message"]'],
-      claude: ['div[contenteditable="true"]', 'textarea[placeholder*="Message"]'],
-      grok: ['textarea[placeholder*="Message"]', 'textarea[aria-label*="Ask"]', 'div[contenteditable="true"]', 'textarea'],
-      gemini: ['textarea[placeholder*="Message"]', 'div[contenteditable="true"]']
-    };
+  bindComposer(composer) {
+    if (!composer) {
+      this.boundComposer = null;
+      this.composerObserver.disconnect();
+      this.bootstrapObserver.observe(document.body, { childList: true, subtree: true });
+      return;
+    }
+    this.bootstrapObserver.disconnect();
+    if (composer === this.boundComposer) return;
+
+    this.boundComposer = composer;
+    this.isComposing = false;
+    this.composerObserver.disconnect();
+    // Scoped to the form (or a couple of levels up) — close enough to see
+    // the composer being replaced, far enough from the chat transcript not
+    // to wake up on every streamed token.
+    const scope = composer.closest('form') ||
+      (composer.parentElement && composer.parentElement.parentElement) ||
+      composer.parentElement || composer;
+    this.composerObserver.observe(scope, { childList: true, characterData: true, subtree: true });
+    this.monitorInputField();
+  }
+
+  onComposerMutation() {
+    if (!this.boundComposer || !this.boundComposer.isConnected) {
+      this.bindComposer(this.findComposer());
+      return;
+    }
+    if (!this.isComposing) this.monitorInputField();
+  }
 
-    const platformSelectors = selectors[this.platform] || selectors.gpt;
+  pauseMonitoring() {
+    this.composerObserver.disconnect();
+    this.bootstrapObserver.disconnect();
+    if (this.bootstrapFrame) {
+      cancelAnimationFrame(this.bootstrapFrame);
+      this.bootstrapFrame = null;
+    }
+    this.boundComposer = null;
+    // A reply still streaming is picked up by its own timer checks, which
+    // the browser already slows down in hidden tabs
+    this.watchReplies(false);
+  }
 
-    for (const selector of platformSelectors) {
-      const element = document.querySelector(selector);
-      if (!element) continue;
+  resumeMonitoring() {
+    this.bindComposer(this.findComposer());
+    if (this.pendingTurn) this.watchReplies(true);
+    // Catch up on anything that changed while hidden
+    this.monitorInputField();
+  }
 
-      const currentValue = element.value || element.textContent || '';
-      const trimmedValue = currentValue.trim();
+  monitorInputField() {
+    if (!this.settings.autoAnalysis) return;
 
-      if (trimmedValue.length === 0) {
-        if (this.lastMonitoredValue) {
-          this.lastMonitoredValue = '';
-          clearTimeout(this.debounceTimer);
-          const existingPanel = document.getElementById('prompt-tracer-panel');
-          if (existingPanel) existingPanel.remove();
-          this.currentPanel = null;
-        }
-        break;
-      }
+    const element = this.boundComposer && this.boundComposer.isConnected
+      ? this.boundComposer
+      : this.findComposer();
+    if (!element) return;
+
+    const currentValue = element.value || element.textContent || '';
+    const trimmedValue = currentValue.trim();
 
-      if (trimmedValue.length >= 3 && trimmedValue !== this.lastMonitoredValue) {
-        this.lastMonitoredValue = trimmedValue;
-        // Debounce: wait for a pause in typing before re-analyzing, instead
-        // of reacting to every keystroke. This is what was making the panel
-        // feel "shaky" — it was rebuilding on almost every character typed.
+    if (trimmedValue.length === 0) {
+      if (this.lastMonitoredValue) {
+        this.lastMonitoredValue = '';
+        this.packOverride = null;
+        this.variantPicked = false;
+        this.insertedVariant = null;
         clearTimeout(this.debounceTimer);
-        this.debounceTimer = setTimeout(() => {
-          this.capturePrompt(trimmedValue);
-        }, 700);
+        const existingPanel = document.getElementById('prompt-tracer-panel');
+        if (existingPanel) existingPanel.remove();
+        this.currentPanel = null;
       }
+      return;
+    }
 
-      break;
+    if (trimmedValue.length >= 3 && trimmedValue !== this.lastMonitoredValue) {
+      this.lastMonitoredValue = trimmedValue;
+      // The count keeps up with typing; the full analysis waits for a pause
+      if (this.currentPanel) this.scheduleTokenCount(trimmedValue);
+      // Debounce: wait for a pause in typing before re-analyzing, instead
+      // of reacting to every keystroke. This is what was making the panel
+      // feel "shaky" — it was rebuilding on almost every character typed.
+      clearTimeout(this.debounceTimer);
+      this.debounceTimer = setTimeout(() => {
+        this.capturePrompt(trimmedValue);
+      }, 700);
     }
   }
 
@@ -1871,26 +2764,11 @@ class PromptTracer {
     const checks = (analysis && analysis.checks) || this.optimizer.runChecks(promptText);
     const lowerPrompt = promptText.toLowerCase();
 
-    const iconById = {
-      substance: '📝',
-      clear_action: '🎯',
-      specific_details: '📊',
-      audience_or_context: '🌍',
-      structure_or_format: '📋'
-    };
-    const titleById = {
-      substance: 'Too Short',
-      clear_action: 'Unclear Intent',
-      specific_details: 'Too Vague',
-      audience_or_context: 'Missing Context',
-      structure_or_format: 'Could Be Better Organized'
-    };
-
     checks.filter(c => !c.ok).forEach(check => {
       feedback.push({
-        type: check.id === 'substance' ? 'error' : 'warning',
-        icon: iconById[check.id] || '💡',
-        title: titleById[check.id] || check.label,
+        type: check.severity || 'warning',
+        icon: check.icon || '💡',
+        title: check.title || check.label,
         message: check.label,
         suggestion: check.reinforce || undefined
       });
@@ -1937,45 +2815,27 @@ class PromptTracer {
     return feedback;
   }
 
-  async checkApiKeyStatus() {
-    return new Promise((resolve) => {
-      // Always resolve to false if extension context is invalid
-      // This prevents the error from breaking the extension
-      try {
-        // Check if chrome APIs are available
-        if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) {
-          resolve(false);
-          return;
-        }
-        
-        // Use try-catch around the entire operation
-        try {
-          chrome.storage.local.get(['openai-api-key'], (result) => {
-            try {
-              if (chrome.runtime && chrome.runtime.lastError) {
-                // Extension context invalidated
-                console.warn('Extension context invalidated');
-                resolve(false);
-                return;
-              }
-              const apiKey = result && result['openai-api-key'];
-              resolve(apiKey && apiKey.startsWith('sk-') && apiKey.length > 20);
-            } catch (error) {
-              console.error('Error reading API key:', error);
-              resolve(false);
-            }
-          });
-        } catch (error) {
-          // If chrome.storage.local.get itself throws, catch it here
-          console.error('Storage access error:', error);
-          resolve(false);
-        }
-      } catch (error) {
-        // Catch any other errors (like accessing chrome itself)
-        console.error('Extension context error:', error);
-        resolve(false);
+  // Whether the provider picked in Settings (OpenAI, Anthropic, Gemini, a
+  // custom OpenAI-compatible URL) has everything it needs. The background
+  // worker owns that judgement — key formats differ per provider — so this
+  // just asks it. Never rejects: a dead extension context reads as "not
+  // configured", same as a missing key.
+  async getProviderStatus() {
+    try {
+      if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.sendMessage) {
+        return null;
       }
-    });
+      const status = await chrome.runtime.sendMessage({ action: 'getProviderStatus' });
+      return status || null;
+    } catch (error) {
+      console.warn('Extension context error:', error.message);
+      return null;
+    }
+  }
+
+  async checkApiKeyStatus() {
+    const status = await this.getProviderStatus();
+    return Boolean(status && status.configured);
   }
 
   updateMetricsInPanel(analysis) {
@@ -1994,56 +2854,117 @@ class PromptTracer {
     const config = qualityConfig[quality] || qualityConfig.developing;
     const metricsSection = this.currentPanel.querySelector('#prompt-tracer-metrics');
     if (metricsSection) {
-      metricsSection.outerHTML = this.renderCoreMetricsPanel(metrics, clampedScore, quality, config, analysis.checks).trim();
+      metricsSection.outerHTML = this.renderCoreMetricsPanel(metrics, clampedScore, quality, config, analysis.checks, analysis.pack, analysis.language).trim();
     }
   }
 
-  updateFeedbackInPanel(feedback) {
+  // `cached` marks feedback the background answered from its response cache
+  // rather than a new provider call.
+  updateFeedbackInPanel(feedback, cached = false) {
     if (!this.currentPanel || !feedback || feedback.length === 0) return;
 
     const feedbackSection = this.currentPanel.querySelector('#prompt-tracer-feedback');
     if (!feedbackSection) return;
 
     feedbackSection.innerHTML = this.renderFeedbackItems(feedback);
+    if (cached) {
+      const note = document.createElement('div');
+      note.className = 'pt-cached-note';
+      note.title = 'Same prompt as earlier — no new call to your AI provider';
+      const badge = document.createElement('span');
+      badge.className = 'pt-cached-badge';
+      badge.textContent = 'cached';
+      note.append('AI feedback', badge);
+      feedbackSection.prepend(note);
+    }
   }
 
   // Single, centralized AI-feedback fetch — called once per capturePrompt()
   // pass, whether that pass built a new panel or updated an existing one.
+  // It comes over a port, like the rewrite, so the panel can say when the
+  // provider is rate-limiting it rather than going quiet until it times out.
   fetchAIFeedback(promptText, analysis, generation) {
-    this.checkApiKeyStatus().then(hasApiKey => {
-      if (!hasApiKey || !chrome || !chrome.runtime || !chrome.runtime.sendMessage) {
+    this.getProviderStatus().then(providerStatus => {
+      const hasApiKey = Boolean(providerStatus && providerStatus.configured);
+      if (!hasApiKey || !chrome || !chrome.runtime || !chrome.runtime.connect) {
         return;
       }
 
-      const aiFeedbackPromise = chrome.runtime.sendMessage({
-        action: 'generateFeedback',
-        prompt: promptText,
-        analysis: analysis
-      });
-
-      const timeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Timeout')), 3000)
-      );
+      this.cancelAIFeedback();
+      let port;
+      try {
+        port = chrome.runtime.connect({ name: 'feedback-stream' });
+      } catch (error) {
+        console.log('AI feedback unavailable, keeping rule-based:', error.message);
+        return;
+      }
+      const request = { port, status: null, timer: null };
+      this.aiFeedback = request;
+
+      // A slow reply is given up on, keeping the rule-based cards, once an
+      // attempt has run as long as the background allows it — timed from
+      // the end of any wait the scheduler announces. Giving up closes the
+      // port, which cancels the call rather than leaving it spending tokens.
+      // (The margin covers the round trip and a short queue.)
+      const timeoutMs = (providerStatus.feedbackTimeoutMs || 10000) + 1000;
+      const giveUpAfter = (ms) => {
+        clearTimeout(request.timer);
+        request.timer = setTimeout(() => {
+          console.log('AI feedback timed out, keeping rule-based');
+          this.cancelAIFeedback();
+        }, ms);
+      };
+      giveUpAfter(timeoutMs);
+
+      port.onMessage.addListener((message) => {
+        if (this.aiFeedback !== request) return;
+        if (message.type === 'status') {
+          request.status = message;
+          giveUpAfter(Math.max(0, message.retryAt - Date.now()) + timeoutMs);
+          this.renderAIStream();
+          return;
+        }
 
-      Promise.race([aiFeedbackPromise, timeoutPromise])
-        .then(aiFeedbackResponse => {
-          if (generation !== this.analysisGeneration) {
-            console.log('Discarding stale AI feedback — input has changed since this request started');
-            return;
-          }
-          if (aiFeedbackResponse && aiFeedbackResponse.feedback && aiFeedbackResponse.feedback.length > 0) {
-            this.updateFeedbackInPanel(aiFeedbackResponse.feedback);
-          }
-        })
-        .catch(error => {
-          console.log('AI feedback timeout/failed, keeping rule-based:', error.message);
-        });
+        this.cancelAIFeedback();
+        if (generation !== this.analysisGeneration) {
+          console.log('Discarding stale AI feedback — input has changed since this request started');
+          return;
+        }
+        if (message.feedback && message.feedback.length > 0) {
+          this.updateFeedbackInPanel(message.feedback, Boolean(message.cached));
+        } else if (message.notice && !this.aiStream && !this.aiNotice) {
+          // Say why there's no AI feedback rather than silently keeping
+          // the rule-based cards (the rewrite's own notice wins if both)
+          this.aiNotice = message.notice;
+          this.renderAIStream();
+        }
+      });
+      // The worker restarted or the extension was reloaded mid-request
+      port.onDisconnect.addListener(() => {
+        if (this.aiFeedback === request) this.cancelAIFeedback();
+      });
+      port.postMessage({ prompt: promptText, analysis });
     }).catch(error => {
       console.log('Error checking API key status for feedback, keeping rule-based:', error);
     });
   }
 
-  updateOptimizedPrompt(optimizedPrompt) {
+  // Drops the feedback request in flight (finished, timed out, or replaced
+  // by a newer prompt's); closing the port stops any retry still waiting.
+  cancelAIFeedback() {
+    const request = this.aiFeedback;
+    if (!request) return;
+    this.aiFeedback = null;
+    clearTimeout(request.timer);
+    try {
+      request.port.disconnect();
+    } catch (error) {
+      // Already gone with the extension context
+    }
+    this.renderAIStream();
+  }
+
+  updateOptimizedPrompt(optimizedPrompt, originalPrompt = null, packId = null) {
     if (!this.currentPanel || !optimizedPrompt) {
       console.log('Cannot update optimized prompt - no panel or no prompt');
       return;
@@ -2053,49 +2974,373 @@ class PromptTracer {
     if (optimizedTextElement) {
       optimizedTextElement.textContent = optimizedPrompt;
     }
+    if (originalPrompt !== null) {
+      this.setPromptDiff(originalPrompt, optimizedPrompt, packId);
+    }
+  }
+
+  // New variants for the current prompt. The tab showing stays the same
+  // one if the user picked it and it's still on offer; otherwise it's the
+  // variant optimizePrompt() itself would have given.
+  setVariants(variants, original, packId) {
+    this.variants = variants || [];
+    this.variantContext = { original, packId };
+    const picked = this.variantPicked && this.variants.find(v => v.id === this.selectedVariantId);
+    const selected = picked || this.variants.find(v => v.preferred) || this.variants[0];
+    this.selectedVariantId = selected ? selected.id : null;
+    this.renderVariantTabs();
+    if (selected) this.updateOptimizedPrompt(selected.text, original, packId);
+  }
+
+  // The AI rewrite joins the tabs (replacing an earlier one) and is shown
+  // straight away, unless the user has already picked a tab.
+  addVariant(variant) {
+    this.variants = [...this.variants.filter(v => v.id !== variant.id), variant];
+    if (!this.variantPicked) this.selectedVariantId = variant.id;
+    this.renderVariantTabs();
+    if (this.selectedVariantId === variant.id && this.variantContext) {
+      this.updateOptimizedPrompt(variant.text, this.variantContext.original, this.variantContext.packId);
+    }
+  }
+
+  selectVariant(id) {
+    const variant = this.variants.find(v => v.id === id);
+    if (!variant || !this.variantContext) return;
+    this.selectedVariantId = id;
+    this.variantPicked = true;
+    this.renderVariantTabs();
+    this.updateOptimizedPrompt(variant.text, this.variantContext.original, this.variantContext.packId);
   }
 
-  async getLLMOptimizedPrompt(originalPrompt, analysis) {
+  // Streams the AI rewrite in over a port to the background worker:
+  // #optimized-text follows it as it's written (unless the user has picked
+  // a tab), and the finished text gets the same safety net as ever —
+  // reinforceFailedChecks() — before it becomes the "AI rewrite" tab.
+  streamAIOptimization(promptText, analysis, promptData) {
+    let port;
     try {
-      console.log('Starting LLM optimization for prompt:', originalPrompt.substring(0, 50) + '...');
-      
-      // Check if extension context is valid
-      if (!chrome || !chrome.runtime || !chrome.runtime.sendMessage) {
-        throw new Error('Extension context invalidated');
+      port = chrome.runtime.connect({ name: 'optimize-stream' });
+    } catch (error) {
+      console.log('AI optimization unavailable, keeping rule-based version:', error.message);
+      return;
+    }
+    const stream = { port, text: '', status: null };
+    this.aiStream = stream;
+    this.aiNotice = null;
+    this.renderAIStream();
+
+    port.onMessage.addListener((message) => {
+      if (this.aiStream !== stream) return;
+      if (message.type === 'text') {
+        stream.text = message.text;
+        stream.status = null;
+        this.renderAIStream();
+        return;
+      }
+      if (message.type === 'status') {
+        // The scheduler is waiting out a rate limit or a failed attempt
+        stream.status = message;
+        this.renderAIStream();
+        return;
       }
-      
-      // Send request to background script for LLM optimization with timeout
-      const response = await Promise.race([
-        chrome.runtime.sendMessage({
-        action: 'optimizePrompt',
-        prompt: originalPrompt,
-        analysis: analysis
-        }),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Message timeout')), 4000)
-        )
-      ]);
-      
-      console.log('Background script response:', response);
 
-      if (response && response.optimized && response.optimized !== originalPrompt) {
-        console.log('LLM optimization successful using:', response.method);
-        return response.optimized;
+      this.aiStream = null;
+      this.aiNotice = message.notice || null;
+      port.disconnect();
+      this.renderAIStream();
+      const optimizedPrompt = message.optimized;
+      if (!optimizedPrompt || !optimizedPrompt.trim() || optimizedPrompt === promptText) {
+        // No usable AI result — keep the rule-based version. There is
+        // deliberately no local template fallback here: a fixed "if the
+        // prompt mentions X, wrap it in this canned paragraph" generator is
+        // exactly the hardcoded behavior this tool should never produce.
+        console.log('No AI optimization available, keeping rule-based version:', message.error || message.method);
+        if (this.promptDiff) this.renderPromptDiff();
+        return;
       }
 
-      // No usable AI result — return null and let the caller keep showing
-      // the rule-based version that's already on screen. There is
-      // deliberately no local template fallback here: a fixed "if the
-      // prompt mentions X, wrap it in this canned paragraph" generator is
-      // exactly the hardcoded behavior this tool should never produce.
-      console.log('No AI optimization available, keeping rule-based version');
-      return null;
+      // Safety net: verify the AI's rewrite isn't weaker than it should
+      // be on our own rubric, and patch any still-failing check before
+      // showing it. This is what guarantees the suggested prompt never
+      // scores worse than what the user typed.
+      const candidateChecks = this.optimizer.runChecks(optimizedPrompt, analysis.pack.id);
+      const finalOptimized = this.optimizer.reinforceFailedChecks(optimizedPrompt, candidateChecks, {
+        style: this.getPromptStyle(),
+        pack: analysis.pack.id
+      });
+      console.log('Updating panel with AI optimization');
+      promptData.setOptimizedVersion(finalOptimized);
+      this.addVariant({
+        ...PROMPT_VARIANTS.ai,
+        text: finalOptimized,
+        score: scorePromptChecks(this.optimizer.runChecks(finalOptimized, analysis.pack.id)),
+        cached: Boolean(message.cached)
+      });
+      if (this.promptDiff && this.selectedVariantId !== PROMPT_VARIANTS.ai.id) this.renderPromptDiff();
+      // Sent before the rewrite came back — bring its history entry up to date
+      if (promptData.sentAt) this.updatePromptData(promptData);
+    });
+    // The worker restarted or the extension was reloaded mid-stream
+    port.onDisconnect.addListener(() => {
+      if (this.aiStream !== stream) return;
+      this.aiStream = null;
+      this.renderAIStream();
+      if (this.promptDiff) this.renderPromptDiff();
+    });
+    port.postMessage({ prompt: promptText, analysis });
+  }
+
+  // Stops a rewrite that's still streaming (Cancel, a newer prompt, or
+  // "Use this prompt"); the port closing aborts the provider request, and
+  // the panel goes back to the selected variant.
+  cancelAIStream() {
+    const stream = this.aiStream;
+    if (this.aiNotice) {
+      this.aiNotice = null;
+      this.renderAIStream();
+    }
+    if (!stream) return;
+    this.aiStream = null;
+    try {
+      stream.port.disconnect();
     } catch (error) {
-      console.log('LLM optimization unavailable, keeping rule-based version:', error.message);
-      return null;
+      // Already gone with the extension context
+    }
+    this.renderAIStream();
+    if (this.promptDiff) this.renderPromptDiff();
+  }
+
+  // The AI line under the suggestion — "Writing…" with its Cancel button,
+  // a retry countdown (the rewrite's, or failing that the feedback's), or
+  // the notice about why there's no AI rewrite — and the partial text in
+  // #optimized-text (with the diff view set aside while it's written).
+  renderAIStream() {
+    const panel = this.currentPanel;
+    const feedbackWaiting = !this.aiStream && this.aiFeedback && this.aiFeedback.status;
+    const waiting = (this.aiStream && this.aiStream.status) || feedbackWaiting;
+    if (waiting && !this.aiStatusTimer) {
+      this.aiStatusTimer = setInterval(() => this.renderAIStream(), 1000);
+    } else if (!waiting && this.aiStatusTimer) {
+      clearInterval(this.aiStatusTimer);
+      this.aiStatusTimer = null;
+    }
+    if (!panel) return;
+
+    const row = panel.querySelector('#pt-ai-stream');
+    if (row) {
+      row.hidden = !this.aiStream && !this.aiNotice && !feedbackWaiting;
+      row.classList.toggle('pt-ai-notice', Boolean(waiting || (!this.aiStream && this.aiNotice)));
+      const label = row.querySelector('#pt-ai-stream-text');
+      if (label) label.textContent = this.describeAIStatus();
+      const cancel = row.querySelector('#pt-cancel-ai');
+      if (cancel) cancel.hidden = !this.aiStream;
     }
+    if (!this.aiStream || !this.aiStream.text || this.variantPicked) return;
+
+    const textElement = panel.querySelector('#optimized-text');
+    const view = panel.querySelector('#pt-diff-view');
+    const summary = panel.querySelector('#pt-diff-summary');
+    if (textElement) {
+      textElement.textContent = this.aiStream.text;
+      textElement.hidden = false;
+    }
+    if (view) view.hidden = true;
+    if (summary) summary.hidden = true;
   }
 
+  describeAIStatus() {
+    if (!this.aiStream) {
+      const feedbackStatus = this.aiFeedback && this.aiFeedback.status;
+      return feedbackStatus ? this.describeRetry(feedbackStatus, 'AI feedback') : this.aiNotice || '';
+    }
+    const status = this.aiStream.status;
+    return status ? this.describeRetry(status) : 'Writing the AI rewrite…';
+  }
+
+  // "OpenAI rate-limited, retrying in 8s", naming what's retried when it
+  // isn't the rewrite
+  describeRetry(status, what = null) {
+    const seconds = Math.ceil((status.retryAt - Date.now()) / 1000);
+    const reason = status.state === 'rate-limited' ? 'rate-limited' : 'request failed';
+    const retrying = what ? `retrying ${what}` : 'retrying';
+    return seconds > 0
+      ? `${status.label} ${reason}, ${retrying} in ${seconds}s`
+      : `${status.label} ${reason}, ${retrying} now…`;
+  }
+
+  // One tab per variant with its score and token count; hidden when
+  // there's only one. Counts start as the local approximation and are
+  // redrawn as the background's real counts come in.
+  renderVariantTabs() {
+    const container = this.currentPanel && this.currentPanel.querySelector('#pt-variant-tabs');
+    if (!container) return;
+    container.hidden = this.variants.length < 2;
+    if (container.hidden) {
+      container.replaceChildren();
+      return;
+    }
+
+    const model = getChatModel(this.platform, this.settings.chatModels[this.platform]);
+    container.replaceChildren(...this.variants.map(variant => {
+      const tokens = this.getVariantTokenCount(variant.text, model);
+      const tab = document.createElement('button');
+      tab.type = 'button';
+      tab.className = 'pt-variant-tab';
+      tab.setAttribute('role', 'tab');
+      tab.setAttribute('aria-selected', String(variant.id === this.selectedVariantId));
+      tab.dataset.variant = variant.id;
+      const name = document.createElement('span');
+      name.className = 'pt-variant-name';
+      name.textContent = variant.name;
+      const meta = document.createElement('span');
+      meta.className = 'pt-variant-meta';
+      meta.textContent = `${variant.score} · ${tokens.exact ? '' : '≈'}${tokens.count.toLocaleString()} tok`;
+      tab.title = `Scores ${variant.score}/100 · ${tokens.exact ? '' : 'about '}${tokens.count.toLocaleString()} tokens for ${model.label}`;
+      if (variant.cached) {
+        const badge = document.createElement('span');
+        badge.className = 'pt-cached-badge';
+        badge.textContent = 'cached';
+        meta.append(badge);
+        tab.title += ' · same prompt as earlier, no new AI call';
+      }
+      tab.append(name, meta);
+      return tab;
+    }));
+  }
+
+  // The cached count for `text`, or the approximation while the real one
+  // is fetched (which redraws the tabs when it arrives).
+  getVariantTokenCount(text, model) {
+    const key = `${model.id}\n${text}`;
+    const cached = this.variantTokenCounts.get(key);
+    if (cached) return cached;
+
+    const approximate = { count: approximateTokenCount(text), exact: false };
+    this.variantTokenCounts.set(key, approximate);
+    if (this.variantTokenCounts.size > 50) {
+      this.variantTokenCounts.delete(this.variantTokenCounts.keys().next().value);
+    }
+    try {
+      if (chrome && chrome.runtime && chrome.runtime.sendMessage) {
+        chrome.runtime.sendMessage({ action: 'countTokens', text, platform: this.platform, model: model.id })
+          .then(response => {
+            if (!response || typeof response.count !== 'number') return;
+            this.variantTokenCounts.set(key, response);
+            if (this.variants.some(v => v.text === text)) this.renderVariantTabs();
+          })
+          .catch(() => {});
+      }
+    } catch (error) {
+      // Extension reloaded under the page; the approximation stands
+    }
+    return approximate;
+  }
+
+  // A new suggestion replaces the diff (and any rejections made against
+  // the old one).
+  setPromptDiff(original, optimized, packId) {
+    const segments = diffPromptWords(original, optimized);
+    this.promptDiff = {
+      optimized,
+      segments,
+      rejected: new Set(),
+      links: this.linkPromptDiffToChecks(segments, original, packId)
+    };
+    this.renderPromptDiff();
+  }
+
+  // Which check each addition fixes. An addition that carries a check's
+  // reinforce sentence is linked to that check directly; otherwise (an AI
+  // rewrite's own wording) it's linked to the checks that stop passing
+  // when that one addition is taken back out.
+  linkPromptDiffToChecks(segments, original, packId) {
+    const before = Object.fromEntries(this.optimizer.runChecks(original, packId).map(c => [c.id, c.ok]));
+    const fixed = this.optimizer.runChecks(applyPromptDiff(segments), packId)
+      .filter(check => check.ok && before[check.id] === false);
+    const links = {};
+    if (fixed.length === 0) return links;
+
+    segments.forEach((segment, index) => {
+      if (segment.type !== 'change' || segment.heading || !segment.added.trim()) return;
+      const added = segment.added.toLowerCase();
+      let checks = fixed.filter(check => check.reinforce && added.includes(check.reinforce.toLowerCase()));
+      if (checks.length === 0) {
+        const without = Object.fromEntries(
+          this.optimizer.runChecks(applyPromptDiff(segments, new Set([index])), packId).map(c => [c.id, c.ok])
+        );
+        checks = fixed.filter(check => without[check.id] === false);
+      }
+      if (checks.length > 0) {
+        links[index] = checks.map(({ id, name }) => ({ id, name }));
+      }
+    });
+    return links;
+  }
+
+  // Draws the diff (added words highlighted, removed ones struck through)
+  // and keeps #optimized-text — what Copy and "Use this prompt" read — in
+  // step with the additions the user has kept. Built with DOM nodes rather
+  // than markup, since every piece of it is prompt text.
+  renderPromptDiff() {
+    const panel = this.currentPanel;
+    const diff = this.promptDiff;
+    if (!panel || !diff) return;
+    const view = panel.querySelector('#pt-diff-view');
+    const textElement = panel.querySelector('#optimized-text');
+    const toggle = panel.querySelector('#pt-toggle-diff');
+    const summary = panel.querySelector('#pt-diff-summary');
+    if (!view || !textElement) return;
+
+    const { optimized, segments, rejected, links } = diff;
+    textElement.textContent = rejected.size > 0 ? applyPromptDiff(segments, rejected) : optimized;
+    view.hidden = !this.showPromptDiff;
+    textElement.hidden = this.showPromptDiff;
+    if (toggle) toggle.textContent = this.showPromptDiff ? 'Hide changes' : 'Show changes';
+
+    const additions = [];
+    segments.forEach((segment, index) => {
+      if (segment.type === 'change' && !segment.heading && segment.added.trim()) additions.push(index);
+    });
+    if (summary) {
+      const kept = additions.filter(index => !rejected.has(index)).length;
+      summary.hidden = !this.showPromptDiff;
+      summary.textContent = additions.length === 0
+        ? 'No additions to review'
+        : `${kept} of ${additions.length} additions kept · click an addition to reject or restore it`;
+    }
+    if (!this.showPromptDiff) return;
+
+    view.replaceChildren(...segments.map((segment, index) => {
+      if (segment.type === 'same') return document.createTextNode(segment.text);
+
+      const kept = isPromptChangeKept(segments, index, rejected);
+      const hunk = document.createElement('span');
+      if (segment.removed) {
+        const removed = document.createElement('del');
+        removed.className = kept ? 'pt-diff-removed' : 'pt-diff-restored';
+        removed.textContent = segment.removed;
+        hunk.appendChild(removed);
+      }
+      if (segment.added.trim()) {
+        const added = document.createElement('ins');
+        added.className = kept ? 'pt-diff-added' : 'pt-diff-added pt-diff-rejected';
+        added.textContent = segment.added;
+        if (!segment.heading) {
+          added.dataset.change = index;
+          const fixes = (links[index] || []).map(check => check.name).join(', ');
+          added.title = `${kept ? 'Click to reject' : 'Click to restore'}${fixes ? ` · fixes: ${fixes}` : ''}`;
+          if (fixes) {
+            const badge = document.createElement('span');
+            badge.className = 'pt-diff-check';
+            badge.textContent = fixes;
+            added.appendChild(badge);
+          }
+        }
+        hunk.appendChild(added);
+      }
+      return hunk;
+    }));
+  }
 
 }
 
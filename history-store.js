@@ -0,0 +1,335 @@
+/**
+ * IndexedDB-backed prompt history for Prompt Tracer
+ *
+ * Loaded into the background worker with importScripts — the worker is the
+ * only writer, so tabs no longer race each other doing read-modify-write on
+ * one big chrome.storage array. Content scripts and the popup reach it
+ * through runtime messages.
+ *
+ * Expects check-registry.js to be loaded first (for determineQualityTier).
+ */
+
+const HISTORY_DB_NAME = 'prompt-tracer';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'history';
+
+// Retention defaults: generous enough that nobody hits them by accident,
+// bounded so a years-old install doesn't grow without limit. 0 = no limit.
+const DEFAULT_HISTORY_RETENTION = {
+  maxEntries: 5000,
+  maxAgeDays: 0
+};
+
+// Promisified IDBRequest.
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolves once a transaction has committed, so callers never report
+// success for a write that's later rolled back.
+function idbTransactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+// The indexed fields every record carries, derived from the entry itself so
+// they can't drift from it: `score` from the stored metrics snapshot, `tags`
+// always an array (the index is multiEntry).
+function toHistoryRecord(entry) {
+  const metrics = entry.metrics || {};
+  const score = typeof metrics.overallScore === 'number'
+    ? Math.max(0, Math.min(100, Math.round(metrics.overallScore)))
+    : 0;
+  return {
+    ...entry,
+    timestamp: entry.timestamp || new Date().toISOString(),
+    score,
+    tags: Array.isArray(entry.tags) ? entry.tags.filter(tag => typeof tag === 'string' && tag) : []
+  };
+}
+
+// Whether `entry` passes the History tab's filters (the date range is
+// applied by the index range before this runs). `terms` are the lowercased
+// search words, all of which must appear in the prompt or its optimized
+// version.
+function matchesHistoryFilters(entry, filters, terms) {
+  if (filters.platform && entry.platform !== filters.platform) return false;
+  if (typeof filters.minScore === 'number' && entry.score < filters.minScore) return false;
+  if (typeof filters.maxScore === 'number' && entry.score > filters.maxScore) return false;
+  if (filters.quality && (entry.quality || determineQualityTier(entry.score)) !== filters.quality) return false;
+  if (filters.tag && !(entry.tags || []).includes(filters.tag)) return false;
+  if (filters.failedCheck &&
+      !(entry.checks || []).some(check => check.id === filters.failedCheck && !check.ok)) {
+    return false;
+  }
+  if (terms.length > 0) {
+    const haystack = `${entry.prompt || ''}\n${entry.optimizedVersion || ''}`.toLowerCase();
+    if (!terms.every(term => haystack.includes(term))) return false;
+  }
+  return true;
+}
+
+function historyDateRange(from, to) {
+  if (from && to) return IDBKeyRange.bound(from, to);
+  if (from) return IDBKeyRange.lowerBound(from);
+  if (to) return IDBKeyRange.upperBound(to);
+  return null;
+}
+
+class HistoryStore {
+  constructor(name = HISTORY_DB_NAME) {
+    this.name = name;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, HISTORY_DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+            const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+            store.createIndex('timestamp', 'timestamp');
+            store.createIndex('platform', 'platform');
+            store.createIndex('score', 'score');
+            store.createIndex('tags', 'tags', { multiEntry: true });
+          }
+        };
+        request.onsuccess = () => {
+          const db = request.result;
+          // Another version opening elsewhere: let it, and reopen next time
+          db.onversionchange = () => {
+            db.close();
+            this.dbPromise = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async transaction(mode) {
+    const db = await this.open();
+    const tx = db.transaction(HISTORY_STORE, mode);
+    return { tx, store: tx.objectStore(HISTORY_STORE) };
+  }
+
+  // Insert or replace one entry (keyed by its PromptData id).
+  async put(entry) {
+    const { tx, store } = await this.transaction('readwrite');
+    const record = toHistoryRecord(entry);
+    store.put(record);
+    await idbTransactionDone(tx);
+    return record;
+  }
+
+  // Many entries in one transaction; existing ids are left alone unless
+  // `overwrite` is set. Returns how many were actually written.
+  async putMany(entries, { overwrite = false } = {}) {
+    const { tx, store } = await this.transaction('readwrite');
+    let written = 0;
+    for (const entry of entries) {
+      if (!entry || !entry.id) continue;
+      const record = toHistoryRecord(entry);
+      if (overwrite) {
+        store.put(record);
+        written += 1;
+      } else {
+        const existing = await idbRequest(store.getKey(record.id));
+        if (existing === undefined) {
+          store.add(record);
+          written += 1;
+        }
+      }
+    }
+    await idbTransactionDone(tx);
+    return written;
+  }
+
+  // Merge `changes` into an existing entry inside one transaction, so two
+  // updates to the same entry (the AI rewrite arriving, the reply
+  // finishing) can't overwrite each other. Returns null if it's gone.
+  async update(id, changes) {
+    const { tx, store } = await this.transaction('readwrite');
+    const existing = await idbRequest(store.get(id));
+    let record = null;
+    if (existing) {
+      record = toHistoryRecord({ ...existing, ...changes, id });
+      store.put(record);
+    }
+    await idbTransactionDone(tx);
+    return record;
+  }
+
+  async get(id) {
+    const { store } = await this.transaction('readonly');
+    return (await idbRequest(store.get(id))) || null;
+  }
+
+  async delete(id) {
+    const { tx, store } = await this.transaction('readwrite');
+    store.delete(id);
+    await idbTransactionDone(tx);
+  }
+
+  // Which of `ids` aren't stored yet — what an import would actually add.
+  async missingIds(ids) {
+    const { store } = await this.transaction('readonly');
+    const keys = await Promise.all(ids.map(id => idbRequest(store.getKey(id))));
+    return ids.filter((id, index) => keys[index] === undefined);
+  }
+
+  async count() {
+    const { store } = await this.transaction('readonly');
+    return idbRequest(store.count());
+  }
+
+  // Entries in timestamp order, oldest first (the order the old array
+  // had), optionally only the newest `limit` of them.
+  async getAll({ limit = 0 } = {}) {
+    const { store } = await this.transaction('readonly');
+    const index = store.index('timestamp');
+    if (!limit) {
+      return idbRequest(index.getAll());
+    }
+    const newest = [];
+    await new Promise((resolve, reject) => {
+      const request = index.openCursor(null, 'prev');
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || newest.length >= limit) {
+          resolve();
+          return;
+        }
+        newest.push(cursor.value);
+        cursor.continue();
+      };
+    });
+    return newest.reverse();
+  }
+
+  // One page of matching entries, newest first, plus how many match in
+  // total. Walks the timestamp index (narrowed to the date range) once with
+  // a cursor, so only the requested page is ever held in memory.
+  async search(filters = {}, { offset = 0, limit = 20 } = {}) {
+    const { store } = await this.transaction('readonly');
+    const index = store.index('timestamp');
+    const terms = (filters.text || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const entries = [];
+    let total = 0;
+
+    await new Promise((resolve, reject) => {
+      const request = index.openCursor(historyDateRange(filters.from, filters.to), 'prev');
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        if (matchesHistoryFilters(cursor.value, filters, terms)) {
+          if (total >= offset && entries.length < limit) {
+            entries.push(cursor.value);
+          }
+          total += 1;
+        }
+        cursor.continue();
+      };
+    });
+
+    return { entries, total };
+  }
+
+  // Values the History tab's filter menus can offer: platforms and tags
+  // straight from their indexes, and every check that has failed at least
+  // once (with its name, for the label).
+  async facets() {
+    const { store } = await this.transaction('readonly');
+    const uniqueKeys = (indexName) => new Promise((resolve, reject) => {
+      const keys = [];
+      const request = store.index(indexName).openKeyCursor(null, 'nextunique');
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(keys);
+          return;
+        }
+        keys.push(cursor.key);
+        cursor.continue();
+      };
+    });
+
+    const [platforms, tags] = await Promise.all([uniqueKeys('platform'), uniqueKeys('tags')]);
+    const checks = new Map();
+    await new Promise((resolve, reject) => {
+      const request = store.openCursor();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        (cursor.value.checks || []).forEach(check => {
+          if (!check.ok && !checks.has(check.id)) checks.set(check.id, check.name || check.id);
+        });
+        cursor.continue();
+      };
+    });
+
+    return {
+      platforms,
+      tags,
+      checks: [...checks].map(([id, name]) => ({ id, name })).sort((a, b) => a.name.localeCompare(b.name))
+    };
+  }
+
+  async clear() {
+    const { tx, store } = await this.transaction('readwrite');
+    store.clear();
+    await idbTransactionDone(tx);
+  }
+
+  // Drop entries older than maxAgeDays, then the oldest entries beyond
+  // maxEntries. Returns how many were removed.
+  async applyRetention({ maxEntries = 0, maxAgeDays = 0 } = {}) {
+    const { tx, store } = await this.transaction('readwrite');
+    const index = store.index('timestamp');
+    let removed = 0;
+
+    if (maxAgeDays > 0) {
+      const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString();
+      const stale = await idbRequest(index.getAllKeys(IDBKeyRange.upperBound(cutoff, true)));
+      stale.forEach(key => store.delete(key));
+      removed += stale.length;
+    }
+
+    if (maxEntries > 0) {
+      // Requests in a transaction run in order, so this count (and the key
+      // list below) already reflect the deletes above
+      const excess = (await idbRequest(store.count())) - maxEntries;
+      if (excess > 0) {
+        const oldest = await idbRequest(index.getAllKeys(null, excess));
+        oldest.forEach(key => store.delete(key));
+        removed += oldest.length;
+      }
+    }
+
+    await idbTransactionDone(tx);
+    return removed;
+  }
+}
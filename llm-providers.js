@@ -0,0 +1,368 @@
+/**
+ * LLM provider definitions for Prompt Tracer
+ *
+ * Shared by the background worker (via importScripts) and the popup (a
+ * plain <script> tag): the worker uses the request/response halves, the
+ * popup only needs the labels, models and key hints for the Settings form.
+ *
+ * `chatRequest({ ..., stream: true })` asks for a streamed reply. The
+ * worker reads it line by line — "data: {...}" server-sent events, or bare
+ * JSON lines from Ollama — and hands each parsed event to the provider's
+ * `parseStreamEvent()`, which returns the new text and any token usage it
+ * carries.
+ */
+
+const DEFAULT_LLM_PROVIDER = 'openai';
+
+// OpenAI's chat-completions shape, shared by OpenAI itself and by any
+// server that speaks the same protocol.
+// `streamUsage` asks for a final chunk with the token counts; not every
+// compatible server accepts stream_options, so only OpenAI sets it.
+function openAIChatRequest(baseUrl, { apiKey, model, system, prompt, maxTokens, temperature, stream = false, streamUsage = false }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  return {
+    url: `${baseUrl}/chat/completions`,
+    init: {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt }
+        ],
+        max_tokens: maxTokens,
+        temperature,
+        ...(stream ? { stream: true } : {}),
+        ...(stream && streamUsage ? { stream_options: { include_usage: true } } : {})
+      })
+    }
+  };
+}
+
+function parseOpenAIChat(data) {
+  const message = data && data.choices && data.choices[0] && data.choices[0].message;
+  return {
+    text: message && typeof message.content === 'string' ? message.content.trim() : '',
+    usage: data && data.usage
+      ? { promptTokens: data.usage.prompt_tokens || 0, completionTokens: data.usage.completion_tokens || 0 }
+      : null
+  };
+}
+
+// One chunk of a streamed chat completion: the new text is in the delta
+function parseOpenAIStreamEvent(data) {
+  const choice = data && data.choices && data.choices[0];
+  return {
+    text: (choice && choice.delta && typeof choice.delta.content === 'string') ? choice.delta.content : '',
+    usage: data && data.usage
+      ? { promptTokens: data.usage.prompt_tokens || 0, completionTokens: data.usage.completion_tokens || 0 }
+      : null
+  };
+}
+
+// Strips trailing slashes so "https://host/v1/" and "https://host/v1" build
+// the same request URLs.
+function normalizeBaseUrl(url) {
+  return (url || '').trim().replace(/\/+$/, '');
+}
+
+// GET <base>/models, as served by OpenAI and everything that copies it.
+function openAIModelsRequest(baseUrl, apiKey) {
+  return {
+    url: `${normalizeBaseUrl(baseUrl)}/models`,
+    init: { method: 'GET', headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {} }
+  };
+}
+
+function parseOpenAIModels(data) {
+  return ((data && data.data) || []).map(model => model.id).filter(Boolean).sort();
+}
+
+// A local server's base URL says which protocol it speaks: llama.cpp's
+// server (and Ollama's own compatibility layer) live under /v1 and use
+// OpenAI's shapes; a bare host like http://localhost:11434 is Ollama's
+// native /api.
+function isOpenAIStyleBaseUrl(baseUrl) {
+  return /\/v1$/.test(normalizeBaseUrl(baseUrl));
+}
+
+const LLM_PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    keyUrl: 'https://platform.openai.com/api-keys',
+    keyPlaceholder: 'sk-proj-...',
+    keyFormat: 'OpenAI keys start with "sk-"',
+    requiresKey: true,
+    models: ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini', 'gpt-4.1', 'gpt-3.5-turbo'],
+    defaultModel: 'gpt-4o-mini',
+    isValidKey: key => /^sk-[A-Za-z0-9_-]{20,}$/.test(key),
+    chatRequest: options => openAIChatRequest('https://api.openai.com/v1', { ...options, streamUsage: true }),
+    parseChat: parseOpenAIChat,
+    parseStreamEvent: parseOpenAIStreamEvent,
+    testRequest: ({ apiKey }) => ({
+      url: 'https://api.openai.com/v1/models',
+      init: { method: 'GET', headers: { 'Authorization': `Bearer ${apiKey}` } }
+    })
+  },
+
+  anthropic: {
+    label: 'Anthropic',
+    keyUrl: 'https://console.anthropic.com/settings/keys',
+    keyPlaceholder: 'sk-ant-...',
+    keyFormat: 'Anthropic keys start with "sk-ant-"',
+    requiresKey: true,
+    models: ['claude-3-5-haiku-latest', 'claude-3-5-sonnet-latest', 'claude-3-7-sonnet-latest', 'claude-sonnet-4-0'],
+    defaultModel: 'claude-3-5-haiku-latest',
+    isValidKey: key => /^sk-ant-[A-Za-z0-9_-]{20,}$/.test(key),
+    // Anthropic rejects requests that carry a browser Origin header unless
+    // this opt-in is present — and a service worker's fetch always has one.
+    headers: apiKey => ({
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true'
+    }),
+    chatRequest({ apiKey, model, system, prompt, maxTokens, temperature, stream = false }) {
+      return {
+        url: 'https://api.anthropic.com/v1/messages',
+        init: {
+          method: 'POST',
+          headers: this.headers(apiKey),
+          body: JSON.stringify({
+            model,
+            system,
+            max_tokens: maxTokens,
+            temperature,
+            messages: [{ role: 'user', content: prompt }],
+            ...(stream ? { stream: true } : {})
+          })
+        }
+      };
+    },
+    parseChat(data) {
+      const blocks = (data && data.content) || [];
+      return {
+        text: blocks.filter(b => b.type === 'text').map(b => b.text).join('').trim(),
+        usage: data && data.usage
+          ? { promptTokens: data.usage.input_tokens || 0, completionTokens: data.usage.output_tokens || 0 }
+          : null
+      };
+    },
+    // Text arrives in content_block_delta events; input tokens are counted
+    // in message_start and output tokens in the closing message_delta.
+    parseStreamEvent(data) {
+      if (data && data.type === 'error') {
+        throw new Error((data.error && data.error.message) || 'Stream error');
+      }
+      const delta = data && data.type === 'content_block_delta' && data.delta;
+      const usage = data && data.type === 'message_start'
+        ? data.message && data.message.usage
+        : data && data.usage;
+      return {
+        text: delta && delta.type === 'text_delta' ? delta.text : '',
+        usage: usage
+          ? { promptTokens: usage.input_tokens || 0, completionTokens: usage.output_tokens || 0 }
+          : null
+      };
+    },
+    testRequest({ apiKey }) {
+      return { url: 'https://api.anthropic.com/v1/models', init: { method: 'GET', headers: this.headers(apiKey) } };
+    }
+  },
+
+  gemini: {
+    label: 'Google Gemini',
+    keyUrl: 'https://aistudio.google.com/app/apikey',
+    keyPlaceholder: 'AIza...',
+    keyFormat: 'Gemini keys start with "AIza"',
+    requiresKey: true,
+    models: ['gemini-2.0-flash', 'gemini-2.5-flash', 'gemini-2.5-pro', 'gemini-1.5-flash'],
+    defaultModel: 'gemini-2.0-flash',
+    isValidKey: key => /^AIza[0-9A-Za-z_-]{30,}$/.test(key),
+    chatRequest({ apiKey, model, system, prompt, maxTokens, temperature, stream = false }) {
+      const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+      return {
+        url: `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:${method}`,
+        init: {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+          body: JSON.stringify({
+            systemInstruction: { parts: [{ text: system }] },
+            contents: [{ role: 'user', parts: [{ text: prompt }] }],
+            generationConfig: { maxOutputTokens: maxTokens, temperature }
+          })
+        }
+      };
+    },
+    parseChat(data) {
+      const result = this.parseStreamEvent(data);
+      return { text: result.text.trim(), usage: result.usage };
+    },
+    // Each streamed chunk is a complete (small) response of its own
+    parseStreamEvent(data) {
+      const candidate = data && data.candidates && data.candidates[0];
+      const parts = (candidate && candidate.content && candidate.content.parts) || [];
+      const usage = data && data.usageMetadata;
+      return {
+        text: parts.map(p => p.text || '').join(''),
+        usage: usage
+          ? { promptTokens: usage.promptTokenCount || 0, completionTokens: usage.candidatesTokenCount || 0 }
+          : null
+      };
+    },
+    testRequest: ({ apiKey }) => ({
+      url: 'https://generativelanguage.googleapis.com/v1beta/models',
+      init: { method: 'GET', headers: { 'x-goog-api-key': apiKey } }
+    })
+  },
+
+  // Anything that speaks OpenAI's chat-completions protocol at its own base
+  // URL (OpenRouter, Groq, Together, Azure-style gateways, ...). There's no
+  // fixed model list or key format, so both are whatever the user enters.
+  'openai-compatible': {
+    label: 'OpenAI-compatible',
+    keyUrl: null,
+    keyPlaceholder: 'API key (if the server needs one)',
+    keyFormat: null,
+    requiresKey: false,
+    requiresBaseUrl: true,
+    baseUrlPlaceholder: 'https://openrouter.ai/api/v1',
+    models: [],
+    defaultModel: '',
+    isValidKey: () => true,
+    chatRequest: options => openAIChatRequest(normalizeBaseUrl(options.baseUrl), options),
+    parseChat: parseOpenAIChat,
+    parseStreamEvent: parseOpenAIStreamEvent,
+    testRequest: ({ apiKey, baseUrl }) => openAIModelsRequest(baseUrl, apiKey),
+    modelsRequest: ({ apiKey, baseUrl }) => openAIModelsRequest(baseUrl, apiKey),
+    parseModels: parseOpenAIModels
+  },
+
+  // A model server on this machine — Ollama, or llama.cpp's llama-server —
+  // so prompts never leave it. The model list comes from the server itself.
+  local: {
+    label: 'Local (Ollama / llama.cpp)',
+    keyUrl: null,
+    keyPlaceholder: 'Not needed for a local server',
+    keyFormat: null,
+    requiresKey: false,
+    requiresBaseUrl: true,
+    defaultBaseUrl: 'http://localhost:11434',
+    baseUrlPlaceholder: 'http://localhost:11434 (Ollama) or http://localhost:8080/v1',
+    models: [],
+    defaultModel: '',
+    // CPU inference of even a small model can take tens of seconds, well
+    // past the few seconds a hosted API gets.
+    timeoutMs: 60000,
+    // One model on one machine: a second call at once only slows both down
+    maxConcurrent: 1,
+    isValidKey: () => true,
+    chatRequest(options) {
+      const baseUrl = normalizeBaseUrl(options.baseUrl);
+      if (isOpenAIStyleBaseUrl(baseUrl)) {
+        return openAIChatRequest(baseUrl, options);
+      }
+      const { model, system, prompt, maxTokens, temperature, stream = false } = options;
+      return {
+        url: `${baseUrl}/api/chat`,
+        init: {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            model,
+            messages: [
+              { role: 'system', content: system },
+              { role: 'user', content: prompt }
+            ],
+            stream,
+            options: { num_predict: maxTokens, temperature }
+          })
+        }
+      };
+    },
+    parseChat(data) {
+      if (data && data.choices) {
+        return parseOpenAIChat(data);
+      }
+      const message = data && data.message;
+      return {
+        text: message && typeof message.content === 'string' ? message.content.trim() : '',
+        usage: data && (data.prompt_eval_count || data.eval_count)
+          ? { promptTokens: data.prompt_eval_count || 0, completionTokens: data.eval_count || 0 }
+          : null
+      };
+    },
+    // Ollama streams one JSON object per line, the last with done: true
+    // and the token counts
+    parseStreamEvent(data) {
+      if (data && data.choices) {
+        return parseOpenAIStreamEvent(data);
+      }
+      const message = data && data.message;
+      return {
+        text: message && typeof message.content === 'string' ? message.content : '',
+        usage: data && data.done && (data.prompt_eval_count || data.eval_count)
+          ? { promptTokens: data.prompt_eval_count || 0, completionTokens: data.eval_count || 0 }
+          : null
+      };
+    },
+    testRequest(options) {
+      return this.modelsRequest(options);
+    },
+    modelsRequest({ apiKey, baseUrl }) {
+      if (isOpenAIStyleBaseUrl(baseUrl)) {
+        return openAIModelsRequest(baseUrl, apiKey);
+      }
+      return { url: `${normalizeBaseUrl(baseUrl)}/api/tags`, init: { method: 'GET' } };
+    },
+    parseModels(data) {
+      if (data && data.data) {
+        return parseOpenAIModels(data);
+      }
+      return ((data && data.models) || []).map(model => model.name || model.model).filter(Boolean).sort();
+    }
+  }
+};
+
+// chrome.storage keys for a provider's settings. OpenAI's key keeps the
+// 'openai-api-key' name it has always had, which this pattern produces.
+function getProviderStorageKeys(providerId) {
+  return {
+    apiKey: `${providerId}-api-key`,
+    model: `${providerId}-model`,
+    baseUrl: `${providerId}-base-url`
+  };
+}
+
+// Everything needed to call the selected provider, resolved from a
+// chrome.storage result that includes 'llm-provider' and that provider's
+// keys. `ready` is false with a human-readable `problem` when something
+// required is missing or malformed.
+function resolveProviderConfig(stored) {
+  const id = LLM_PROVIDERS[stored['llm-provider']] ? stored['llm-provider'] : DEFAULT_LLM_PROVIDER;
+  const provider = LLM_PROVIDERS[id];
+  const keys = getProviderStorageKeys(id);
+  const config = {
+    id,
+    label: provider.label,
+    apiKey: (stored[keys.apiKey] || '').trim(),
+    model: (stored[keys.model] || provider.defaultModel || '').trim(),
+    baseUrl: normalizeBaseUrl(stored[keys.baseUrl] || provider.defaultBaseUrl),
+    ready: true,
+    problem: null
+  };
+
+  if (provider.requiresKey && !config.apiKey) {
+    config.problem = `No ${provider.label} API key`;
+  } else if (config.apiKey && !provider.isValidKey(config.apiKey)) {
+    config.problem = `Invalid API key format — ${provider.keyFormat}`;
+  } else if (provider.requiresBaseUrl && !config.baseUrl) {
+    config.problem = 'No base URL';
+  } else if (!config.model) {
+    config.problem = 'No model selected';
+  }
+  config.ready = !config.problem;
+  return config;
+}
@@ -0,0 +1,202 @@
+/**
+ * Request scheduling for calls to AI providers
+ *
+ * Loaded into the background worker with importScripts. Every chat call —
+ * rewrites and feedback alike — goes through the one LLMScheduler, which:
+ *  - runs only a few calls at once per provider, queueing the rest;
+ *  - retries rate limits (429) and transient failures (5xx, timeouts,
+ *    dropped connections) with exponential backoff and jitter, waiting as
+ *    long as a Retry-After header asks when there is one;
+ *  - stops calling a provider that keeps failing for a cooldown (a circuit
+ *    breaker), so every pause in typing doesn't hit it again.
+ *
+ * It relies on the errors callLLM() and streamLLM() throw carrying `status`
+ * (HTTP), `retryAfterMs`, `timedOut`, `network` or `cancelled`. Anything
+ * else — a rejected key, a malformed request, a bug in the code building
+ * or reading one — fails straight away, unretried.
+ */
+
+const LLM_SCHEDULER_DEFAULTS = {
+  maxConcurrent: 2,
+  maxRetries: 2,
+  baseDelayMs: 1000,
+  // A longer wait isn't worth retrying for: by then the user has typed on
+  // and the panel has asked again. The provider is paused for it instead.
+  maxDelayMs: 20000,
+  failureThreshold: 3,
+  cooldownMs: 60000
+};
+
+// Retry-After is either delay-seconds or an HTTP date. null when absent or
+// unreadable.
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Worth another try: rate limits, server-side failures, timeouts and
+// dropped connections (tagged `network` where fetch rejects).
+function isTransientLLMError(error) {
+  if (!error || error.cancelled) return false;
+  if (error.status) return error.status === 408 || error.status === 429 || error.status >= 500;
+  return Boolean(error.timedOut || error.network);
+}
+
+// Exponential backoff with "equal jitter": half the step is fixed, half
+// random, so tabs that failed together don't all retry in the same instant.
+function llmBackoffDelay(attempt, options, random = Math.random) {
+  const step = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** attempt);
+  return Math.round(step / 2 + random() * (step / 2));
+}
+
+function llmCancelledError() {
+  return Object.assign(new Error('Cancelled'), { cancelled: true });
+}
+
+class LLMScheduler {
+  constructor(options = {}) {
+    this.options = { ...LLM_SCHEDULER_DEFAULTS, ...options };
+    // Per provider id: running count, waiting calls, consecutive failures,
+    // when the circuit closes again (and whether a rate limit opened it),
+    // and whether a trial call is out
+    this.providers = new Map();
+  }
+
+  state(providerId) {
+    if (!this.providers.has(providerId)) {
+      this.providers.set(providerId, { active: 0, queue: [], failures: 0, openUntil: 0, rateLimited: false, probing: false });
+    }
+    return this.providers.get(providerId);
+  }
+
+  // Runs task() — one provider call — under `providerId`'s limits, retrying
+  // it as described above. onStatus({ state: 'rate-limited' | 'retrying',
+  // retryAt, attempt }) is called before each wait; `signal` cancels the
+  // call wherever it is (queued, waiting or running). Errors thrown once the
+  // retries are used up carry `retryAt`; when the provider is (now) paused
+  // they carry `circuitOpen` too, and `rateLimited` if a rate limit did it.
+  async run(providerId, task, { maxConcurrent, signal, onStatus } = {}) {
+    const state = this.state(providerId);
+    for (let attempt = 0; ; attempt++) {
+      this.checkCircuit(state);
+      try {
+        await this.acquire(state, maxConcurrent || this.options.maxConcurrent, signal);
+      } catch (error) {
+        // Cancelled while queued; a trial call that never ran proves nothing
+        state.probing = false;
+        throw error;
+      }
+      let error;
+      try {
+        const result = await task();
+        state.failures = 0;
+        state.probing = false;
+        return result;
+      } catch (caught) {
+        error = caught;
+      } finally {
+        this.release(state);
+      }
+
+      if (!isTransientLLMError(error)) {
+        // The provider answered (or the user cancelled), so it isn't down
+        if (!error.cancelled) state.failures = 0;
+        state.probing = false;
+        throw error;
+      }
+      const delay = error.retryAfterMs != null ? error.retryAfterMs : llmBackoffDelay(attempt, this.options);
+      // A half-open trial call gets one go: failing it reopens the circuit
+      if (attempt >= this.options.maxRetries || delay > this.options.maxDelayMs || state.probing) {
+        this.recordFailure(state, error, delay);
+        throw Object.assign(error, { retryAt: Math.max(state.openUntil, Date.now() + delay) });
+      }
+      if (onStatus) {
+        onStatus({ state: error.status === 429 ? 'rate-limited' : 'retrying', retryAt: Date.now() + delay, attempt: attempt + 1 });
+      }
+      await this.sleep(delay, signal);
+    }
+  }
+
+  // Open: fail at once until the cooldown is over. After it, one trial call
+  // goes through (half-open) while the rest keep failing fast.
+  checkCircuit(state) {
+    const now = Date.now();
+    const open = state.openUntil > now ||
+      (state.failures >= this.options.failureThreshold && state.probing);
+    if (open) {
+      throw Object.assign(new Error(state.rateLimited ? 'Provider paused by its rate limit' : 'Provider paused after repeated failures'), {
+        circuitOpen: true,
+        rateLimited: state.rateLimited,
+        retryAt: Math.max(state.openUntil, now)
+      });
+    }
+    if (state.failures >= this.options.failureThreshold) state.probing = true;
+  }
+
+  // A call that failed for good. Enough of them in a row open the circuit;
+  // so does a rate limit that asks for a longer wait than we retry for.
+  recordFailure(state, error, delay) {
+    state.failures += 1;
+    state.probing = false;
+    const now = Date.now();
+    if (state.failures >= this.options.failureThreshold) {
+      state.openUntil = now + Math.max(this.options.cooldownMs, error.retryAfterMs || 0);
+      state.rateLimited = false;
+      error.circuitOpen = true;
+    } else if (error.status === 429 && delay > this.options.maxDelayMs) {
+      state.openUntil = now + delay;
+      state.rateLimited = true;
+      Object.assign(error, { circuitOpen: true, rateLimited: true });
+    }
+  }
+
+  acquire(state, limit, signal) {
+    if (signal && signal.aborted) return Promise.reject(llmCancelledError());
+    if (state.active < limit) {
+      state.active += 1;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, signal, onAbort: null };
+      if (signal) {
+        waiter.onAbort = () => {
+          state.queue = state.queue.filter(queued => queued !== waiter);
+          reject(llmCancelledError());
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+      state.queue.push(waiter);
+    });
+  }
+
+  release(state) {
+    state.active -= 1;
+    const next = state.queue.shift();
+    if (next) {
+      if (next.signal) next.signal.removeEventListener('abort', next.onAbort);
+      state.active += 1;
+      next.resolve();
+    }
+  }
+
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(llmCancelledError());
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(llmCancelledError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * Optional PII redaction for text sent to the AI provider
+ *
+ * Loaded into the background worker with importScripts, which redacts each
+ * prompt before it goes out and restores the tokens in what comes back, and
+ * into the popup, whose Settings preview shows what a prompt would be sent
+ * as. Each distinct value gets a stable token for the call ("[EMAIL_1]"
+ * every time the same address appears), so the model can still refer to it
+ * and the reply maps back exactly.
+ */
+
+// Token kinds in precedence order: where two kinds match overlapping text
+// (a name inside an email address, a card number that also looks like a
+// phone number), the earlier one wins.
+const PII_TYPES = [
+  {
+    type: 'EMAIL',
+    label: 'Email addresses',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+    normalize: (value) => value.toLowerCase()
+  },
+  {
+    type: 'CARD',
+    label: 'Card numbers',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    normalize: (value) => value.replace(/\D/g, ''),
+    validate: (value) => isLuhnValid(value.replace(/\D/g, ''))
+  },
+  {
+    // US Social Security and UK National Insurance numbers
+    type: 'ID',
+    label: 'National ID numbers',
+    pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b|\b[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g,
+    normalize: (value) => value.replace(/[\s-]/g, '').toUpperCase()
+  },
+  {
+    // Phone-shaped: an optional country code, an area code (bracketed or
+    // followed by a separator), then two groups of three or four digits —
+    // "555-123-4567", "(555) 123 4567", "+44 20 7946 0958" — or a run of
+    // digits after a "+". The lookarounds keep it from starting or ending
+    // inside a longer run of digits and separators, so timestamps
+    // ("2024-01-15 10:30:00") and dotted quads (IP addresses, versions)
+    // don't count; validate() turns those shapes away again in case.
+    type: 'PHONE',
+    label: 'Phone numbers',
+    pattern: /(?<![\w.:+-])(?:(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\d{2,5}[\s.-])\d{3,4}[\s.-]?\d{3,4}|\+\d{8,14})(?![.:-]?\d)/g,
+    normalize: (value) => value.replace(/\D/g, ''),
+    validate: (value) => {
+      const digits = value.replace(/\D/g, '').length;
+      return digits >= 9 && digits <= 15
+        && !/^\d{4}-\d{2}-\d{2}/.test(value)
+        && !/^\d{1,3}(?:\.\d{1,3}){3}$/.test(value);
+    }
+  },
+  {
+    type: 'ADDRESS',
+    label: 'Street addresses',
+    pattern: /\b\d{1,6}\s+(?:[A-Z][A-Za-z'-]*\.?\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Close|Crescent|Square|Sq|Parkway|Pkwy|Highway|Hwy)\b\.?(?:,?\s+(?:Apt|Apartment|Suite|Ste|Unit|Flat|#)\.?\s*[A-Za-z0-9-]+)?/g,
+    normalize: (value) => value.toLowerCase().replace(/\s+/g, ' ')
+  },
+  {
+    // Built per call from the user's list (see piiNamePattern)
+    type: 'NAME',
+    label: 'Names from your list',
+    pattern: null,
+    normalize: (value) => value.toLowerCase()
+  }
+];
+
+function isLuhnValid(digits) {
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// The Settings list as stored (an array) or as typed (one name per line),
+// trimmed and de-duplicated. Single letters are dropped — they'd match
+// inside ordinary text.
+function parsePiiNames(value) {
+  const names = Array.isArray(value) ? value : String(value || '').split('\n');
+  const seen = new Set();
+  return names
+    .map(name => (typeof name === 'string' ? name.trim() : ''))
+    .filter(name => {
+      const key = name.toLowerCase();
+      if (name.length < 2 || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// Whole-word, case-insensitive match for any listed name, longest first so
+// "Ann Lee" is one name rather than "Ann" plus leftovers. Letter lookarounds
+// rather than \b, which doesn't treat accented letters as word characters.
+function piiNamePattern(names) {
+  if (names.length === 0) return null;
+  const alternatives = [...names]
+    .sort((a, b) => b.length - a.length)
+    .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+// Every PII match in `text` as { type, start, end, value }, in text order
+// and never overlapping.
+function findPii(text, names = []) {
+  const found = [];
+  PII_TYPES.forEach((kind, order) => {
+    const pattern = kind.type === 'NAME' ? piiNamePattern(names) : kind.pattern;
+    if (!pattern) return;
+    for (const match of (text || '').matchAll(pattern)) {
+      if (kind.validate && !kind.validate(match[0])) continue;
+      found.push({ kind, order, start: match.index, end: match.index + match[0].length, value: match[0] });
+    }
+  });
+
+  found.sort((a, b) => a.order - b.order || a.start - b.start);
+  const kept = [];
+  found.forEach(candidate => {
+    if (!kept.some(other => candidate.start < other.end && other.start < candidate.end)) {
+      kept.push(candidate);
+    }
+  });
+  return kept
+    .sort((a, b) => a.start - b.start)
+    .map(({ kind, start, end, value }) => ({ type: kind.type, start, end, value, key: kind.normalize(value) }));
+}
+
+// `text` with each match replaced by its token, numbered per type in order
+// of first appearance. `tokens` maps each token back to the text it
+// replaced (the first spelling seen); `counts` is distinct values per type.
+function redactPii(text, { names = [] } = {}) {
+  const matches = findPii(text, parsePiiNames(names));
+  const tokenFor = new Map();
+  const tokens = {};
+  const counts = {};
+  matches.forEach(match => {
+    const id = `${match.type}:${match.key}`;
+    if (!tokenFor.has(id)) {
+      counts[match.type] = (counts[match.type] || 0) + 1;
+      const token = `[${match.type}_${counts[match.type]}]`;
+      tokenFor.set(id, token);
+      tokens[token] = match.value;
+    }
+  });
+
+  let result = text || '';
+  [...matches].reverse().forEach(match => {
+    result = result.slice(0, match.start) + tokenFor.get(`${match.type}:${match.key}`) + result.slice(match.end);
+  });
+  return { text: result, tokens, counts };
+}
+
+// Puts the original values back wherever the model kept a token. Unknown
+// tokens (ones the model made up) are left as they are.
+function restorePii(text, tokens) {
+  if (typeof text !== 'string' || !tokens) return text;
+  return text.replace(/\[(?:EMAIL|CARD|ID|PHONE|ADDRESS|NAME)_\d+\]/g, token =>
+    Object.prototype.hasOwnProperty.call(tokens, token) ? tokens[token] : token);
+}
+
+// A streamed reply as far as its last complete token. The stream can stop
+// partway through one ("[EMAIL_"), which restorePii() can't map back and
+// which shouldn't flash up in the panel; the rest follows with the next chunk.
+function trimPartialPiiToken(text) {
+  return typeof text === 'string' ? text.replace(/\[(?:[A-Z]+(?:_\d*)?)?$/, '') : text;
+}
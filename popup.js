@@ -14,6 +14,19 @@ function normalizePromptScore(metrics) {
     return Math.round(scores.reduce((a, b) => a + b, 0) / keys.length);
 }
 
+// Entries saved before rubrics existed were all scored by the built-in
+// default, so that's what a missing rubric field means.
+function getRubricKey(rubric) {
+    const r = rubric || DEFAULT_RUBRIC;
+    return `${r.id}@${r.version}`;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
 document.addEventListener('DOMContentLoaded', function() {
     // Initialize tabs
     initializeTabs();
@@ -35,6 +48,8 @@ document.addEventListener('DOMContentLoaded', function() {
 
     // Set up event listeners
     setupEventListeners();
+
+    loadRubrics();
 });
 
 function initializeTabs() {
@@ -58,7 +73,7 @@ function initializeTabs() {
 
 function setupEventListeners() {
     // Export data button
-    document.getElementById('export-data').addEventListener('click', exportData);
+    document.getElementById('export-data').addEventListener('click', exportHistory);
     
     // Clear data button
     document.getElementById('clear-data').addEventListener('click', clearData);
@@ -80,44 +95,99 @@ function setupEventListeners() {
     document.getElementById('show-panel-toggle').addEventListener('click', toggleSetting);
     document.getElementById('save-history-toggle').addEventListener('click', toggleSetting);
     document.getElementById('llm-optimization-toggle').addEventListener('click', toggleSetting);
+    document.getElementById('pii-redaction-toggle').addEventListener('click', toggleSetting);
     
-    // API key input - save on Enter key
-    const apiKeyInput = document.getElementById('openai-api-key');
+    // Provider form - save on Enter key or the Save button. Not on blur:
+    // saving a base URL asks for host permission, which needs a user gesture.
     const saveApiKeyBtn = document.getElementById('save-api-key-btn');
-    
-    if (apiKeyInput) {
-        apiKeyInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                saveApiKey(e);
-            }
-        });
-        // Also save on blur (when user clicks away)
-        apiKeyInput.addEventListener('blur', saveApiKey);
-    }
+    ['llm-api-key', 'llm-model-input', 'llm-base-url'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    saveApiKey(e);
+                }
+            });
+        }
+    });
     
     if (saveApiKeyBtn) {
         saveApiKeyBtn.addEventListener('click', saveApiKey);
     }
+
+    const refreshModelsBtn = document.getElementById('llm-refresh-models');
+    if (refreshModelsBtn) {
+        refreshModelsBtn.addEventListener('click', refreshProviderModels);
+    }
+
+    const providerSelect = document.getElementById('llm-provider-select');
+    if (providerSelect) {
+        providerSelect.addEventListener('change', () => {
+            chrome.storage.local.set({ 'llm-provider': providerSelect.value }, loadProviderSettings);
+        });
+    }
+
+    document.querySelectorAll('.retention-select').forEach(select => {
+        select.addEventListener('change', () => {
+            chrome.storage.local.set({ [select.id]: Number(select.value) });
+        });
+    });
+
+    setupRubricEditor();
+    setupCalibration();
+    setupHistory();
+    setupTemplates();
+    setupBundleImport();
+    setupPiiRedaction();
+    setupResponseCache();
+    setupApiSpend();
+}
+
+// History lives in IndexedDB in the background worker; the popup asks for
+// it rather than opening the database itself, so there's one writer.
+// `filters` takes the same shape as the History tab's search.
+function getHistory(callback, filters = null) {
+    chrome.runtime.sendMessage({ action: 'getHistory', filters }, function(response) {
+        if (chrome.runtime.lastError || !response || !Array.isArray(response.history)) {
+            console.error('Could not load prompt history:', chrome.runtime.lastError || (response && response.error));
+            callback([]);
+            return;
+        }
+        callback(response.history);
+    });
 }
 
 function loadData() {
-    chrome.storage.local.get(['promptHistory'], function(result) {
-        const history = result.promptHistory || [];
-        updateDashboard(history);
-        updateAnalytics(history);
-        updateAchievements(history);
+    chrome.storage.local.get(['customRubrics', 'activeRubricId'], function(result) {
+        const activeRubric = resolveActiveRubric(result.customRubrics, result.activeRubricId);
+        getHistory(function(history) {
+            updateDashboard(history, activeRubric);
+            updateAnalytics(history);
+            updateAchievements(history);
+        });
     });
+    updateApiSpend();
 }
 
-function updateDashboard(history) {
+function updateDashboard(history, activeRubric = DEFAULT_RUBRIC) {
     // Update stats
     const totalPrompts = history.length;
-    const avgScore = history.length > 0 
-        ? Math.round(history.reduce((sum, prompt) => sum + normalizePromptScore(prompt.metrics), 0) / history.length)
+    // Only average scores produced by the active rubric revision — a 70
+    // under one set of checks and weights isn't the same 70 under another.
+    const activeKey = getRubricKey(activeRubric);
+    const comparable = history.filter(prompt => getRubricKey(prompt.rubric) === activeKey);
+    const avgScore = comparable.length > 0
+        ? Math.round(comparable.reduce((sum, prompt) => sum + normalizePromptScore(prompt.metrics), 0) / comparable.length)
         : 0;
     
     document.getElementById('total-prompts').textContent = totalPrompts;
-    document.getElementById('avg-score').textContent = avgScore + '%';
+    document.getElementById('avg-score').textContent = comparable.length > 0 ? avgScore + '%' : '–';
+    const rubricLabel = document.getElementById('avg-score-rubric');
+    if (rubricLabel) {
+        rubricLabel.textContent = comparable.length === history.length
+            ? `${activeRubric.name} rubric v${activeRubric.version}`
+            : `${activeRubric.name} v${activeRubric.version} · ${comparable.length} of ${history.length} prompts`;
+    }
     
     // Update platform tags
     updatePlatformTags(history);
@@ -239,25 +309,37 @@ function formatDate(timestamp) {
     return date.toLocaleDateString();
 }
 
-function exportData() {
-    chrome.storage.local.get(['promptHistory'], function(result) {
-        const history = result.promptHistory || [];
-        const dataStr = JSON.stringify(history, null, 2);
-        const dataBlob = new Blob([dataStr], {type: 'application/json'});
-        
-        const url = URL.createObjectURL(dataBlob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `prompt-tracer-data-${new Date().toISOString().split('T')[0]}.json`;
-        link.click();
-        
-        URL.revokeObjectURL(url);
+function downloadFile(content, filename, type) {
+    const dataBlob = new Blob([content], { type });
+    const url = URL.createObjectURL(dataBlob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    URL.revokeObjectURL(url);
+}
+
+// Exports a bundle of whichever sections are ticked under Settings →
+// Backup & sharing (all of them unless the user changed that). From the
+// Dashboard, its date and platform filters narrow the history included.
+function exportData(historyFilters = null) {
+    const sections = getSelectedBundleSections();
+    if (sections.length === 0) {
+        document.getElementById('bundle-error').textContent = 'Tick at least one thing to export.';
+        return;
+    }
+    collectBundleData(sections, historyFilters, function(data) {
+        createExportBundle(data).then(bundle => {
+            downloadFile(JSON.stringify(bundle, null, 2),
+                `prompt-tracer-bundle-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+        });
     });
 }
 
 function clearData() {
     if (confirm('Are you sure you want to clear all prompt history? This action cannot be undone.')) {
-        chrome.storage.local.remove(['promptHistory'], function() {
+        chrome.runtime.sendMessage({ action: 'clearHistory' }, function() {
             loadData(); // Reload to show empty state
         });
     }
@@ -274,16 +356,116 @@ function toggleSetting(event) {
     chrome.storage.local.set({ [settingName]: isActive });
 }
 
+// Fill the Quick setup form for the selected provider: its label, key
+// hint, model suggestions and (for OpenAI-compatible servers) base URL.
+// Each provider keeps its own key and model, so switching back and forth
+// doesn't lose anything.
+function loadProviderSettings() {
+    chrome.storage.local.get(['llm-provider'], function(result) {
+        const providerId = LLM_PROVIDERS[result['llm-provider']] ? result['llm-provider'] : DEFAULT_LLM_PROVIDER;
+        const provider = LLM_PROVIDERS[providerId];
+        const keys = getProviderStorageKeys(providerId);
+
+        const select = document.getElementById('llm-provider-select');
+        select.innerHTML = Object.keys(LLM_PROVIDERS).map(id =>
+            `<option value="${id}"${id === providerId ? ' selected' : ''}>${escapeHtml(LLM_PROVIDERS[id].label)}</option>`
+        ).join('');
+
+        chrome.storage.local.get([keys.apiKey, keys.model, keys.baseUrl], function(stored) {
+            document.getElementById('api-key-label').textContent =
+                provider.requiresKey ? `${provider.label} API key` : 'API key (optional)';
+            const help = document.getElementById('api-key-help');
+            help.style.display = provider.keyUrl ? '' : 'none';
+            if (provider.keyUrl) {
+                const link = document.getElementById('api-key-link');
+                link.href = provider.keyUrl;
+                link.textContent = provider.label;
+            }
+
+            const keyInput = document.getElementById('llm-api-key');
+            keyInput.placeholder = provider.keyPlaceholder;
+            keyInput.value = stored[keys.apiKey] || '';
+
+            const modelInput = document.getElementById('llm-model-input');
+            modelInput.placeholder = provider.defaultModel || 'Model name';
+            modelInput.value = stored[keys.model] || provider.defaultModel || '';
+            renderModelOptions(provider.models);
+
+            const baseUrlRow = document.getElementById('llm-base-url-row');
+            const baseUrlInput = document.getElementById('llm-base-url');
+            baseUrlRow.style.display = provider.requiresBaseUrl ? 'flex' : 'none';
+            baseUrlInput.placeholder = provider.baseUrlPlaceholder || '';
+            baseUrlInput.value = stored[keys.baseUrl] || provider.defaultBaseUrl || '';
+
+            document.getElementById('llm-refresh-models').style.display = provider.modelsRequest ? '' : 'none';
+            if (provider.modelsRequest && baseUrlInput.value) {
+                refreshProviderModels();
+            }
+
+            updateApiStatus();
+        });
+    });
+}
+
+function renderModelOptions(models) {
+    document.getElementById('llm-model-options').innerHTML = models
+        .map(model => `<option value="${escapeHtml(model)}"></option>`).join('');
+}
+
+// Fill the model picker from the server's own list (Ollama's /api/tags or
+// an OpenAI-style /models), using whatever base URL is typed in right now.
+function refreshProviderModels() {
+    const providerId = document.getElementById('llm-provider-select').value || DEFAULT_LLM_PROVIDER;
+    const refreshBtn = document.getElementById('llm-refresh-models');
+    refreshBtn.textContent = '...';
+    refreshBtn.disabled = true;
+
+    chrome.runtime.sendMessage({
+        action: 'listModels',
+        provider: providerId,
+        baseUrl: document.getElementById('llm-base-url').value,
+        apiKey: document.getElementById('llm-api-key').value
+    }, function(response) {
+        refreshBtn.textContent = 'Refresh';
+        refreshBtn.disabled = false;
+        // The user may have switched provider while the list was loading
+        if (document.getElementById('llm-provider-select').value !== providerId) return;
+
+        if (!response || !response.success) {
+            setApiStatus('⚠️', '#ff9800', (response && response.error) || 'Could not load models');
+            return;
+        }
+        renderModelOptions(response.models);
+        const modelInput = document.getElementById('llm-model-input');
+        if (!modelInput.value && response.models.length > 0) {
+            modelInput.value = response.models[0];
+        }
+        if (response.models.length === 0) {
+            setApiStatus('⚠️', '#ff9800', 'Server has no models yet — e.g. run "ollama pull llama3.2"');
+        }
+    });
+}
+
 function saveApiKey(event) {
-    const apiKeyInput = document.getElementById('openai-api-key');
-    const apiKey = apiKeyInput ? apiKeyInput.value : (event.target.value || '');
-    
-    if (!apiKey || apiKey.trim() === '') {
+    const providerId = document.getElementById('llm-provider-select').value || DEFAULT_LLM_PROVIDER;
+    const provider = LLM_PROVIDERS[providerId];
+    const keys = getProviderStorageKeys(providerId);
+    const apiKey = document.getElementById('llm-api-key').value.trim();
+    const model = document.getElementById('llm-model-input').value.trim();
+    const baseUrl = normalizeBaseUrl(document.getElementById('llm-base-url').value);
+
+    if (provider.requiresKey && !apiKey) {
         return;
     }
-    
-    chrome.storage.local.set({ 'openai-api-key': apiKey.trim() });
-    
+
+    const save = () => {
+        chrome.storage.local.set({
+            [keys.apiKey]: apiKey,
+            [keys.model]: model,
+            [keys.baseUrl]: baseUrl
+        }, updateApiStatus);
+    };
+
     // Update button text temporarily
     const saveBtn = document.getElementById('save-api-key-btn');
     if (saveBtn) {
@@ -296,87 +478,199 @@ function saveApiKey(event) {
             saveBtn.style.opacity = '1';
         }, 1000);
     }
-    
-    // Update API status
-    updateApiStatus(apiKey.trim());
+
+    // A custom server isn't covered by the manifest's host permissions, so
+    // ask for its origin now; without it the worker's fetch is blocked.
+    if (provider.requiresBaseUrl && baseUrl) {
+        let origin;
+        try {
+            origin = new URL(baseUrl).origin;
+        } catch (error) {
+            setApiStatus('⚠️', '#ff9800', 'Invalid base URL');
+            return;
+        }
+        chrome.permissions.request({ origins: [`${origin}/*`] }, function(granted) {
+            if (chrome.runtime.lastError || !granted) {
+                setApiStatus('❌', '#f44336', `Access to ${origin} was not granted`);
+                return;
+            }
+            save();
+        });
+        return;
+    }
+
+    save();
 }
 
-function updateApiStatus(apiKey) {
+function setApiStatus(icon, color, text) {
     const statusIndicator = document.getElementById('api-status-indicator');
     const statusText = document.getElementById('api-status-text');
+    statusIndicator.textContent = icon;
+    statusIndicator.style.color = color;
+    statusText.textContent = text;
+    statusText.style.color = color;
+}
+
+// Reflects the stored settings of the selected provider, testing the
+// connection when everything required is filled in.
+function updateApiStatus() {
+    chrome.storage.local.get(['llm-provider'], function(result) {
+        const providerId = LLM_PROVIDERS[result['llm-provider']] ? result['llm-provider'] : DEFAULT_LLM_PROVIDER;
+        const keys = getProviderStorageKeys(providerId);
+        chrome.storage.local.get([keys.apiKey, keys.model, keys.baseUrl], function(stored) {
+            const config = resolveProviderConfig({ ...stored, 'llm-provider': providerId });
+            const provider = LLM_PROVIDERS[providerId];
+
+            if (provider.requiresKey && !config.apiKey) {
+                setApiStatus('🆓', '#4caf50', 'Using free optimization');
+                return;
+            }
+
+            if (!config.ready) {
+                setApiStatus('⚠️', '#ff9800', config.problem);
+                return;
+            }
+
+            // Test API key by making a simple call
+            setApiStatus('⏳', '#ff9800', `Testing ${config.label}...`);
+
+            // Send test message to background script
+            chrome.runtime.sendMessage({
+                action: 'testApiKey',
+                apiKey: config.apiKey,
+                provider: config.id,
+                baseUrl: config.baseUrl
+            }, function(response) {
+                if (response && response.success) {
+                    setApiStatus('⭐', '#ff9800', `${config.label} active · ${config.model}`);
+                } else {
+                    setApiStatus('❌', '#f44336', response?.error || `${config.label} failed`);
+                }
+            });
+        });
+    });
+}
+
+// Load settings on startup (and again after an import changes them)
+function loadSettings() {
+    chrome.storage.local.get(['auto-analysis', 'show-panel', 'save-history', 'llm-optimization', 'history-max-entries', 'history-max-age-days', 'pii-redaction', 'pii-names', 'chat-models', 'prompt-styles'], function(result) {
+        document.getElementById('history-max-entries').value = String(
+            result['history-max-entries'] !== undefined ? result['history-max-entries'] : DEFAULT_HISTORY_RETENTION.maxEntries);
+        document.getElementById('history-max-age-days').value = String(
+            result['history-max-age-days'] !== undefined ? result['history-max-age-days'] : DEFAULT_HISTORY_RETENTION.maxAgeDays);
+
+        if (result['auto-analysis'] !== undefined) {
+            const toggle = document.getElementById('auto-analysis-toggle');
+            if (result['auto-analysis']) toggle.classList.add('active');
+            else toggle.classList.remove('active');
+        }
     
-    if (!apiKey || apiKey.trim() === '') {
-        statusIndicator.textContent = '🆓';
-        statusIndicator.style.color = '#4caf50';
-        statusText.textContent = 'Using free optimization';
-        statusText.style.color = '#4caf50';
-        return;
-    }
-    
-    if (!apiKey.startsWith('sk-')) {
-        statusIndicator.textContent = '⚠️';
-        statusIndicator.style.color = '#ff9800';
-        statusText.textContent = 'Invalid format';
-        statusText.style.color = '#ff9800';
-        return;
-    }
+        if (result['show-panel'] !== undefined) {
+            const toggle = document.getElementById('show-panel-toggle');
+            if (result['show-panel']) toggle.classList.add('active');
+            else toggle.classList.remove('active');
+        }
     
-    // Test API key by making a simple call
-    statusIndicator.textContent = '⏳';
-    statusIndicator.style.color = '#ff9800';
-    statusText.textContent = 'Testing premium...';
-    statusText.style.color = '#ff9800';
+        if (result['save-history'] !== undefined) {
+            const toggle = document.getElementById('save-history-toggle');
+            if (result['save-history']) toggle.classList.add('active');
+            else toggle.classList.remove('active');
+        }
     
-    // Send test message to background script
-    chrome.runtime.sendMessage({
-        action: 'testApiKey',
-        apiKey: apiKey
-    }, function(response) {
-        if (response && response.success) {
-            statusIndicator.textContent = '⭐';
-            statusIndicator.style.color = '#ff9800';
-            statusText.textContent = 'Premium active';
-            statusText.style.color = '#ff9800';
-        } else {
-            statusIndicator.textContent = '❌';
-            statusIndicator.style.color = '#f44336';
-            statusText.textContent = response?.error || 'Premium failed';
-            statusText.style.color = '#f44336';
+        if (result['llm-optimization'] !== undefined) {
+            const toggle = document.getElementById('llm-optimization-toggle');
+            if (result['llm-optimization']) toggle.classList.add('active');
+            else toggle.classList.remove('active');
         }
+
+        // Off unless turned on
+        document.getElementById('pii-redaction-toggle').classList.toggle('active', result['pii-redaction'] === true);
+        document.getElementById('pii-names').value = parsePiiNames(result['pii-names']).join('\n');
+        renderPiiPreview();
+        renderChatModelSettings(result['chat-models'] || {});
+        renderPromptStyleSettings(result['prompt-styles'] || {});
     });
 }
 
-// Load settings on startup
-chrome.storage.local.get(['auto-analysis', 'show-panel', 'save-history', 'llm-optimization', 'openai-api-key'], function(result) {
-    if (result['auto-analysis'] !== undefined) {
-        const toggle = document.getElementById('auto-analysis-toggle');
-        if (result['auto-analysis']) toggle.classList.add('active');
-        else toggle.classList.remove('active');
-    }
-    
-    if (result['show-panel'] !== undefined) {
-        const toggle = document.getElementById('show-panel-toggle');
-        if (result['show-panel']) toggle.classList.add('active');
-        else toggle.classList.remove('active');
-    }
-    
-    if (result['save-history'] !== undefined) {
-        const toggle = document.getElementById('save-history-toggle');
-        if (result['save-history']) toggle.classList.add('active');
-        else toggle.classList.remove('active');
-    }
-    
-    if (result['llm-optimization'] !== undefined) {
-        const toggle = document.getElementById('llm-optimization-toggle');
-        if (result['llm-optimization']) toggle.classList.add('active');
-        else toggle.classList.remove('active');
-    }
-    
-    if (result['openai-api-key']) {
-        document.getElementById('openai-api-key').value = result['openai-api-key'];
-        updateApiStatus(result['openai-api-key']);
-    }
-});
+const CHAT_MODEL_PLATFORMS = { gpt: 'ChatGPT', claude: 'Claude', gemini: 'Gemini', grok: 'Grok' };
+
+// One picker per platform, saved together under 'chat-models'. The panel
+// reads it to count with the right tokenizer and warn against the right
+// context window.
+function renderChatModelSettings(selected) {
+    const container = document.getElementById('chat-model-settings');
+    if (!container) return;
+
+    container.innerHTML = Object.entries(CHAT_MODEL_PLATFORMS).map(([platform, label]) => {
+        const current = getChatModel(platform, selected[platform]);
+        const options = CHAT_MODELS.filter(model => model.platform === platform).map(model => `
+            <option value="${escapeHtml(model.id)}" ${model.id === current.id ? 'selected' : ''}>
+                ${escapeHtml(model.label)} · ${formatContextWindow(model.contextWindow)}${model.approximate ? ' · approx.' : ''}
+            </option>
+        `).join('');
+        return `
+            <div class="settings-item">
+                <div class="settings-info">
+                    <div class="settings-title">${label}</div>
+                </div>
+                <select class="settings-select chat-model-select" data-platform="${platform}">${options}</select>
+            </div>
+        `;
+    }).join('');
+
+    container.querySelectorAll('.chat-model-select').forEach(select => {
+        select.addEventListener('change', () => {
+            const models = {};
+            container.querySelectorAll('.chat-model-select').forEach(s => { models[s.dataset.platform] = s.value; });
+            chrome.storage.local.set({ 'chat-models': models });
+        });
+    });
+}
+
+// One picker per platform, saved together under 'prompt-styles'. Only
+// overrides are stored: a platform left on Auto follows
+// PLATFORM_PROMPT_STYLES. The panel's own picker writes the same key.
+function renderPromptStyleSettings(selected) {
+    const container = document.getElementById('prompt-style-settings');
+    if (!container) return;
+
+    container.innerHTML = Object.entries(CHAT_MODEL_PLATFORMS).map(([platform, label]) => {
+        const auto = PROMPT_STYLES[resolvePromptStyle(platform, null)];
+        const current = PROMPT_STYLES[selected[platform]] ? selected[platform] : 'auto';
+        const options = [
+            `<option value="auto" ${current === 'auto' ? 'selected' : ''}>Auto (${escapeHtml(auto.name)})</option>`,
+            ...Object.values(PROMPT_STYLES).map(style => `
+                <option value="${style.id}" ${style.id === current ? 'selected' : ''}>${escapeHtml(style.name)}</option>
+            `)
+        ].join('');
+        return `
+            <div class="settings-item">
+                <div class="settings-info">
+                    <div class="settings-title">${label}</div>
+                </div>
+                <select class="settings-select prompt-style-select" data-platform="${platform}">${options}</select>
+            </div>
+        `;
+    }).join('');
+
+    container.querySelectorAll('.prompt-style-select').forEach(select => {
+        select.addEventListener('change', () => {
+            const styles = {};
+            container.querySelectorAll('.prompt-style-select').forEach(s => {
+                if (s.value !== 'auto') styles[s.dataset.platform] = s.value;
+            });
+            chrome.storage.local.set({ 'prompt-styles': styles });
+        });
+    });
+}
+
+function formatContextWindow(tokens) {
+    return tokens >= 1000000 ? `${Number((tokens / 1000000).toFixed(1))}M` : `${Math.round(tokens / 1000)}K`;
+}
+
+loadSettings();
+
+loadProviderSettings();
 
 // Setup tutorial button functionality
 function setupTutorialButton() {
@@ -426,6 +720,9 @@ function updateAnalytics(history) {
     
     // Update score distribution chart
     updateScoreDistributionChart(charts, history);
+
+    updateAnswerQuality(charts, history);
+    updateVariantUsage(history);
 }
 
 function updateTrendChart(charts, history) {
@@ -479,8 +776,224 @@ function updateScoreDistributionChart(charts, history) {
     document.getElementById('score-chart').classList.add('loaded');
 }
 
+// Fewer rated answers than this and a correlation is mostly noise
+const MIN_CORRELATION_POINTS = 5;
+// Where the Excellent tier starts; the rating averages are split here
+const STRONG_PROMPT_SCORE = 70;
+
+// Pearson's r, or null when either side doesn't vary (every answer rated
+// the same, say) and there's nothing to correlate.
+function pearsonCorrelation(xs, ys) {
+    const n = xs.length;
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (xs[i] - meanX) * (ys[i] - meanY);
+        varianceX += (xs[i] - meanX) ** 2;
+        varianceY += (ys[i] - meanY) ** 2;
+    }
+    if (varianceX === 0 || varianceY === 0) return null;
+    return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+function describeCorrelation(r) {
+    const size = Math.abs(r);
+    if (size < 0.1) return 'no clear link';
+    const strength = size < 0.3 ? 'weak' : size < 0.5 ? 'moderate' : 'strong';
+    return `${strength} ${r > 0 ? 'positive' : 'negative'} link`;
+}
+
+// One line of the answer-quality summary: r for prompt score against
+// `label`, over the entries that have a value for it.
+function correlationLine(label, points, unit) {
+    if (points.length < MIN_CORRELATION_POINTS) {
+        return `<div class="correlation-line"><strong>${label}:</strong> ${points.length} of ${MIN_CORRELATION_POINTS} ${unit} needed</div>`;
+    }
+    const r = pearsonCorrelation(points.map(p => p.x), points.map(p => p.y));
+    const summary = r === null
+        ? 'not enough variation yet'
+        : `r = ${r.toFixed(2)}, ${describeCorrelation(r)}`;
+    return `<div class="correlation-line"><strong>${label}:</strong> ${summary} across ${points.length} ${unit}</div>`;
+}
+
+// Does a higher prompt score actually get a better answer? Plots each rated
+// answer's 1–5 rating against its prompt's score, and sums up the
+// correlation of both the ratings and the automatic relevance score.
+function updateAnswerQuality(charts, history) {
+    const rated = history
+        .filter(entry => typeof entry.userRating === 'number')
+        .map(entry => ({ x: normalizePromptScore(entry.metrics), y: entry.userRating }));
+    const relevance = history
+        .filter(entry => typeof entry.responseRelevance === 'number')
+        .map(entry => ({ x: normalizePromptScore(entry.metrics), y: entry.responseRelevance }));
+
+    charts.createCorrelationChart('answer-quality-chart', rated, { yMin: 1, yMax: 5, yLabel: 'Rating' });
+    document.getElementById('answer-quality-chart').classList.add('loaded');
+
+    const average = (points) => points.reduce((sum, p) => sum + p.y, 0) / points.length;
+    const strong = rated.filter(p => p.x >= STRONG_PROMPT_SCORE);
+    const weak = rated.filter(p => p.x < STRONG_PROMPT_SCORE);
+    const split = strong.length > 0 && weak.length > 0
+        ? `<div class="correlation-line">Average rating: <strong>${average(strong).toFixed(1)}</strong> for prompts scoring ${STRONG_PROMPT_SCORE}+, <strong>${average(weak).toFixed(1)}</strong> below</div>`
+        : '';
+
+    document.getElementById('answer-quality-summary').innerHTML =
+        correlationLine('Your ratings', rated, 'rated answers') +
+        correlationLine('Relevance', relevance, 'answers') +
+        split;
+}
+
+// Which of the panel's suggestion variants people actually insert, with
+// the average rating of the answers each one got where there are any.
+function updateVariantUsage(history) {
+    const container = document.getElementById('variant-usage');
+    if (!container) return;
+
+    const used = history.filter(entry => entry.variant && entry.variant.id);
+    if (used.length === 0) {
+        container.innerHTML = '<div class="correlation-line">No suggestions inserted yet — pick a tab in the panel and press "Use this prompt".</div>';
+        return;
+    }
+
+    const byVariant = new Map();
+    used.forEach(entry => {
+        const stats = byVariant.get(entry.variant.id) || { name: entry.variant.name || entry.variant.id, count: 0, edited: 0, ratings: [] };
+        stats.count += 1;
+        if (entry.variant.edited) stats.edited += 1;
+        if (typeof entry.userRating === 'number') stats.ratings.push(entry.userRating);
+        byVariant.set(entry.variant.id, stats);
+    });
+
+    container.innerHTML = [...byVariant.values()]
+        .sort((a, b) => b.count - a.count)
+        .map(stats => {
+            const share = Math.round((stats.count / used.length) * 100);
+            const rating = stats.ratings.length > 0
+                ? ` · answers rated ${(stats.ratings.reduce((a, b) => a + b, 0) / stats.ratings.length).toFixed(1)}/5`
+                : '';
+            const edited = stats.edited > 0 ? ` · edited ${stats.edited}×` : '';
+            return `<div class="correlation-line"><strong>${escapeHtml(stats.name)}:</strong> ${stats.count} (${share}%)${edited}${rating}</div>`;
+        }).join('');
+}
+
+// What the user's own provider key has cost: a bar per day for the last 30
+// days, this month against the budget, and the split between the panel's
+// rewrites and its feedback. Recorded by the background worker, not read
+// from history, so it's there even with history turned off.
+function updateApiSpend() {
+    chrome.storage.local.get([AI_USAGE_KEY, AI_PRICES_KEY, AI_BUDGET_KEY], function(stored) {
+        const usage = stored[AI_USAGE_KEY] || {};
+        const prices = stored[AI_PRICES_KEY] || {};
+        const recent = summarizeUsage(usage, prices, recentUsageDays(30));
+        const month = summarizeUsage(usage, prices, monthToDateUsageDays());
+        const budget = getMonthlyBudgetStatus(usage, prices, stored[AI_BUDGET_KEY]);
+
+        new PromptTracerCharts().createSpendChart('spend-chart', recent.byDay);
+        document.getElementById('spend-chart').classList.add('loaded');
+
+        const budgetInput = document.getElementById('ai-monthly-budget');
+        if (document.activeElement !== budgetInput) {
+            budgetInput.value = budget.budget > 0 ? budget.budget : '';
+        }
+
+        const lines = [];
+        const monthLine = budget.budget > 0
+            ? `${formatUsageCost(month.total)} of your ${formatUsageCost(budget.budget)} budget`
+            : formatUsageCost(month.total);
+        lines.push(`<div class="correlation-line"><strong>This month:</strong> ${monthLine} · last 30 days ${formatUsageCost(recent.total)}</div>`);
+        if (budget.reached) {
+            lines.push('<div class="correlation-line budget-reached">Budget reached — AI calls are paused until next month or until you raise it.</div>');
+        }
+        Object.entries(AI_USAGE_FEATURES).forEach(([feature, label]) => {
+            const stats = recent.byFeature[feature];
+            if (!stats) return;
+            const share = recent.total > 0 ? ` (${Math.round((stats.cost / recent.total) * 100)}%)` : '';
+            lines.push(`<div class="correlation-line"><strong>${label}:</strong> ${formatUsageCost(stats.cost)}${share} · ${stats.calls} calls · ${stats.tokens.toLocaleString()} tokens</div>`);
+        });
+        if (recent.unpriced.length > 0) {
+            lines.push(`<div class="correlation-line">No price set for ${recent.unpriced.map(escapeHtml).join(', ')} — add one in Settings → AI prices to count it.</div>`);
+        }
+        if (recent.estimatedCalls > 0) {
+            lines.push(`<div class="correlation-line">${recent.estimatedCalls} calls got no usage from the provider and are estimated locally.</div>`);
+        }
+        document.getElementById('spend-summary').innerHTML = lines.join('');
+
+        renderPriceSettings(prices, usage);
+    });
+}
+
+function setupApiSpend() {
+    const budgetInput = document.getElementById('ai-monthly-budget');
+    budgetInput.addEventListener('change', function() {
+        const budget = Number(budgetInput.value);
+        chrome.storage.local.set({ [AI_BUDGET_KEY]: Number.isFinite(budget) && budget > 0 ? budget : 0 }, updateApiSpend);
+    });
+    document.getElementById('reset-ai-prices-btn').addEventListener('click', function() {
+        chrome.storage.local.remove(AI_PRICES_KEY, updateApiSpend);
+    });
+}
+
+// One row per model with a built-in price, a corrected price, or any usage
+// at all (so a model with no price can be given one). Only prices that
+// differ from DEFAULT_MODEL_PRICES are stored.
+function renderPriceSettings(prices, usage) {
+    const container = document.getElementById('ai-price-settings');
+    if (!container || container.contains(document.activeElement)) return;
+
+    const models = new Set([...Object.keys(DEFAULT_MODEL_PRICES), ...Object.keys(prices)]);
+    Object.values(usage).forEach(day => Object.values(day).forEach(byModel => {
+        Object.entries(byModel).forEach(([model, totals]) => {
+            if (!isFreeUsageProvider(totals.provider)) models.add(model);
+        });
+    }));
+
+    container.innerHTML = [...models].map(model => {
+        const price = getModelPrice(model, prices) || { input: '', output: '' };
+        return `
+            <div class="settings-item">
+                <div class="settings-info">
+                    <div class="settings-title">${escapeHtml(model)}</div>
+                </div>
+                <div class="price-inputs">
+                    <input type="number" class="api-key-input usage-input ai-price-input" data-model="${escapeHtml(model)}" data-field="input" min="0" step="0.01" value="${price.input}" title="Input, $ per million tokens" placeholder="In">
+                    /
+                    <input type="number" class="api-key-input usage-input ai-price-input" data-model="${escapeHtml(model)}" data-field="output" min="0" step="0.01" value="${price.output}" title="Output, $ per million tokens" placeholder="Out">
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    container.querySelectorAll('.ai-price-input').forEach(input => {
+        input.addEventListener('change', function() {
+            const model = input.dataset.model;
+            const read = field => {
+                const value = container.querySelector(`.ai-price-input[data-model="${CSS.escape(model)}"][data-field="${field}"]`).value;
+                return value === '' ? NaN : Number(value);
+            };
+            const price = { input: read('input'), output: read('output') };
+            if (!(price.input >= 0 && price.output >= 0)) return;
+            chrome.storage.local.get([AI_PRICES_KEY], function(result) {
+                const overrides = result[AI_PRICES_KEY] || {};
+                const builtIn = DEFAULT_MODEL_PRICES[model];
+                if (builtIn && builtIn.input === price.input && builtIn.output === price.output) {
+                    delete overrides[model];
+                } else {
+                    overrides[model] = price;
+                }
+                chrome.storage.local.set({ [AI_PRICES_KEY]: overrides }, function() {
+                    input.blur();
+                    updateApiSpend();
+                });
+            });
+        });
+    });
+}
+
 function showEmptyAnalytics() {
-    const containers = ['trend-chart', 'platform-chart', 'score-chart'];
+    const containers = ['trend-chart', 'platform-chart', 'score-chart', 'answer-quality-chart'];
     containers.forEach(id => {
         const container = document.getElementById(id);
         if (container) {
@@ -599,4 +1112,1389 @@ function calculateAchievements(history) {
     });
     
     return achievements;
-} 
\ No newline at end of file
+} 
+
+// Custom rubrics: named, versioned sets of checks and weights stored under
+// 'customRubrics'. The content script re-reads them whenever they change,
+// so saving here takes effect on open tabs without a reload.
+let rubricState = { rubrics: [], activeId: DEFAULT_RUBRIC.id, editingId: null };
+
+function loadRubrics() {
+    chrome.storage.local.get(['customRubrics', 'activeRubricId'], function(result) {
+        rubricState.rubrics = result.customRubrics || [];
+        rubricState.activeId = resolveActiveRubric(rubricState.rubrics, result.activeRubricId).id;
+        renderRubricSelect();
+        renderCalibrationStatus();
+    });
+}
+
+function renderRubricSelect() {
+    const select = document.getElementById('active-rubric-select');
+    if (!select) return;
+
+    const options = [DEFAULT_RUBRIC, ...rubricState.rubrics];
+    select.innerHTML = options.map(rubric => `
+        <option value="${escapeHtml(rubric.id)}" ${rubric.id === rubricState.activeId ? 'selected' : ''}>
+            ${escapeHtml(rubric.name)} (v${rubric.version})
+        </option>
+    `).join('');
+
+    const isDefault = rubricState.activeId === DEFAULT_RUBRIC.id;
+    document.getElementById('edit-rubric-btn').disabled = isDefault;
+    document.getElementById('delete-rubric-btn').disabled = isDefault;
+}
+
+function setupRubricEditor() {
+    const select = document.getElementById('active-rubric-select');
+    if (!select) return;
+
+    select.addEventListener('change', () => {
+        rubricState.activeId = select.value;
+        chrome.storage.local.set({ activeRubricId: select.value }, () => {
+            renderRubricSelect();
+            loadData();
+        });
+    });
+
+    document.getElementById('new-rubric-btn').addEventListener('click', () => openRubricEditor(null));
+    document.getElementById('edit-rubric-btn').addEventListener('click', () => {
+        const rubric = rubricState.rubrics.find(r => r.id === rubricState.activeId);
+        if (rubric) openRubricEditor(rubric);
+    });
+    document.getElementById('delete-rubric-btn').addEventListener('click', deleteActiveRubric);
+    document.getElementById('add-rubric-check').addEventListener('click', () => {
+        document.getElementById('rubric-checks').appendChild(createRubricCheckRow({
+            id: `custom-${Date.now().toString(36)}`,
+            name: '',
+            enabled: true,
+            weight: 20,
+            reinforce: '',
+            detector: { type: 'keywords', value: '' }
+        }, true));
+    });
+    document.getElementById('cancel-rubric-btn').addEventListener('click', closeRubricEditor);
+    document.getElementById('save-rubric-btn').addEventListener('click', saveRubricFromEditor);
+}
+
+// Every built-in check gets a row (so it can be switched off or
+// re-weighted), followed by the rubric's own custom checks.
+function openRubricEditor(rubric) {
+    rubricState.editingId = rubric ? rubric.id : null;
+    const saved = Object.fromEntries(((rubric && rubric.checks) || []).map(c => [c.id, c]));
+
+    const container = document.getElementById('rubric-checks');
+    container.innerHTML = '';
+    DEFAULT_PROMPT_CHECKS.forEach(check => {
+        const override = saved[check.id] || {};
+        container.appendChild(createRubricCheckRow({
+            id: check.id,
+            name: check.name,
+            enabled: override.enabled !== false,
+            weight: typeof override.weight === 'number' ? override.weight : check.weight,
+            reinforce: override.reinforce || check.reinforce || ''
+        }, false));
+    });
+    ((rubric && rubric.checks) || [])
+        .filter(c => c.detector)
+        .forEach(check => container.appendChild(createRubricCheckRow(check, true)));
+
+    document.getElementById('rubric-name').value = rubric ? rubric.name : '';
+    document.getElementById('rubric-editor-error').textContent = '';
+    document.getElementById('rubric-editor').hidden = false;
+}
+
+function closeRubricEditor() {
+    rubricState.editingId = null;
+    document.getElementById('rubric-editor').hidden = true;
+}
+
+function createRubricCheckRow(check, isCustom) {
+    const row = document.createElement('div');
+    row.className = 'rubric-check';
+    row.dataset.checkId = check.id;
+    row.dataset.custom = isCustom ? 'true' : 'false';
+    row.innerHTML = `
+        <div class="rubric-check-header">
+            <input type="checkbox" class="rubric-check-enabled" ${check.enabled !== false ? 'checked' : ''} title="Include this check">
+            ${isCustom
+                ? `<input type="text" class="api-key-input rubric-check-name" placeholder="Check name, e.g. Mentions a ticket ID" value="${escapeHtml(check.name)}">`
+                : `<span class="rubric-check-name">${escapeHtml(check.name)}</span>`}
+            <input type="number" class="api-key-input rubric-check-weight" min="0" max="100" value="${check.weight}" title="Weight">
+            ${isCustom ? '<button class="rubric-remove-check" title="Remove check">×</button>' : ''}
+        </div>
+        ${isCustom ? `
+            <div class="rubric-check-row">
+                <select class="settings-select rubric-detector-type">
+                    <option value="keywords" ${check.detector.type !== 'regex' ? 'selected' : ''}>Keywords</option>
+                    <option value="regex" ${check.detector.type === 'regex' ? 'selected' : ''}>Regex</option>
+                </select>
+                <input type="text" class="api-key-input rubric-detector-value" placeholder="ticket, case #, order id" value="${escapeHtml(check.detector.value)}">
+            </div>
+        ` : ''}
+        <input type="text" class="api-key-input rubric-check-reinforce" placeholder="Sentence appended to the prompt when this check fails" value="${escapeHtml(check.reinforce || '')}">
+    `;
+    const removeBtn = row.querySelector('.rubric-remove-check');
+    if (removeBtn) {
+        removeBtn.addEventListener('click', () => row.remove());
+    }
+    return row;
+}
+
+// Reads the editor back into a rubric's checks array, throwing a
+// user-facing message for anything that would produce a broken rubric.
+function readRubricEditor() {
+    const name = document.getElementById('rubric-name').value.trim();
+    if (!name) throw new Error('Give the rubric a name.');
+
+    const checks = [...document.querySelectorAll('#rubric-checks .rubric-check')].map(row => {
+        const check = {
+            id: row.dataset.checkId,
+            enabled: row.querySelector('.rubric-check-enabled').checked,
+            weight: Math.max(0, Number(row.querySelector('.rubric-check-weight').value) || 0),
+            reinforce: row.querySelector('.rubric-check-reinforce').value.trim() || null
+        };
+        if (row.dataset.custom === 'true') {
+            check.name = row.querySelector('.rubric-check-name').value.trim();
+            check.detector = {
+                type: row.querySelector('.rubric-detector-type').value,
+                value: row.querySelector('.rubric-detector-value').value.trim()
+            };
+            if (!check.name) throw new Error('Every custom check needs a name.');
+            try {
+                compileRubricDetector(check.detector);
+            } catch (error) {
+                throw new Error(`"${check.name}": ${error.message}`);
+            }
+        }
+        return check;
+    });
+
+    if (!checks.some(c => c.enabled && c.weight > 0)) {
+        throw new Error('Enable at least one check with a weight above 0.');
+    }
+    return { name, checks: normalizeRubricWeights(checks) };
+}
+
+function saveRubricFromEditor() {
+    const errorEl = document.getElementById('rubric-editor-error');
+    let edited;
+    try {
+        edited = readRubricEditor();
+    } catch (error) {
+        errorEl.textContent = error.message;
+        return;
+    }
+
+    const existing = rubricState.rubrics.find(r => r.id === rubricState.editingId);
+    const rubric = existing
+        ? { ...existing, ...edited, version: existing.version + 1, updatedAt: new Date().toISOString() }
+        : { id: `rubric-${Date.now().toString(36)}`, version: 1, ...edited, updatedAt: new Date().toISOString() };
+
+    const rubrics = existing
+        ? rubricState.rubrics.map(r => (r.id === rubric.id ? rubric : r))
+        : [...rubricState.rubrics, rubric];
+
+    chrome.storage.local.set({ customRubrics: rubrics, activeRubricId: rubric.id }, () => {
+        rubricState.rubrics = rubrics;
+        rubricState.activeId = rubric.id;
+        closeRubricEditor();
+        renderRubricSelect();
+        loadData();
+    });
+}
+
+function deleteActiveRubric() {
+    const rubric = rubricState.rubrics.find(r => r.id === rubricState.activeId);
+    if (!rubric) return;
+    if (!confirm(`Delete the "${rubric.name}" rubric? Prompts it already scored keep their scores.`)) return;
+
+    const rubrics = rubricState.rubrics.filter(r => r.id !== rubric.id);
+    chrome.storage.local.set({ customRubrics: rubrics, activeRubricId: DEFAULT_RUBRIC.id }, () => {
+        rubricState.rubrics = rubrics;
+        rubricState.activeId = DEFAULT_RUBRIC.id;
+        closeRubricEditor();
+        renderRubricSelect();
+        renderCalibrationStatus();
+        loadData();
+    });
+}
+
+// Calibration fits the active rubric's checks against the user's own
+// answer ratings (see rubric-calibration.js). Nothing changes until the
+// result is applied, which saves it as the personal rubric and makes it
+// active; "Reset to defaults" removes it again.
+let calibrationState = { rated: 0, result: null, basedOn: null };
+
+function setupCalibration() {
+    const calibrateBtn = document.getElementById('calibrate-btn');
+    if (!calibrateBtn) return;
+
+    calibrateBtn.addEventListener('click', runCalibration);
+    document.getElementById('apply-calibration-btn').addEventListener('click', applyCalibration);
+    document.getElementById('cancel-calibration-btn').addEventListener('click', closeCalibration);
+    document.getElementById('reset-calibration-btn').addEventListener('click', resetCalibration);
+
+    getHistory(function(history) {
+        calibrationState.rated = history.filter(prompt => typeof prompt.userRating === 'number').length;
+        renderCalibrationStatus();
+    });
+}
+
+function renderCalibrationStatus() {
+    const status = document.getElementById('calibration-status');
+    if (!status) return;
+
+    const rated = calibrationState.rated;
+    const calibrated = rubricState.rubrics.find(r => r.id === CALIBRATED_RUBRIC_ID);
+    if (rated < MIN_CALIBRATION_RATINGS) {
+        status.textContent = `Rate ${MIN_CALIBRATION_RATINGS} answers to learn which checks matter to you — ${rated} so far.`;
+    } else if (calibrated) {
+        status.textContent = `Personal rubric learned from ${calibrated.calibration.ratings} ratings. ${rated} rated now.`;
+    } else {
+        status.textContent = `Learn which checks predicted the answers you rated highly, from your ${rated} ratings.`;
+    }
+    document.getElementById('calibrate-btn').disabled = rated < MIN_CALIBRATION_RATINGS;
+    document.getElementById('reset-calibration-btn').disabled = !calibrated;
+}
+
+function runCalibration() {
+    const errorEl = document.getElementById('calibration-error');
+    errorEl.textContent = '';
+    const base = resolveActiveRubric(rubricState.rubrics, rubricState.activeId);
+
+    getHistory(function(history) {
+        const result = calibrateRubric(history, base);
+        if (!result.ok) {
+            errorEl.textContent = result.reason;
+            closeCalibration();
+            return;
+        }
+        calibrationState.result = result;
+        calibrationState.basedOn = base;
+        renderCalibration(result, base);
+    });
+}
+
+// One row per check: a bar for how strongly passing it went with a good
+// rating, and its current weight next to the learned one.
+function renderCalibration(result, base) {
+    document.getElementById('calibration-summary').textContent =
+        `${result.count} rated prompts scored with "${base.name}", ${result.good} of them rated ${GOOD_ANSWER_RATING}★ or higher.`;
+
+    const strongest = Math.max(...result.checks.map(check => Math.max(0, check.coefficient)), 0.0001);
+    document.getElementById('calibration-checks').innerHTML = result.checks.map(check => `
+        <div class="calibration-check">
+            <span>${escapeHtml(check.name)}</span>
+            <div class="calibration-bar"><div class="calibration-bar-fill" style="width: ${Math.round(Math.max(0, check.coefficient) / strongest * 100)}%"></div></div>
+            <span class="calibration-weight">${Math.round(check.currentWeight)} → ${Math.round(check.weight)}</span>
+            <span class="calibration-effect">${escapeHtml(describeCheckEffect(check))}</span>
+        </div>
+    `).join('');
+    document.getElementById('calibration-result').hidden = false;
+}
+
+function describeCheckEffect(check) {
+    if (check.passRate === 0 || check.passRate === 1) {
+        return `${check.passRate === 1 ? 'Always' : 'Never'} passed, so there's no telling.`;
+    }
+    if (Math.abs(check.coefficient) < 0.1) return 'No clear effect on your ratings.';
+    const odds = Math.exp(check.coefficient);
+    return odds >= 1
+        ? `Passing it made a ${GOOD_ANSWER_RATING}★+ answer ${odds.toFixed(1)}× as likely.`
+        : `Passing it went with lower ratings (${odds.toFixed(2)}× the odds).`;
+}
+
+function closeCalibration() {
+    calibrationState.result = null;
+    document.getElementById('calibration-result').hidden = true;
+}
+
+function applyCalibration() {
+    const { result, basedOn } = calibrationState;
+    if (!result) return;
+
+    const existing = rubricState.rubrics.find(r => r.id === CALIBRATED_RUBRIC_ID);
+    const rubric = buildCalibratedRubric(basedOn, result, existing);
+    const rubrics = existing
+        ? rubricState.rubrics.map(r => (r.id === rubric.id ? rubric : r))
+        : [...rubricState.rubrics, rubric];
+
+    chrome.storage.local.set({ customRubrics: rubrics, activeRubricId: rubric.id }, () => {
+        rubricState.rubrics = rubrics;
+        rubricState.activeId = rubric.id;
+        closeCalibration();
+        renderRubricSelect();
+        renderCalibrationStatus();
+        loadData();
+    });
+}
+
+function resetCalibration() {
+    if (!rubricState.rubrics.some(r => r.id === CALIBRATED_RUBRIC_ID)) return;
+    if (!confirm('Remove your calibrated rubric and go back to the default checks and weights?')) return;
+
+    const rubrics = rubricState.rubrics.filter(r => r.id !== CALIBRATED_RUBRIC_ID);
+    chrome.storage.local.set({ customRubrics: rubrics, activeRubricId: DEFAULT_RUBRIC.id }, () => {
+        rubricState.rubrics = rubrics;
+        rubricState.activeId = DEFAULT_RUBRIC.id;
+        closeCalibration();
+        renderRubricSelect();
+        renderCalibrationStatus();
+        loadData();
+    });
+}
+
+// History tab: search and filters run in the background worker against
+// IndexedDB, one page at a time, so the popup never loads the whole history.
+let historyState = { filters: {}, offset: 0, pageSize: 20, total: 0 };
+
+function setupHistory() {
+    const historyTab = document.querySelector('.tab[data-tab="history"]');
+    if (!historyTab) return;
+
+    historyTab.addEventListener('click', () => {
+        loadHistoryFacets();
+        closeHistoryDetail();
+        runHistorySearch();
+    });
+
+    let searchTimer = null;
+    document.getElementById('history-search').addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(applyHistoryFilters, 250);
+    });
+    document.querySelectorAll('.history-filter').forEach(input => {
+        input.addEventListener('change', applyHistoryFilters);
+    });
+    document.getElementById('history-reset').addEventListener('click', () => {
+        document.getElementById('history-search').value = '';
+        document.querySelectorAll('.history-filter').forEach(input => { input.value = ''; });
+        applyHistoryFilters();
+    });
+    document.getElementById('history-prev').addEventListener('click', () => {
+        historyState.offset = Math.max(0, historyState.offset - historyState.pageSize);
+        runHistorySearch();
+    });
+    document.getElementById('history-next').addEventListener('click', () => {
+        historyState.offset += historyState.pageSize;
+        runHistorySearch();
+    });
+}
+
+function readHistoryFilters() {
+    const value = id => document.getElementById(id).value.trim();
+    const filters = {
+        text: value('history-search'),
+        platform: value('history-platform'),
+        quality: value('history-quality'),
+        failedCheck: value('history-failed-check'),
+        tag: value('history-tag')
+    };
+    const minScore = value('history-min-score');
+    const maxScore = value('history-max-score');
+    if (minScore !== '') filters.minScore = Number(minScore);
+    if (maxScore !== '') filters.maxScore = Number(maxScore);
+    return addLocalDateRange(filters, value('history-from'), value('history-to'));
+}
+
+// Date inputs are local calendar days; entries are stamped in UTC, so the
+// range is widened to cover the whole of each local day.
+function addLocalDateRange(filters, from, to) {
+    if (from) filters.from = new Date(`${from}T00:00:00`).toISOString();
+    if (to) filters.to = new Date(`${to}T23:59:59.999`).toISOString();
+    return filters;
+}
+
+function applyHistoryFilters() {
+    historyState.filters = readHistoryFilters();
+    historyState.offset = 0;
+    runHistorySearch();
+}
+
+function loadHistoryFacets() {
+    chrome.runtime.sendMessage({ action: 'getHistoryFacets' }, function(facets) {
+        if (chrome.runtime.lastError || !facets || facets.error) return;
+        fillHistoryFilter('history-platform', 'All platforms',
+            facets.platforms.map(platform => ({ value: platform, label: getPlatformName(platform) })));
+        fillHistoryFilter('history-failed-check', 'Any checks',
+            facets.checks.map(check => ({ value: check.id, label: `Failed: ${check.name}` })));
+        fillHistoryFilter('history-tag', 'Any tag',
+            facets.tags.map(tag => ({ value: tag, label: `#${tag}` })));
+    });
+}
+
+// Rebuilds a filter menu, keeping the current choice if it's still offered.
+function fillHistoryFilter(id, anyLabel, options) {
+    const select = document.getElementById(id);
+    const current = select.value;
+    select.innerHTML = `<option value="">${escapeHtml(anyLabel)}</option>` + options.map(option =>
+        `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`
+    ).join('');
+    select.value = options.some(option => option.value === current) ? current : '';
+}
+
+function runHistorySearch() {
+    chrome.runtime.sendMessage({
+        action: 'searchHistory',
+        filters: historyState.filters,
+        offset: historyState.offset,
+        limit: historyState.pageSize
+    }, function(response) {
+        if (chrome.runtime.lastError || !response || !Array.isArray(response.entries)) {
+            console.error('History search failed:', chrome.runtime.lastError || (response && response.error));
+            renderHistoryResults([], 0);
+            return;
+        }
+        // Deleting the last entry of the last page leaves it empty
+        if (response.entries.length === 0 && historyState.offset > 0 && response.total > 0) {
+            historyState.offset = Math.max(0, historyState.offset - historyState.pageSize);
+            runHistorySearch();
+            return;
+        }
+        renderHistoryResults(response.entries, response.total);
+    });
+}
+
+function renderHistoryResults(entries, total) {
+    historyState.total = total;
+    const results = document.getElementById('history-results');
+    const { offset, pageSize } = historyState;
+
+    document.getElementById('history-count').textContent =
+        `${total} ${total === 1 ? 'prompt' : 'prompts'}`;
+    document.getElementById('history-page').textContent = total > pageSize
+        ? `${offset + 1}–${Math.min(offset + pageSize, total)} of ${total}`
+        : '';
+    document.getElementById('history-prev').disabled = offset === 0;
+    document.getElementById('history-next').disabled = offset + pageSize >= total;
+
+    if (entries.length === 0) {
+        results.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-icon">🔍</div>
+                <div class="empty-text">No matching prompts</div>
+                <div class="empty-subtext">Try a different search or fewer filters</div>
+            </div>
+        `;
+        return;
+    }
+
+    results.innerHTML = '';
+    entries.forEach(entry => {
+        const score = normalizePromptScore(entry.metrics);
+        const item = document.createElement('div');
+        item.className = 'prompt-item';
+        item.innerHTML = `
+            <div class="prompt-text">${escapeHtml(truncateText(entry.prompt || '', 80))}</div>
+            <div class="prompt-meta">
+                <div class="prompt-platform">
+                    <span>${getPlatformIcon(entry.platform)}</span>
+                    <span>${getPlatformName(entry.platform)} • ${formatDate(entry.timestamp)}</span>
+                </div>
+                <div class="score-badge ${getScoreClass(score)}">${score}%</div>
+            </div>
+        `;
+        item.addEventListener('click', () => openHistoryDetail(entry.id));
+        results.appendChild(item);
+    });
+}
+
+function openHistoryDetail(id) {
+    chrome.runtime.sendMessage({ action: 'getHistoryEntry', id }, function(response) {
+        if (chrome.runtime.lastError || !response || !response.entry) {
+            runHistorySearch();
+            return;
+        }
+        renderHistoryDetail(response.entry);
+    });
+}
+
+function closeHistoryDetail() {
+    document.getElementById('history-detail').hidden = true;
+    document.getElementById('history-list-view').hidden = false;
+}
+
+function renderHistoryDetail(entry) {
+    const detail = document.getElementById('history-detail');
+    const score = normalizePromptScore(entry.metrics);
+    const quality = entry.quality || determineQualityTier(score);
+    const textBlock = (label, text) => `
+        <div class="history-detail-block">
+            <div class="history-detail-label">${label}</div>
+            <div class="history-detail-text">${text ? escapeHtml(text) : '<em>None captured</em>'}</div>
+        </div>
+    `;
+
+    const checks = entry.checks || [];
+    const checkRows = checks.length > 0
+        ? checks.map(check => `
+            <div class="history-check${check.ok ? '' : ' failed'}">
+                <span>${check.ok ? '✓' : '✗'} ${escapeHtml(check.name || check.id)}</span>
+                <span>${typeof check.weight === 'number' ? `${check.weight}%` : ''}</span>
+            </div>
+        `).join('')
+        : '<div class="history-check">No check results were stored for this prompt</div>';
+
+    const meta = [
+        `${getPlatformIcon(entry.platform)} ${getPlatformName(entry.platform)}`,
+        new Date(entry.timestamp).toLocaleString(),
+        `Score ${score}% (${quality})`,
+        entry.rubric ? `Rubric: ${entry.rubric.name || entry.rubric.id} v${entry.rubric.version}` : null,
+        entry.pack ? `Pack: ${entry.pack}` : null,
+        entry.variant ? `Used the ${entry.variant.name || entry.variant.id} suggestion${entry.variant.edited ? ' (edited)' : ''}` : null,
+        typeof entry.latencyMs === 'number' ? `Reply in ${(entry.latencyMs / 1000).toFixed(1)}s` : null,
+        typeof entry.userRating === 'number' ? `Rated ${entry.userRating}/5` : null,
+        typeof entry.responseRelevance === 'number' ? `Relevance ${entry.responseRelevance}/100` : null,
+        entry.conversationId ? `Conversation ${entry.conversationId}` : null
+    ].filter(Boolean);
+
+    detail.innerHTML = `
+        <div class="history-summary">
+            <button id="history-back">‹ Back to results</button>
+            <button id="history-delete">Delete</button>
+        </div>
+        <div class="history-detail-block">
+            <div class="history-detail-label">Details</div>
+            <div class="prompt-meta">${meta.map(escapeHtml).join(' • ')}</div>
+        </div>
+        ${textBlock('Original prompt', entry.prompt)}
+        ${textBlock('Optimized version', entry.optimizedVersion)}
+        <div class="history-detail-block">
+            <div class="history-detail-label">Checks</div>
+            ${checkRows}
+        </div>
+        ${textBlock('Captured response', entry.response)}
+        <div class="history-detail-block">
+            <div class="history-detail-label">Tags</div>
+            <div class="history-tags">
+                ${(entry.tags || []).map(tag => `
+                    <span class="history-tag">#${escapeHtml(tag)}<button data-tag="${escapeHtml(tag)}" title="Remove tag">×</button></span>
+                `).join('')}
+                <input type="text" id="history-new-tag" class="api-key-input" placeholder="Add a tag" maxlength="40">
+            </div>
+        </div>
+    `;
+
+    document.getElementById('history-list-view').hidden = true;
+    detail.hidden = false;
+
+    document.getElementById('history-back').addEventListener('click', () => {
+        closeHistoryDetail();
+        runHistorySearch();
+    });
+    document.getElementById('history-delete').addEventListener('click', () => {
+        if (!confirm('Delete this prompt from your history?')) return;
+        chrome.runtime.sendMessage({ action: 'deleteHistoryEntry', id: entry.id }, function() {
+            closeHistoryDetail();
+            loadHistoryFacets();
+            runHistorySearch();
+            loadData();
+        });
+    });
+    detail.querySelectorAll('.history-tag button').forEach(button => {
+        button.addEventListener('click', () => {
+            saveHistoryTags(entry, (entry.tags || []).filter(tag => tag !== button.dataset.tag));
+        });
+    });
+    document.getElementById('history-new-tag').addEventListener('keypress', (e) => {
+        if (e.key !== 'Enter') return;
+        const tag = e.target.value.trim().toLowerCase().replace(/^#/, '');
+        if (!tag || (entry.tags || []).includes(tag)) return;
+        saveHistoryTags(entry, [...(entry.tags || []), tag]);
+    });
+}
+
+function saveHistoryTags(entry, tags) {
+    chrome.runtime.sendMessage({ action: 'updateHistoryEntry', id: entry.id, changes: { tags } }, function(response) {
+        if (chrome.runtime.lastError || !response || !response.success) return;
+        loadHistoryFacets();
+        openHistoryDetail(entry.id);
+    });
+}
+
+// Template library: saved prompts with {{variables}}, inserted from the
+// panel on any AI platform. Each one is scored with the active rubric when
+// saved, so weak templates are caught before they're reused.
+let templateState = { templates: [], editingId: null, variables: [] };
+
+function loadTemplates() {
+    chrome.storage.local.get([PROMPT_TEMPLATES_KEY], function(result) {
+        templateState.templates = result[PROMPT_TEMPLATES_KEY] || [];
+        renderTemplateList();
+    });
+}
+
+function renderTemplateList() {
+    const list = document.getElementById('template-list');
+    if (!list) return;
+
+    if (templateState.templates.length === 0) {
+        list.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-icon">📄</div>
+                <div class="empty-text">No templates yet</div>
+                <div class="empty-subtext">Save a prompt you reuse, with {{variables}} for the parts that change</div>
+            </div>
+        `;
+        return;
+    }
+
+    list.innerHTML = '';
+    templateState.templates.forEach(template => {
+        const item = document.createElement('div');
+        item.className = 'prompt-item';
+        const variableCount = (template.variables || []).length;
+        item.innerHTML = `
+            <div class="prompt-text">${escapeHtml(template.name)}</div>
+            <div class="prompt-meta">
+                <div class="prompt-platform">
+                    <span>${variableCount} ${variableCount === 1 ? 'variable' : 'variables'} • ${formatDate(template.updatedAt)}</span>
+                </div>
+                <div class="score-badge ${getScoreClass(template.score)}">${template.score}%</div>
+            </div>
+        `;
+        item.addEventListener('click', () => openTemplateEditor(template));
+        list.appendChild(item);
+    });
+}
+
+function setupTemplates() {
+    if (!document.getElementById('template-editor')) return;
+
+    document.getElementById('new-template-btn').addEventListener('click', () => openTemplateEditor(null));
+    document.getElementById('cancel-template-btn').addEventListener('click', closeTemplateEditor);
+    document.getElementById('save-template-btn').addEventListener('click', saveTemplateFromEditor);
+    document.getElementById('delete-template-btn').addEventListener('click', deleteEditingTemplate);
+    document.getElementById('template-body').addEventListener('input', () => {
+        const body = document.getElementById('template-body').value;
+        templateState.variables = syncTemplateVariables(body, readTemplateVariables());
+        renderTemplateVariables();
+        updateTemplateScore();
+    });
+    document.getElementById('template-variables').addEventListener('input', updateTemplateScore);
+
+    loadTemplates();
+}
+
+function openTemplateEditor(template) {
+    templateState.editingId = template ? template.id : null;
+    templateState.variables = template ? syncTemplateVariables(template.body, template.variables) : [];
+
+    document.getElementById('template-name').value = template ? template.name : '';
+    document.getElementById('template-body').value = template ? template.body : '';
+    document.getElementById('template-editor-error').textContent = '';
+    document.getElementById('save-template-btn').textContent = template ? 'Save template' : 'Add template';
+    renderTemplateVariables();
+    updateTemplateScore();
+    document.getElementById('delete-template-btn').hidden = !template;
+
+    document.getElementById('template-editor').hidden = false;
+    document.getElementById('template-name').focus();
+}
+
+function closeTemplateEditor() {
+    templateState.editingId = null;
+    document.getElementById('template-editor').hidden = true;
+}
+
+function renderTemplateVariables() {
+    const container = document.getElementById('template-variables');
+    container.innerHTML = templateState.variables.map(variable => `
+        <div class="template-variable" data-name="${escapeHtml(variable.name)}">
+            <span class="template-variable-name" title="${escapeHtml(variable.name)}">{{${escapeHtml(variable.name)}}}</span>
+            <input type="text" class="api-key-input template-variable-default" placeholder="Default value" value="${escapeHtml(variable.default)}">
+            <input type="text" class="api-key-input template-variable-description" placeholder="What to fill in" value="${escapeHtml(variable.description)}">
+        </div>
+    `).join('');
+}
+
+function readTemplateVariables() {
+    return [...document.querySelectorAll('#template-variables .template-variable')].map(row => ({
+        name: row.dataset.name,
+        default: row.querySelector('.template-variable-default').value.trim(),
+        description: row.querySelector('.template-variable-description').value.trim()
+    }));
+}
+
+// Scored against the active rubric — the same checks the panel would run
+// on the prompt once it's inserted.
+function scoreTemplate(template) {
+    const optimizer = new PromptOptimizer();
+    optimizer.setRubric(resolveActiveRubric(rubricState.rubrics, rubricState.activeId));
+    return scorePromptTemplate(template, optimizer);
+}
+
+function updateTemplateScore() {
+    const scoreEl = document.getElementById('template-score');
+    const body = document.getElementById('template-body').value;
+    if (!body.trim()) {
+        scoreEl.textContent = '';
+        return;
+    }
+    const result = scoreTemplate({ body, variables: readTemplateVariables() });
+    scoreEl.textContent = `Score ${result.score}/100 (${result.quality})` +
+        (result.failed.length > 0 ? ` · missing: ${result.failed.join(', ')}` : '');
+}
+
+function saveTemplateFromEditor() {
+    const errorEl = document.getElementById('template-editor-error');
+    const name = document.getElementById('template-name').value.trim();
+    const body = document.getElementById('template-body').value.trim();
+    if (!name) {
+        errorEl.textContent = 'Give the template a name.';
+        return;
+    }
+    if (!body) {
+        errorEl.textContent = 'Write the prompt the template inserts.';
+        return;
+    }
+
+    const variables = syncTemplateVariables(body, readTemplateVariables());
+    const result = scoreTemplate({ body, variables });
+    if (result.score < TEMPLATE_MIN_SCORE &&
+        !confirm(`"${name}" scores ${result.score}/100 — below the ${TEMPLATE_MIN_SCORE} a reusable template should reach.\n\nMissing: ${result.failed.join(', ')}\n\nSave it anyway?`)) {
+        return;
+    }
+
+    const existing = templateState.templates.find(t => t.id === templateState.editingId);
+    const template = {
+        id: existing ? existing.id : `template-${Date.now().toString(36)}`,
+        name,
+        body,
+        variables,
+        score: result.score,
+        quality: result.quality,
+        updatedAt: new Date().toISOString()
+    };
+    const templates = existing
+        ? templateState.templates.map(t => (t.id === template.id ? template : t))
+        : [...templateState.templates, template];
+
+    chrome.storage.local.set({ [PROMPT_TEMPLATES_KEY]: templates }, () => {
+        templateState.templates = templates;
+        closeTemplateEditor();
+        renderTemplateList();
+    });
+}
+
+function deleteEditingTemplate() {
+    const template = templateState.templates.find(t => t.id === templateState.editingId);
+    if (!template) return;
+    if (!confirm(`Delete the "${template.name}" template?`)) return;
+    const templates = templateState.templates.filter(t => t.id !== template.id);
+    chrome.storage.local.set({ [PROMPT_TEMPLATES_KEY]: templates }, () => {
+        templateState.templates = templates;
+        closeTemplateEditor();
+        renderTemplateList();
+    });
+}
+
+// Export bundles: history, templates, rubrics and non-secret settings in one
+// file, stamped with a schema version and a SHA-256 checksum of its data so
+// an edited or truncated file is caught before anything is imported.
+const EXPORT_BUNDLE_FORMAT = 'prompt-tracer-bundle';
+const EXPORT_BUNDLE_VERSION = 1;
+const BUNDLE_SECTIONS = ['history', 'templates', 'rubrics', 'settings'];
+const BUNDLE_SECTION_LABELS = {
+    history: 'Prompt history',
+    templates: 'Templates',
+    rubrics: 'Scoring rubrics',
+    settings: 'Settings'
+};
+
+let importState = { data: null, preview: null };
+
+// Settings that travel with a bundle. API keys never do: each provider
+// contributes only its model and base URL.
+function getExportableSettingKeys() {
+    const keys = ['auto-analysis', 'show-panel', 'save-history', 'llm-optimization',
+        'history-max-entries', 'history-max-age-days', 'llm-provider', 'activeRubricId', 'pii-redaction', 'chat-models', 'prompt-styles',
+        AI_PRICES_KEY, AI_BUDGET_KEY];
+    Object.keys(LLM_PROVIDERS).forEach(id => {
+        const providerKeys = getProviderStorageKeys(id);
+        keys.push(providerKeys.model, providerKeys.baseUrl);
+    });
+    return keys;
+}
+
+// Settings that decide where prompts are sent. A bundle from someone else
+// could point them at a server of its choosing, so importing one of these
+// takes its own tick in the preview.
+function isPromptRoutingSetting(key) {
+    return key === 'llm-provider' || Object.keys(LLM_PROVIDERS).some(id => getProviderStorageKeys(id).baseUrl === key);
+}
+
+// A setting's value as the import preview shows it: strings as they are,
+// anything else as JSON, cut short so a long list doesn't swamp the preview.
+function formatImportedSetting(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 80 ? `${text.slice(0, 79)}…` : text;
+}
+
+function getSelectedBundleSections() {
+    return [...document.querySelectorAll('.bundle-section:checked')].map(input => input.value);
+}
+
+function collectBundleData(sections, historyFilters, callback) {
+    const storageKeys = [PROMPT_TEMPLATES_KEY, 'customRubrics', ...getExportableSettingKeys()];
+    chrome.storage.local.get(storageKeys, function(stored) {
+        const data = {};
+        if (sections.includes('templates')) data.templates = stored[PROMPT_TEMPLATES_KEY] || [];
+        if (sections.includes('rubrics')) data.rubrics = stored.customRubrics || [];
+        if (sections.includes('settings')) {
+            data.settings = {};
+            getExportableSettingKeys().forEach(key => {
+                if (stored[key] !== undefined) data.settings[key] = stored[key];
+            });
+        }
+        if (!sections.includes('history')) {
+            callback(data);
+            return;
+        }
+        getHistory(function(history) {
+            data.history = history;
+            callback(data);
+        }, historyFilters);
+    });
+}
+
+async function bundleChecksum(data) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(data)));
+    return 'sha256-' + [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function createExportBundle(data) {
+    return {
+        format: EXPORT_BUNDLE_FORMAT,
+        schemaVersion: EXPORT_BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        checksum: await bundleChecksum(data),
+        data
+    };
+}
+
+function countLabel(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.length > 0;
+}
+
+// Checks a parsed file and returns its data with malformed items dropped
+// (and counted), throwing a user-facing message if the file as a whole
+// can't be trusted. A bare array is the history-only JSON older versions
+// exported, accepted as-is since it has no checksum to verify.
+async function validateExportBundle(parsed) {
+    if (Array.isArray(parsed)) {
+        return sanitizeBundleData({ history: parsed }, { schemaVersion: 0, exportedAt: null });
+    }
+    if (!parsed || parsed.format !== EXPORT_BUNDLE_FORMAT) {
+        throw new Error('This file isn\'t a Prompt Tracer export bundle.');
+    }
+    if (typeof parsed.schemaVersion !== 'number' || parsed.schemaVersion < 1) {
+        throw new Error('The bundle has no valid schema version.');
+    }
+    if (parsed.schemaVersion > EXPORT_BUNDLE_VERSION) {
+        throw new Error('This bundle was made by a newer version of Prompt Tracer — update the extension to import it.');
+    }
+    if (!parsed.data || typeof parsed.data !== 'object') {
+        throw new Error('The bundle has no data.');
+    }
+    if (parsed.checksum !== await bundleChecksum(parsed.data)) {
+        throw new Error('The bundle\'s checksum doesn\'t match its contents — the file was changed or is incomplete.');
+    }
+    return sanitizeBundleData(parsed.data, parsed);
+}
+
+function sanitizeBundleData(data, meta) {
+    const invalid = {};
+    const keep = (section, isValid) => {
+        if (data[section] === undefined) return undefined;
+        if (!Array.isArray(data[section])) {
+            throw new Error(`The bundle's ${BUNDLE_SECTION_LABELS[section].toLowerCase()} aren't a list.`);
+        }
+        const valid = data[section].filter(item => item && typeof item === 'object' && isValid(item));
+        invalid[section] = data[section].length - valid.length;
+        return valid;
+    };
+
+    const result = {
+        schemaVersion: meta.schemaVersion,
+        exportedAt: meta.exportedAt || null,
+        invalid,
+        history: keep('history', entry => isNonEmptyString(entry.id) && typeof entry.prompt === 'string' && isNonEmptyString(entry.timestamp)),
+        templates: keep('templates', template => isNonEmptyString(template.id) && isNonEmptyString(template.name) && typeof template.body === 'string'),
+        rubrics: keep('rubrics', rubric => isNonEmptyString(rubric.id) && isNonEmptyString(rubric.name) &&
+            typeof rubric.version === 'number' && Array.isArray(rubric.checks))
+    };
+
+    if (data.settings !== undefined) {
+        if (!data.settings || typeof data.settings !== 'object' || Array.isArray(data.settings)) {
+            throw new Error('The bundle\'s settings aren\'t valid.');
+        }
+        // Only known, non-secret keys — a bundle can't plant an API key
+        const allowed = getExportableSettingKeys();
+        result.settings = Object.fromEntries(Object.entries(data.settings).filter(([key]) => allowed.includes(key)));
+        invalid.settings = Object.keys(data.settings).length - Object.keys(result.settings).length;
+    }
+    return result;
+}
+
+// What importing would change, per section: items that are new, and how
+// many are skipped because their id is already here (or, for settings,
+// because the value is already the same).
+function buildImportPreview(data, callback) {
+    chrome.storage.local.get([PROMPT_TEMPLATES_KEY, 'customRubrics', ...getExportableSettingKeys()], function(stored) {
+        const preview = {};
+        const byNewId = (items, existing) => {
+            const ids = new Set((existing || []).map(item => item.id));
+            const seen = new Set();
+            return items.filter(item => {
+                if (ids.has(item.id) || seen.has(item.id)) return false;
+                seen.add(item.id);
+                return true;
+            });
+        };
+
+        if (data.templates) {
+            const added = byNewId(data.templates, stored[PROMPT_TEMPLATES_KEY]);
+            preview.templates = { added, skipped: data.templates.length - added.length };
+        }
+        if (data.rubrics) {
+            const added = byNewId(data.rubrics, stored.customRubrics);
+            preview.rubrics = { added, skipped: data.rubrics.length - added.length };
+        }
+        if (data.settings) {
+            const changed = Object.fromEntries(Object.entries(data.settings)
+                .filter(([key, value]) => JSON.stringify(stored[key]) !== JSON.stringify(value)));
+            preview.settings = { added: changed, skipped: Object.keys(data.settings).length - Object.keys(changed).length };
+        }
+        if (!data.history) {
+            callback(preview);
+            return;
+        }
+
+        const entries = byNewId(data.history, []);
+        chrome.runtime.sendMessage({ action: 'getMissingHistoryIds', ids: entries.map(entry => entry.id) }, function(response) {
+            if (chrome.runtime.lastError || !response || !Array.isArray(response.ids)) {
+                callback(null, new Error('Could not read your current history to compare against.'));
+                return;
+            }
+            const missing = new Set(response.ids);
+            const added = entries.filter(entry => missing.has(entry.id));
+            preview.history = { added, skipped: data.history.length - added.length };
+            callback(preview);
+        });
+    });
+}
+
+function setupBundleImport() {
+    const importBtn = document.getElementById('import-bundle-btn');
+    if (!importBtn) return;
+    const fileInput = document.getElementById('import-bundle-file');
+
+    document.getElementById('export-bundle-btn').addEventListener('click', () => exportData());
+    importBtn.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file) readImportFile(file);
+    });
+    document.getElementById('cancel-import-btn').addEventListener('click', closeImportPreview);
+    document.getElementById('confirm-import-btn').addEventListener('click', applyImport);
+}
+
+function readImportFile(file) {
+    const errorEl = document.getElementById('bundle-error');
+    errorEl.textContent = '';
+    document.getElementById('bundle-status').textContent = '';
+    closeImportPreview();
+
+    file.text()
+        .then(text => {
+            let parsed;
+            try {
+                parsed = JSON.parse(text);
+            } catch (error) {
+                throw new Error('This file isn\'t valid JSON.');
+            }
+            return validateExportBundle(parsed);
+        })
+        .then(data => {
+            buildImportPreview(data, function(preview, error) {
+                if (error) {
+                    errorEl.textContent = error.message;
+                    return;
+                }
+                importState = { data, preview };
+                renderImportPreview();
+            });
+        })
+        .catch(error => {
+            errorEl.textContent = error.message;
+        });
+}
+
+function renderImportPreview() {
+    const { data, preview } = importState;
+    document.getElementById('import-meta').textContent = data.schemaVersion === 0
+        ? 'Older history-only export'
+        : `Schema v${data.schemaVersion}${data.exportedAt ? ` · exported ${new Date(data.exportedAt).toLocaleString()}` : ''} · checksum verified`;
+
+    const sections = BUNDLE_SECTIONS.filter(section => preview[section]);
+    document.getElementById('import-sections').innerHTML = sections.length === 0
+        ? '<div class="import-section">The bundle is empty.</div>'
+        : sections.map(section => {
+            const { added, skipped } = preview[section];
+            const count = Array.isArray(added) ? added.length : Object.keys(added).length;
+            const details = [
+                `${skipped} ${section === 'settings' ? 'unchanged' : 'already here'}`,
+                data.invalid[section] ? `${data.invalid[section]} invalid, skipped` : null
+            ].filter(Boolean).join(' · ');
+            return `
+                <label class="import-section">
+                    <input type="checkbox" class="import-section-toggle" value="${section}" ${count > 0 ? 'checked' : 'disabled'}>
+                    <span><strong>${BUNDLE_SECTION_LABELS[section]}:</strong> ${count} ${section === 'settings' ? 'to change' : 'new'} · ${details}</span>
+                </label>
+                ${section === 'settings' ? renderImportedSettings(added) : ''}
+            `;
+        }).join('');
+    document.getElementById('import-preview').hidden = false;
+}
+
+// Each setting the import would change, with its new value. Provider and
+// base URL changes are left unticked: they only apply if ticked here.
+function renderImportedSettings(settings) {
+    const entries = Object.entries(settings);
+    if (entries.length === 0) return '';
+    return `<ul class="import-settings">${entries.map(([key, value]) => {
+        const setting = `<code>${escapeHtml(key)}</code> → <code>${escapeHtml(formatImportedSetting(value))}</code>`;
+        return isPromptRoutingSetting(key)
+            ? `<li><label><input type="checkbox" class="import-setting-optin" value="${escapeHtml(key)}"> ${setting}
+                <span class="import-warning">changes where your prompts are sent</span></label></li>`
+            : `<li>${setting}</li>`;
+    }).join('')}</ul>`;
+}
+
+function closeImportPreview() {
+    importState = { data: null, preview: null };
+    document.getElementById('import-preview').hidden = true;
+}
+
+function applyImport() {
+    const { preview } = importState;
+    if (!preview) return;
+    const sections = [...document.querySelectorAll('.import-section-toggle:checked')].map(input => input.value);
+
+    chrome.storage.local.get([PROMPT_TEMPLATES_KEY, 'customRubrics'], function(stored) {
+        const updates = {};
+        const summary = [];
+        if (sections.includes('templates')) {
+            updates[PROMPT_TEMPLATES_KEY] = [...(stored[PROMPT_TEMPLATES_KEY] || []), ...preview.templates.added];
+            summary.push(countLabel(preview.templates.added.length, 'template'));
+        }
+        if (sections.includes('rubrics')) {
+            updates.customRubrics = [...(stored.customRubrics || []), ...preview.rubrics.added];
+            summary.push(countLabel(preview.rubrics.added.length, 'rubric'));
+        }
+        if (sections.includes('settings')) {
+            const optedIn = [...document.querySelectorAll('.import-setting-optin:checked')].map(input => input.value);
+            const settings = Object.entries(preview.settings.added)
+                .filter(([key]) => !isPromptRoutingSetting(key) || optedIn.includes(key));
+            Object.assign(updates, Object.fromEntries(settings));
+            summary.push(countLabel(settings.length, 'setting'));
+        }
+
+        chrome.storage.local.set(updates, function() {
+            const finish = (historyNote) => {
+                if (historyNote) summary.unshift(historyNote);
+                closeImportPreview();
+                document.getElementById('bundle-status').textContent =
+                    summary.length > 0 ? `Imported ${summary.join(', ')}.` : 'Nothing was imported.';
+                loadSettings();
+                loadProviderSettings();
+                loadRubrics();
+                loadTemplates();
+                loadData();
+            };
+            if (!sections.includes('history')) {
+                finish(null);
+                return;
+            }
+            chrome.runtime.sendMessage({ action: 'importHistory', entries: preview.history.added }, function(response) {
+                if (chrome.runtime.lastError || !response || !response.success) {
+                    document.getElementById('bundle-error').textContent = 'Could not import the prompt history.';
+                    finish(null);
+                    return;
+                }
+                finish(countLabel(response.added, 'prompt'));
+            });
+        });
+    });
+}
+
+// Dashboard export: the bundle, or history alone as CSV (one row per prompt,
+// one column per check), a Markdown report, or JSONL original → optimized
+// pairs. The date and platform filters apply to every format.
+const HISTORY_EXPORT_FORMATS = {
+    csv: { extension: 'csv', type: 'text/csv', build: historyToCsv },
+    markdown: { extension: 'md', type: 'text/markdown', build: historyToMarkdown },
+    jsonl: { extension: 'jsonl', type: 'application/jsonl', build: historyToJsonl }
+};
+
+function readExportFilters() {
+    const filters = {};
+    const platform = document.getElementById('export-platform').value;
+    if (platform) filters.platform = platform;
+    return addLocalDateRange(filters,
+        document.getElementById('export-from').value, document.getElementById('export-to').value);
+}
+
+function exportHistory() {
+    const format = HISTORY_EXPORT_FORMATS[document.getElementById('export-format').value];
+    const filters = readExportFilters();
+    if (!format) {
+        exportData(filters);
+        return;
+    }
+    getHistory(function(history) {
+        if (history.length === 0) {
+            alert('No prompts match these filters.');
+            return;
+        }
+        downloadFile(format.build(history, filters),
+            `prompt-tracer-history-${new Date().toISOString().split('T')[0]}.${format.extension}`, format.type);
+    }, filters);
+}
+
+// Every check that appears anywhere in `history`, in first-seen order, so
+// entries scored by different rubrics or packs still line up by column.
+function collectHistoryChecks(history) {
+    const checks = new Map();
+    history.forEach(entry => (entry.checks || []).forEach(check => {
+        if (!checks.has(check.id)) checks.set(check.id, check.name || check.id);
+    }));
+    return [...checks].map(([id, name]) => ({ id, name }));
+}
+
+// Text that starts like a formula (=, +, -, @, or a tab or carriage
+// return ahead of one) is run as one by Excel and Sheets, so a prompt or
+// response could compute or fetch something when the file is opened. A
+// leading ' makes the cell plain text; numbers are left as they are.
+function csvField(value) {
+    let text = value == null ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Check columns hold 1 (passed), 0 (failed) or nothing (not run on that
+// prompt). The BOM makes Excel read the file as UTF-8.
+function historyToCsv(history) {
+    const checks = collectHistoryChecks(history);
+    const header = ['id', 'timestamp', 'platform', 'score', 'quality', 'rubric', 'pack', 'variant', 'prompt',
+        'optimized', 'response', 'latency_ms', 'rating', 'relevance', 'conversation_id', 'tags', ...checks.map(check => `check_${check.id}`)];
+    const rows = history.map(entry => {
+        const results = Object.fromEntries((entry.checks || []).map(check => [check.id, check.ok ? 1 : 0]));
+        const score = normalizePromptScore(entry.metrics);
+        return [
+            entry.id,
+            entry.timestamp,
+            getPlatformName(entry.platform),
+            score,
+            entry.quality || determineQualityTier(score),
+            entry.rubric ? `${entry.rubric.name || entry.rubric.id} v${entry.rubric.version}` : '',
+            entry.pack || '',
+            entry.variant ? entry.variant.id : '',
+            entry.prompt,
+            entry.optimizedVersion,
+            entry.response,
+            entry.latencyMs,
+            entry.userRating,
+            entry.responseRelevance,
+            entry.conversationId,
+            (entry.tags || []).join(' '),
+            ...checks.map(check => results[check.id])
+        ].map(csvField).join(',');
+    });
+    return '﻿' + [header.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// A fence longer than any run of backticks inside the text, so a prompt
+// that contains code blocks can't break out of its own block.
+function markdownFence(text) {
+    const longest = Math.max(2, ...((text || '').match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    return `${fence}\n${text || ''}\n${fence}`;
+}
+
+function markdownCell(text) {
+    return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function historyToMarkdown(history, filters) {
+    const scores = history.map(entry => normalizePromptScore(entry.metrics));
+    const average = Math.round(scores.reduce((a, b) => a + b, 0) / scores.length);
+    const scope = [
+        filters.platform ? getPlatformName(filters.platform) : 'All platforms',
+        filters.from ? `from ${new Date(filters.from).toLocaleDateString()}` : null,
+        filters.to ? `to ${new Date(filters.to).toLocaleDateString()}` : null
+    ].filter(Boolean).join(', ');
+
+    const lines = [
+        '# Prompt Tracer report',
+        '',
+        `Generated ${new Date().toLocaleString()} · ${scope}`,
+        '',
+        `- **Prompts:** ${history.length}`,
+        `- **Average score:** ${average}/100`,
+        ''
+    ];
+
+    history.forEach((entry, index) => {
+        const score = scores[index];
+        lines.push(
+            `## ${index + 1}. ${getPlatformName(entry.platform)} · ${new Date(entry.timestamp).toLocaleString()}`,
+            '',
+            `**Score:** ${score}/100 (${entry.quality || determineQualityTier(score)})` +
+                (entry.rubric ? ` · **Rubric:** ${entry.rubric.name || entry.rubric.id} v${entry.rubric.version}` : '') +
+                (entry.pack ? ` · **Pack:** ${entry.pack}` : '') +
+                (entry.variant ? ` · **Suggestion used:** ${entry.variant.name || entry.variant.id}${entry.variant.edited ? ' (edited)' : ''}` : '') +
+                ((entry.tags || []).length > 0 ? ` · **Tags:** ${entry.tags.map(tag => `#${tag}`).join(' ')}` : ''),
+            '',
+            '### Prompt',
+            '',
+            markdownFence(entry.prompt),
+            ''
+        );
+
+        if ((entry.checks || []).length > 0) {
+            lines.push('### Score breakdown', '', '| Check | Result | Weight |', '| --- | --- | --- |');
+            entry.checks.forEach(check => {
+                lines.push(`| ${markdownCell(check.name || check.id)} | ${check.ok ? '✓ pass' : '✗ fail'} | ${typeof check.weight === 'number' ? `${check.weight}%` : ''} |`);
+            });
+            lines.push('');
+        }
+
+        if (entry.optimizedVersion && entry.optimizedVersion !== entry.prompt) {
+            lines.push('### Optimized version', '', markdownFence(entry.optimizedVersion), '');
+        }
+        if (typeof entry.latencyMs === 'number') {
+            lines.push(`_Reply in ${(entry.latencyMs / 1000).toFixed(1)}s_`, '');
+        }
+    });
+
+    return lines.join('\n');
+}
+
+// Chat-format pairs — the user turn is the original prompt, the assistant
+// turn its optimized version — which fine-tuning and eval tooling read
+// directly. Prompts the optimizer didn't change are left out.
+function historyToJsonl(history) {
+    return history
+        .filter(entry => entry.optimizedVersion && entry.optimizedVersion.trim() !== (entry.prompt || '').trim())
+        .map(entry => {
+            const score = normalizePromptScore(entry.metrics);
+            return JSON.stringify({
+                messages: [
+                    { role: 'user', content: entry.prompt },
+                    { role: 'assistant', content: entry.optimizedVersion }
+                ],
+                metadata: {
+                    id: entry.id,
+                    platform: entry.platform,
+                    timestamp: entry.timestamp,
+                    score,
+                    quality: entry.quality || determineQualityTier(score),
+                    failed_checks: (entry.checks || []).filter(check => !check.ok).map(check => check.id)
+                }
+            });
+        })
+        .join('\n') + '\n';
+}
+
+// Settings → Privacy: the optional PII pass the background worker applies
+// before every AI call. The preview runs the same redactPii() on whatever
+// is pasted in, so what it shows is exactly what would be sent; below it,
+// the last prompt actually sent (kept in session storage by the worker).
+const PII_TYPE_LABELS = {
+    EMAIL: ['email', 'emails'],
+    PHONE: ['phone number', 'phone numbers'],
+    ADDRESS: ['address', 'addresses'],
+    CARD: ['card number', 'card numbers'],
+    ID: ['national ID', 'national IDs'],
+    NAME: ['name', 'names']
+};
+
+function describePiiCounts(counts) {
+    const parts = Object.keys(PII_TYPE_LABELS)
+        .filter(type => counts[type])
+        .map(type => `${counts[type]} ${PII_TYPE_LABELS[type][counts[type] === 1 ? 0 : 1]}`);
+    return parts.length > 0 ? parts.join(', ') : 'nothing';
+}
+
+// The background keeps recent AI rewrites and feedback so returning to an
+// already-analyzed prompt doesn't call the provider again. Keyed on the
+// provider, model and rubric too, so clearing is only ever needed to force
+// fresh replies (or to drop the prompts it holds).
+function setupResponseCache() {
+    document.getElementById('clear-response-cache-btn').addEventListener('click', function() {
+        chrome.runtime.sendMessage({ action: 'clearResponseCache' }, function() {
+            loadResponseCacheStatus();
+        });
+    });
+    loadResponseCacheStatus();
+}
+
+function loadResponseCacheStatus() {
+    const status = document.getElementById('response-cache-status');
+    chrome.runtime.sendMessage({ action: 'getResponseCacheStats' }, function(response) {
+        if (chrome.runtime.lastError || !response || response.error) {
+            status.textContent = 'Could not read the cache.';
+            return;
+        }
+        const hours = Math.round(response.ttlMs / (60 * 60 * 1000));
+        const count = response.entries === 1 ? '1 reply' : `${response.entries.toLocaleString()} replies`;
+        status.textContent = `${count} saved · kept ${hours} hours, up to ${response.maxEntries.toLocaleString()}`;
+        document.getElementById('clear-response-cache-btn').disabled = response.entries === 0;
+    });
+}
+
+function setupPiiRedaction() {
+    const names = document.getElementById('pii-names');
+    names.addEventListener('input', renderPiiPreview);
+    names.addEventListener('change', () => {
+        chrome.storage.local.set({ 'pii-names': parsePiiNames(names.value) });
+    });
+    document.getElementById('pii-preview-input').addEventListener('input', renderPiiPreview);
+    document.getElementById('pii-redaction-toggle').addEventListener('click', renderPiiPreview);
+    loadLastOutboundPrompt();
+}
+
+function renderPiiPreview() {
+    const text = document.getElementById('pii-preview-input').value;
+    const meta = document.getElementById('pii-preview-meta');
+    const output = document.getElementById('pii-preview-output');
+    if (!text.trim()) {
+        meta.textContent = '';
+        output.textContent = '';
+        return;
+    }
+    const enabled = document.getElementById('pii-redaction-toggle').classList.contains('active');
+    const result = redactPii(text, { names: parsePiiNames(document.getElementById('pii-names').value) });
+    meta.textContent = enabled
+        ? `Would be sent as (replaced ${describePiiCounts(result.counts)}):`
+        : 'Redaction is off, so this would be sent exactly as typed:';
+    output.textContent = enabled ? result.text : text;
+}
+
+function loadLastOutboundPrompt() {
+    if (!chrome.storage.session) return;
+    chrome.storage.session.get(['lastOutboundPrompt'], function(result) {
+        const last = result && result.lastOutboundPrompt;
+        if (!last) return;
+        document.getElementById('pii-last-sent-meta').textContent =
+            `Last prompt sent to your AI provider, ${new Date(last.at).toLocaleTimeString()} (replaced ${describePiiCounts(last.counts || {})}):`;
+        document.getElementById('pii-last-sent').textContent = last.text;
+    });
+}
@@ -0,0 +1,169 @@
+/**
+ * Word-level diff between a prompt and its optimized version
+ *
+ * Loaded as a content script ahead of content.js. The panel's "Show
+ * changes" view renders the segments, links each addition to the check it
+ * fixes, and lets the user reject individual additions before inserting.
+ */
+
+// Beyond this many LCS cells the changed middle of the two texts is shown
+// as one replacement rather than diffed word by word — a popup-sized
+// prompt never gets near it.
+const PROMPT_DIFF_MAX_CELLS = 1000000;
+
+// Words with the whitespace in front of them, so rebuilding a text from its
+// tokens keeps the original spacing and line breaks.
+function tokenizePromptWords(text) {
+  return (text || '').match(/\s*\S+/g) || [];
+}
+
+// Longest common subsequence of two token-key arrays, as the list of
+// [i, j] index pairs that match.
+function promptDiffMatches(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const lengths = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * (m + 1) + j] = a[i] === b[j]
+        ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+    }
+  }
+
+  const matches = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      matches.push([i, j]);
+      i += 1;
+      j += 1;
+    } else if (lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]) {
+      i += 1;
+    } else {
+      j += 1;
+    }
+  }
+  return matches;
+}
+
+// Splits a pure insertion into one change per line, so each requirement on
+// its own line ("- Cite your sources") can be accepted or rejected on its
+// own. Section markers are headings, which aren't toggled themselves: a
+// line ending in ":" that introduces the lines after it ("Additional
+// requirements:", or "追加の要件：" with a full-width colon), a Markdown
+// heading, or an XML tag on its own line — a closing tag (`closing`) goes
+// with the lines before it rather than after.
+function splitPromptInsertion(added, group) {
+  const pieces = [];
+  tokenizePromptWords(added).forEach(token => {
+    if (pieces.length === 0 || /\n/.test(token.match(/^\s*/)[0])) {
+      pieces.push(token);
+    } else {
+      pieces[pieces.length - 1] += token;
+    }
+  });
+  return pieces.map((piece, index) => {
+    const line = piece.trim();
+    const closing = /^<\/[A-Za-z][\w-]*>$/.test(line);
+    return {
+      type: 'change',
+      removed: '',
+      added: piece,
+      group,
+      heading: closing || /^<[A-Za-z][\w-]*>$/.test(line) || /^#{1,6}\s+\S/.test(line)
+        || (index < pieces.length - 1 && /[:：]\s*$/.test(piece)),
+      closing
+    };
+  });
+}
+
+// Segments of `optimized` relative to `original`: { type: 'same', text }
+// runs, and { type: 'change', removed, added } hunks where the original's
+// words were replaced, deleted, or added to. Words are compared without
+// their surrounding whitespace, so a reflowed line still counts as
+// unchanged.
+function diffPromptWords(original, optimized) {
+  const a = tokenizePromptWords(original);
+  const b = tokenizePromptWords(optimized);
+  const keyA = a.map(token => token.trim());
+  const keyB = b.map(token => token.trim());
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && keyA[prefix] === keyB[prefix]) prefix += 1;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+         keyA[a.length - 1 - suffix] === keyB[b.length - 1 - suffix]) {
+    suffix += 1;
+  }
+
+  const midA = keyA.slice(prefix, a.length - suffix);
+  const midB = keyB.slice(prefix, b.length - suffix);
+  const matches = (midA.length + 1) * (midB.length + 1) > PROMPT_DIFF_MAX_CELLS
+    ? []
+    : promptDiffMatches(midA, midB);
+
+  // Walk both token lists together, emitting optimized-side text for
+  // matches and collecting everything between matches into one hunk
+  const segments = [];
+  const pushSame = (text) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === 'same') last.text += text;
+    else segments.push({ type: 'same', text });
+  };
+  let group = 0;
+  const pushChange = (removed, added) => {
+    if (!removed && !added) return;
+    group += 1;
+    if (!removed) {
+      segments.push(...splitPromptInsertion(added, group));
+    } else {
+      segments.push({ type: 'change', removed, added, group, heading: false, closing: false });
+    }
+  };
+
+  b.slice(0, prefix).forEach(pushSame);
+  let i = 0;
+  let j = 0;
+  [...matches, [midA.length, midB.length]].forEach(([mi, mj]) => {
+    pushChange(
+      a.slice(prefix + i, prefix + mi).join(''),
+      b.slice(prefix + j, prefix + mj).join('')
+    );
+    if (mi < midA.length) pushSame(b[prefix + mj]);
+    i = mi + 1;
+    j = mj + 1;
+  });
+  b.slice(b.length - suffix).forEach(pushSame);
+
+  return segments;
+}
+
+// Whether a change's added text ends up in the result: its own choice, or
+// for a heading, whether any line of its section was kept — the lines up to
+// the next heading of its group (back to the previous one, for a closing
+// tag). A heading with no lines of its own, like the "<task>" wrapped
+// around the untouched original, is always kept.
+function isPromptChangeKept(segments, index, rejected) {
+  const segment = segments[index];
+  if (!segment.heading) return !rejected.has(index);
+  const step = segment.closing ? -1 : 1;
+  let lines = 0;
+  for (let k = index + step; k >= 0 && k < segments.length; k += step) {
+    const next = segments[k];
+    if (next.type !== 'change' || next.group !== segment.group || next.heading) break;
+    if (!rejected.has(k)) return true;
+    lines += 1;
+  }
+  return lines === 0;
+}
+
+// The optimized text with the rejected changes (indexes into `segments`)
+// reverted to what the original said there.
+function applyPromptDiff(segments, rejected = new Set()) {
+  return segments.map((segment, index) => {
+    if (segment.type === 'same') return segment.text;
+    return isPromptChangeKept(segments, index, rejected) ? segment.added : segment.removed;
+  }).join('').trim();
+}
@@ -0,0 +1,299 @@
+/**
+ * Language detection and per-language lexicons for prompt checks
+ *
+ * Loaded as a plain script ahead of check-registry.js (content script and
+ * popup). The built-in checks and isAmbiguous() were written against
+ * English wording; for a prompt in another supported language they also
+ * look for that language's equivalents here, and reinforceFailedChecks()
+ * appends its requirements in the prompt's own language.
+ *
+ * English has no entry: its wording lives in the checks themselves, which
+ * always run, so a mixed-language prompt ("explain this función") is never
+ * worse off than before.
+ */
+
+// Per language: `stopwords` (common function words, for detection only —
+// mostly words the other languages don't share; the few Spanish and
+// Portuguese both lean on, like "para" and "de", are in both lists so they
+// cancel out), `marks` (letters that
+// point to it), the word lists the checks consult, `reinforce`, the
+// translated heading and sentences for the built-in checks, and the
+// `sections` titles and `roles` lines the structured prompt styles use
+// (prompt-optimizer.js). Each translated sentence contains a word its own
+// check looks for, so applying the suggestion flips that check, as in
+// English.
+//
+// Terms match at the start of a word, so "explic" style stems catch every
+// inflection; `spaced: false` languages (no spaces between words) match
+// anywhere. `questionAnywhere` is for languages where the question word
+// doesn't lead the sentence. `explainWords` are the "explain / describe"
+// asks, which are bounded by the topic they name, like a question.
+const PROMPT_LANGUAGES = {
+  es: {
+    name: 'Español',
+    spaced: true,
+    marks: /[ñ¿¡]/,
+    stopwords: ['el', 'los', 'las', 'del', 'y', 'una', 'es', 'lo', 'con', 'pero', 'muy', 'qué', 'cómo', 'está', 'mi', 'tu', 'yo', 'sobre', 'hay', 'también', 'puedes', 'necesito', 'quiero', 'un', 'mí', 'me', 'para', 'de', 'que'],
+    actionWords: ['escrib', 'crea', 'explica', 'explíca', 'analiza', 'compara', 'evalúa', 'construye', 'diseña', 'haz ', 'genera', 'resume', 'resúme', 'enumera', 'planifica', 'mejora', 'corrige', 'depura', 'revisa', 'traduce', 'desarrolla', 'redacta', 'describe', 'muestra', 'demuestra', 'ilustra', 'dame', 'dime', 'sugiere', 'recomienda'],
+    requestPhrases: ['por favor', 'puedes', 'podrías', 'ayúdame', 'me ayudas', 'necesito', 'quiero', 'me gustaría'],
+    questionWords: ['qué', 'que ', 'cómo', 'como ', 'por qué', 'cuándo', 'dónde', 'quién', 'cuál', 'cuáles', 'cuánto', 'cuántos', 'mejor'],
+    explainWords: ['explica', 'explíca', 'describe', 'ayúdame a entender'],
+    boundedTopicWords: ['receta', 'plantilla', 'ejemplo', 'itinerario', 'preguntas', 'alternativa', 'lista de verificación', 'rutina', 'haiku', 'poema', 'soneto', 'tuit', 'publicación', 'correo', 'ensayo', 'cuento', 'guion', 'eslogan', 'chiste', 'adivinanza', 'currículum', 'carta'],
+    analyticalPhrases: ['resumen', 'ventajas y desventajas', 'pros y contras', 'comparación', 'diferencia entre', 'diferencias entre', 'análisis', 'historia de'],
+    boundedReferences: ['este ', 'esta ', 'esto', 'estos', 'estas', 'ese ', 'esa ', 'eso'],
+    audienceWords: ['principiante', 'experto', 'profesional', 'estudiante', 'para un', 'para alguien', 'objetivo', 'propósito', 'para que', 'con el fin de', 'para ', 'sobre ', 'acerca de'],
+    specificWords: ['específic', 'detallad', 'concret', 'exact', 'particular'],
+    formatWords: ['formato', 'lista', 'pasos', 'viñetas', 'sección', 'secciones', 'ejemplo', 'tabla', 'puntos'],
+    sections: { role: 'Rol', task: 'Tarea', context: 'Contexto', constraints: 'Restricciones', format: 'Formato de salida' },
+    roles: {
+      general: 'Eres un experto en este tema que explica las cosas con claridad y precisión.',
+      coding: 'Eres un ingeniero de software con experiencia.',
+      writing: 'Eres un escritor y editor hábil.',
+      data_analysis: 'Eres un analista de datos meticuloso.',
+      research: 'Eres un asistente de investigación riguroso.'
+    },
+    reinforce: {
+      heading: 'Requisitos adicionales:',
+      specific_details: 'Sé concreto y específico: usa detalles reales, no marcadores de posición.',
+      audience_or_context: 'Ajusta la profundidad de la respuesta a lo que la pregunta ya implica (por ejemplo, mantén un nivel de desarrollador si usa términos técnicos); indica para quién es si no está claro.',
+      structure_or_format: 'Estructura la respuesta con secciones claras o viñetas, e incluye al menos un ejemplo concreto.'
+    }
+  },
+  fr: {
+    name: 'Français',
+    spaced: true,
+    marks: /[àâçèêëîïôœùû]/,
+    stopwords: ['le', 'les', 'des', 'du', 'et', 'est', 'une', 'qui', 'dans', 'pas', 'avec', 'ce', 'cette', 'il', 'je', 'vous', 'nous', 'au', 'aux', 'mais', 'ou', 'mon', 'comment', 'pourquoi', 'quel', 'quelle', 'très', 'moi', 'peux'],
+    actionWords: ['écri', 'rédige', 'crée', 'créer', 'explique', 'analyse', 'compare', 'évalue', 'construi', 'conçoi', 'fais', 'génère', 'résume', 'énumère', 'planifie', 'améliore', 'corrige', 'débogue', 'révise', 'tradui', 'développe', 'décri', 'montre', 'illustre', 'donne-moi', 'donnez-moi', 'propose', 'suggère'],
+    requestPhrases: ["s'il te plaît", "s'il vous plaît", 'stp', 'svp', 'peux-tu', 'pouvez-vous', 'pourrais-tu', 'pourriez-vous', 'aide-moi', 'aidez-moi', "j'ai besoin", 'je veux', 'je voudrais'],
+    questionWords: ["qu'est-ce", 'que ', 'quoi', 'comment', 'pourquoi', 'quand', 'où', 'qui ', 'quel', 'combien', 'meilleur'],
+    explainWords: ['explique', 'décri', 'aide-moi à comprendre', 'aidez-moi à comprendre'],
+    boundedTopicWords: ['recette', 'modèle', 'exemple', 'itinéraire', 'questions', 'alternative', 'liste de contrôle', 'entraînement', 'haïku', 'poème', 'sonnet', 'tweet', 'publication', 'e-mail', 'courriel', 'essai', 'dissertation', 'conte', 'script', 'slogan', 'blague', 'devinette', 'lettre'],
+    analyticalPhrases: ['résumé', 'avantages et inconvénients', 'pour et contre', 'comparaison', 'différence entre', 'différences entre', 'analyse', 'histoire de'],
+    boundedReferences: ['ce ', 'cet ', 'cette', 'ces ', 'ceci', 'cela', 'ça'],
+    audienceWords: ['débutant', 'expert', 'professionnel', 'étudiant', 'élève', 'pour un', "pour quelqu'un", 'objectif', 'but ', 'afin de', 'pour que', 'pour ', 'sur ', 'à propos de'],
+    specificWords: ['spécifique', 'précis', 'détaillé', 'concret', 'concrète', 'exact', 'particulier'],
+    formatWords: ['format', 'liste', 'étapes', 'puces', 'section', 'exemple', 'tableau', 'points'],
+    sections: { role: 'Rôle', task: 'Tâche', context: 'Contexte', constraints: 'Contraintes', format: 'Format de sortie' },
+    roles: {
+      general: 'Tu es un expert de ce sujet qui explique les choses clairement et avec précision.',
+      coding: 'Tu es un ingénieur logiciel expérimenté.',
+      writing: 'Tu es un rédacteur et correcteur talentueux.',
+      data_analysis: 'Tu es un analyste de données rigoureux.',
+      research: 'Tu es un assistant de recherche minutieux.'
+    },
+    reinforce: {
+      heading: 'Exigences supplémentaires :',
+      specific_details: 'Être concret et précis : utiliser de vrais détails, pas des espaces réservés.',
+      audience_or_context: "Adapter la profondeur de la réponse à ce que la question laisse déjà entendre (par exemple, rester à un niveau développeur si elle emploie des termes techniques) — préciser pour qui elle est destinée si ce n'est pas clair.",
+      structure_or_format: 'Structurer la réponse en sections claires ou en listes à puces, et inclure au moins un exemple concret.'
+    }
+  },
+  de: {
+    name: 'Deutsch',
+    spaced: true,
+    marks: /[äöüß]/,
+    stopwords: ['der', 'die', 'das', 'und', 'ist', 'ich', 'nicht', 'ein', 'eine', 'zu', 'den', 'mit', 'von', 'für', 'auf', 'sich', 'dem', 'im', 'wie', 'auch', 'wird', 'bitte', 'wir', 'aber', 'oder', 'wenn', 'mir', 'mich', 'kann', 'einen', 'über', 'mein', 'meine'],
+    actionWords: ['schreib', 'erstell', 'erklär', 'analysier', 'vergleich', 'bewerte', 'baue', 'entwirf', 'entwerf', 'mach', 'generier', 'fasse', 'liste', 'nenne', 'plane', 'verbesser', 'korrigier', 'behebe', 'überprüf', 'übersetz', 'entwickle', 'beschreib', 'zeig', 'gib mir', 'schlag', 'empfiehl'],
+    requestPhrases: ['bitte', 'kannst du', 'könntest du', 'können sie', 'könnten sie', 'hilf mir', 'helfen sie mir', 'ich brauche', 'ich möchte', 'geben sie mir'],
+    questionWords: ['was ', 'wie ', 'warum', 'wieso', 'weshalb', 'wann', 'wo ', 'wer ', 'welche', 'wie viel', 'beste'],
+    explainWords: ['erklär', 'beschreib', 'hilf mir zu verstehen'],
+    boundedTopicWords: ['rezept', 'vorlage', 'beispiel', 'reiseplan', 'fragen', 'alternative', 'checkliste', 'trainingsplan', 'haiku', 'gedicht', 'sonett', 'tweet', 'beitrag', 'e-mail', 'essay', 'aufsatz', 'geschichte', 'skript', 'slogan', 'witz', 'rätsel', 'lebenslauf', 'brief'],
+    analyticalPhrases: ['zusammenfassung', 'vor- und nachteile', 'vorteile und nachteile', 'vergleich', 'unterschied zwischen', 'unterschiede zwischen', 'analyse', 'überblick'],
+    boundedReferences: ['dies', 'folgende'],
+    audienceWords: ['anfänger', 'experte', 'expertin', 'profi', 'fachleute', 'student', 'schüler', 'für einen', 'für eine', 'für jemand', 'ziel', 'zweck', 'damit', 'um zu', 'für ', 'über '],
+    specificWords: ['spezifisch', 'konkret', 'detailliert', 'genau', 'ausführlich', 'bestimmt'],
+    formatWords: ['format', 'liste', 'schritte', 'stichpunkt', 'aufzählung', 'abschnitt', 'beispiel', 'tabelle', 'punkte'],
+    sections: { role: 'Rolle', task: 'Aufgabe', context: 'Kontext', constraints: 'Vorgaben', format: 'Ausgabeformat' },
+    roles: {
+      general: 'Du bist ein Experte auf diesem Gebiet, der Dinge klar und genau erklärt.',
+      coding: 'Du bist ein erfahrener Softwareentwickler.',
+      writing: 'Du bist ein versierter Autor und Lektor.',
+      data_analysis: 'Du bist ein sorgfältiger Datenanalyst.',
+      research: 'Du bist ein gründlicher Rechercheassistent.'
+    },
+    reinforce: {
+      heading: 'Zusätzliche Anforderungen:',
+      specific_details: 'Sei konkret und spezifisch – verwende echte Details statt Platzhaltern.',
+      audience_or_context: 'Passe die Tiefe der Antwort an das an, was die Frage bereits nahelegt (z. B. auf Entwicklerniveau, wenn sie Fachbegriffe verwendet) – sag, für wen sie gedacht ist, falls das unklar ist.',
+      structure_or_format: 'Gliedere die Antwort in klare Abschnitte oder Stichpunkte und füge mindestens ein konkretes Beispiel hinzu.'
+    }
+  },
+  pt: {
+    name: 'Português',
+    spaced: true,
+    marks: /[ãõ]/,
+    stopwords: ['o', 'os', 'da', 'dos', 'das', 'não', 'em', 'uma', 'na', 'mais', 'ao', 'é', 'ou', 'você', 'eu', 'meu', 'minha', 'isso', 'também', 'muito', 'pelo', 'pela', 'são', 'está', 'foi', 'preciso', 'quero', 'um', 'do', 'no', 'com', 'dê', 'seu', 'sua', 'como', 'a', 'me', 'para', 'de', 'que'],
+    actionWords: ['escrev', 'crie', 'criar', 'expliqu', 'explica', 'analis', 'compar', 'avali', 'constru', 'projete', 'faça', 'gere', 'resum', 'liste', 'planej', 'melhor', 'corrij', 'depur', 'revis', 'traduz', 'desenvolv', 'descrev', 'mostr', 'demonstr', 'ilustr', 'me dê', 'dê-me', 'sugira', 'recomend'],
+    requestPhrases: ['por favor', 'você pode', 'pode me', 'poderia', 'me ajude', 'ajude-me', 'preciso', 'quero', 'gostaria'],
+    questionWords: ['o que', 'que ', 'qual', 'quais', 'como', 'por que', 'porque', 'quando', 'onde', 'quem', 'quanto', 'melhor'],
+    explainWords: ['expliqu', 'explica', 'descrev', 'me ajude a entender'],
+    boundedTopicWords: ['receita', 'modelo', 'exemplo', 'roteiro', 'itinerário', 'perguntas', 'alternativa', 'checklist', 'lista de verificação', 'treino', 'haicai', 'poema', 'soneto', 'tweet', 'post', 'publicação', 'e-mail', 'ensaio', 'redação', 'conto', 'slogan', 'piada', 'charada', 'currículo', 'carta'],
+    analyticalPhrases: ['resumo', 'prós e contras', 'vantagens e desvantagens', 'comparação', 'diferença entre', 'diferenças entre', 'análise', 'história de'],
+    boundedReferences: ['este ', 'esta ', 'isto', 'estes', 'estas', 'esse ', 'essa ', 'isso'],
+    audienceWords: ['iniciante', 'especialista', 'profissional', 'estudante', 'aluno', 'para um', 'para alguém', 'objetivo', 'propósito', 'para que', 'a fim de', 'para ', 'sobre '],
+    specificWords: ['específic', 'detalhad', 'concret', 'exat', 'particular'],
+    formatWords: ['formato', 'lista', 'passos', 'etapas', 'tópicos', 'marcadores', 'seção', 'seções', 'exemplo', 'tabela'],
+    sections: { role: 'Papel', task: 'Tarefa', context: 'Contexto', constraints: 'Restrições', format: 'Formato da resposta' },
+    roles: {
+      general: 'Você é um especialista neste assunto que explica as coisas com clareza e precisão.',
+      coding: 'Você é um engenheiro de software experiente.',
+      writing: 'Você é um escritor e editor habilidoso.',
+      data_analysis: 'Você é um analista de dados cuidadoso.',
+      research: 'Você é um assistente de pesquisa minucioso.'
+    },
+    reinforce: {
+      heading: 'Requisitos adicionais:',
+      specific_details: 'Seja concreto e específico — use detalhes reais, não espaços reservados.',
+      audience_or_context: 'Ajuste a profundidade da resposta ao que a pergunta já indica (por exemplo, mantenha um nível de desenvolvedor se ela usar termos técnicos) — diga para quem ela é se isso não estiver claro.',
+      structure_or_format: 'Estruture a resposta com seções claras ou tópicos, e inclua pelo menos um exemplo concreto.'
+    }
+  },
+  hi: {
+    name: 'हिन्दी',
+    spaced: true,
+    questionAnywhere: true,
+    actionWords: ['लिख', 'बना', 'समझा', 'बता', 'विश्लेषण', 'तुलना', 'सूची', 'सारांश', 'वर्णन', 'सुधार', 'ठीक कर', 'अनुवाद', 'दिखा', 'सुझा', 'योजना', 'तैयार कर'],
+    requestPhrases: ['कृपया', 'क्या आप', 'मदद', 'चाहिए', 'दीजिए', 'दो '],
+    questionWords: ['क्या', 'कैसे', 'क्यों', 'कब', 'कहाँ', 'कहां', 'कौन', 'कितना', 'कितने', 'किस'],
+    explainWords: ['समझा', 'बताइए', 'बताओ', 'वर्णन'],
+    boundedTopicWords: ['कविता', 'कहानी', 'निबंध', 'पत्र', 'ईमेल', 'नुस्खा', 'रेसिपी', 'उदाहरण', 'प्रश्न', 'चुटकुला', 'भाषण', 'टेम्पलेट'],
+    analyticalPhrases: ['सारांश', 'फायदे और नुकसान', 'लाभ और हानि', 'तुलना', 'अंतर', 'विश्लेषण'],
+    boundedReferences: ['यह', 'इस ', 'ये ', 'इन ', 'वह ', 'उस '],
+    audienceWords: ['शुरुआती', 'नौसिखिया', 'विशेषज्ञ', 'पेशेवर', 'छात्र', 'विद्यार्थी', 'के लिए', 'उद्देश्य', 'लक्ष्य', 'ताकि', 'के बारे में'],
+    specificWords: ['विशिष्ट', 'विस्तृत', 'विस्तार से', 'ठोस', 'सटीक'],
+    formatWords: ['प्रारूप', 'फ़ॉर्मेट', 'सूची', 'चरण', 'बिंदु', 'बुलेट', 'खंड', 'उदाहरण', 'तालिका'],
+    sections: { role: 'भूमिका', task: 'कार्य', context: 'संदर्भ', constraints: 'शर्तें', format: 'आउटपुट का प्रारूप' },
+    roles: {
+      general: 'आप इस विषय के विशेषज्ञ हैं जो बातें साफ़ और सटीक ढंग से समझाते हैं।',
+      coding: 'आप एक अनुभवी सॉफ़्टवेयर इंजीनियर हैं।',
+      writing: 'आप एक कुशल लेखक और संपादक हैं।',
+      data_analysis: 'आप एक सावधान डेटा विश्लेषक हैं।',
+      research: 'आप एक गहन शोध सहायक हैं।'
+    },
+    reinforce: {
+      heading: 'अतिरिक्त आवश्यकताएँ:',
+      specific_details: 'ठोस और विशिष्ट रहें — असली विवरण दें, प्लेसहोल्डर नहीं।',
+      audience_or_context: 'जवाब की गहराई उतनी ही रखें जितनी सवाल से पहले ही झलकती है (जैसे तकनीकी शब्द हों तो डेवलपर स्तर पर रखें) — अगर साफ़ न हो कि यह किस के लिए है, तो बताएं।',
+      structure_or_format: 'जवाब को साफ़ खंडों या बुलेट बिंदुओं में व्यवस्थित करें, और कम से कम एक ठोस उदाहरण दें।'
+    }
+  },
+  ja: {
+    name: '日本語',
+    spaced: false,
+    questionAnywhere: true,
+    actionWords: ['書いて', '書く', '作成', '作って', '説明', '分析', '比較', '評価', '設計', '生成', '要約', 'まとめ', '一覧', '計画', '改善', '修正', 'デバッグ', 'レビュー', '翻訳', '開発', '下書き', '教えて', '示して', '提案', '考えて'],
+    requestPhrases: ['ください', '下さい', 'お願い', 'ほしい', '欲しい', '手伝って', 'できますか', 'もらえますか'],
+    questionWords: ['何', 'なに', 'なぜ', 'どうして', 'どう', 'どの', 'どこ', 'いつ', '誰', 'だれ', 'どれ', 'ですか', 'ますか'],
+    explainWords: ['説明', '教えて'],
+    boundedTopicWords: ['レシピ', 'テンプレート', '例', '旅程', '質問', '代替', 'チェックリスト', '俳句', '詩', 'ツイート', '投稿', 'メール', 'エッセイ', '物語', '台本', 'キャッチコピー', 'スローガン', 'ジョーク', '履歴書', '手紙'],
+    analyticalPhrases: ['要約', 'メリットとデメリット', '長所と短所', '比較', '違い', '分析', '概要'],
+    boundedReferences: ['この', 'これ', 'その', 'それ', '以下'],
+    audienceWords: ['初心者', '専門家', 'プロ', '学生', '向け', 'のために', 'ための', '目的', 'ゴール', 'について'],
+    specificWords: ['具体的', '詳細', '詳しく', '正確'],
+    formatWords: ['形式', 'フォーマット', 'リスト', '箇条書き', '手順', 'ステップ', 'セクション', '見出し', '例', '表'],
+    sections: { role: '役割', task: 'タスク', context: '背景', constraints: '制約', format: '出力形式' },
+    roles: {
+      general: 'あなたはこの分野の専門家で、物事を明確かつ正確に説明します。',
+      coding: 'あなたは経験豊富なソフトウェアエンジニアです。',
+      writing: 'あなたは熟練したライター兼編集者です。',
+      data_analysis: 'あなたは慎重なデータアナリストです。',
+      research: 'あなたは綿密なリサーチアシスタントです。'
+    },
+    reinforce: {
+      heading: '追加の要件：',
+      specific_details: '具体的に書いてください。プレースホルダーではなく実際の詳細を使ってください。',
+      audience_or_context: '回答の詳しさは質問から読み取れるレベルに合わせてください（専門用語があれば開発者向けのレベルで）。誰向けかが不明な場合はそれを明記してください。',
+      structure_or_format: '明確なセクションや箇条書きで回答を構成し、具体例を少なくとも1つ含めてください。'
+    }
+  }
+};
+
+// Function words that mark a prompt as English, weighed against the other
+// languages' stopwords so "por favor" in an English sentence doesn't flip it.
+const ENGLISH_STOPWORDS = ['the', 'and', 'is', 'are', 'of', 'to', 'in', 'for', 'with', 'on', 'what', 'how', 'why', 'this', 'that', 'it', 'my', 'me', 'you', 'can', 'please', 'a', 'an', 'be', 'or', 'about', 'i'];
+
+// English's own opening request and question words, which earn it the same
+// bonus the other languages get for theirs — "Compare…" and "Create…" start
+// with Portuguese and Spanish stems too.
+const ENGLISH_OPENING = /^[\s"'(]*(write|rewrite|create|explain|analy[sz]e|compare|evaluate|build|construct|design|make|generate|summari[sz]e|resume|list|outline|plan|improve|fix|debug|review|revise|translate|develop|draft|describe|show|demonstrate|illustrate|suggest|recommend|give me|help|please|can you|could you|what|how|why|when|where|who|which)\b/;
+
+// The prompt's language as a PROMPT_LANGUAGES key, or 'en'. Kana means
+// Japanese and mostly-Devanagari means Hindi outright; Latin-script text
+// goes to whichever language's stopwords (plus a couple of points for its
+// marks, like ñ or ß, and two for opening with one of its request or
+// question words — a short "Crie um plano" has few stopwords, and the verb
+// is the best clue it has) show up most, and needs at least two points and
+// to beat English — anything less stays English, which every check already
+// handles.
+function detectPromptLanguage(text) {
+  const sample = (text || '').slice(0, 2000);
+  if (/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(sample)) return 'ja';
+
+  const letters = (sample.match(/\p{L}/gu) || []).length;
+  const devanagari = (sample.match(/\p{Script=Devanagari}/gu) || []).length;
+  if (devanagari > 0 && devanagari >= letters * 0.3) return 'hi';
+
+  const lower = sample.toLowerCase();
+  const words = lower.match(/[\p{L}']+/gu) || [];
+  const counts = new Map();
+  words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  const hits = (list) => list.reduce((sum, word) => sum + (counts.get(word) || 0), 0);
+
+  let best = { language: 'en', score: hits(ENGLISH_STOPWORDS) + (ENGLISH_OPENING.test(lower) ? 2 : 0) };
+  Object.entries(PROMPT_LANGUAGES).forEach(([language, lexicon]) => {
+    if (!lexicon.stopwords) return;
+    const opensWithRequest = lexiconMatches(lexicon, 'actionWords', lower, { atStart: true })
+      || lexiconMatches(lexicon, 'questionWords', lower, { atStart: true });
+    const score = hits(lexicon.stopwords)
+      + (lexicon.marks && lexicon.marks.test(lower) ? 2 : 0)
+      + (opensWithRequest ? 2 : 0);
+    if (score >= 2 && score > best.score) best = { language, score };
+  });
+  return best.language;
+}
+
+function getPromptLexicon(language) {
+  return PROMPT_LANGUAGES[language] || null;
+}
+
+// One compiled pattern per language and list, built on first use
+const lexiconPatterns = new Map();
+
+// Whether `lower` (already lower-cased) contains any term from `lexicon`'s
+// `listName` list. With `atStart`, the term has to open the prompt
+// (after any opening punctuation like "¿"), which is how WH-questions are
+// recognized in English too.
+function lexiconMatches(lexicon, listName, lower, { atStart = false } = {}) {
+  if (!lexicon || !lexicon[listName]) return false;
+  const key = `${lexicon.name}:${listName}:${atStart}`;
+  if (!lexiconPatterns.has(key)) {
+    const alternatives = lexicon[listName]
+      .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|');
+    const boundary = lexicon.spaced ? '(?<![\\p{L}\\p{M}\\p{N}])' : '';
+    lexiconPatterns.set(key, new RegExp(atStart
+      ? `^[\\s¿¡"'«„(]*(?:${alternatives})`
+      : `${boundary}(?:${alternatives})`, 'u'));
+  }
+  return lexiconPatterns.get(key).test(lower);
+}
+
+// The prompt's words, for the "enough detail" check. Japanese doesn't put
+// spaces between words — split on spaces, a whole paragraph is one word.
+function splitPromptWords(text, language) {
+  if (language === 'ja' && typeof Intl !== 'undefined' && Intl.Segmenter) {
+    const segmenter = new Intl.Segmenter('ja', { granularity: 'word' });
+    return [...segmenter.segment(text)].filter(segment => segment.isWordLike).map(segment => segment.segment);
+  }
+  return text.split(/\s+/).filter(w => w.length > 0);
+}
+
+// The sentence to append for a failing check, in the prompt's language when
+// it's a built-in check still using its built-in wording. A sentence the
+// user wrote in their rubric, or one from a domain pack, stays as written.
+function localizeReinforcement(check, lexicon) {
+  if (!lexicon || !lexicon.reinforce[check.id]) return check.reinforce;
+  const builtIn = DEFAULT_PROMPT_CHECKS.find(c => c.id === check.id);
+  return builtIn && check.reinforce === builtIn.reinforce ? lexicon.reinforce[check.id] : check.reinforce;
+}
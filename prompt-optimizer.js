@@ -0,0 +1,314 @@
+/**
+ * Rule-based prompt scoring and optimization
+ *
+ * Loaded as a plain script after check-registry.js, both as a content
+ * script (ahead of content.js) and in the popup, which scores saved
+ * templates with the same checks the panel uses.
+ */
+
+// How the optimizer lays out what it adds. Each chat model follows a
+// different structure best: Claude was trained on XML-tagged sections,
+// ChatGPT on Markdown, and Gemini responds well to a short numbered list of
+// constraints. 'list' is the original "Additional requirements:" block.
+const PROMPT_STYLES = {
+  list: { id: 'list', name: 'Plain list' },
+  xml: { id: 'xml', name: 'XML tags' },
+  markdown: { id: 'markdown', name: 'Markdown headings' },
+  numbered: { id: 'numbered', name: 'Numbered constraints' }
+};
+
+// The style used on each platform unless the user picks another one
+// (panel or Settings → Prompt format, saved under 'prompt-styles').
+const PLATFORM_PROMPT_STYLES = { claude: 'xml', gpt: 'markdown', gemini: 'numbered', grok: 'list' };
+
+function resolvePromptStyle(platform, override) {
+  if (override && PROMPT_STYLES[override]) return override;
+  return PLATFORM_PROMPT_STYLES[platform] || 'list';
+}
+
+// Which section of a structured prompt each failing check's requirement
+// goes under; anything not listed (including domain pack checks) is a
+// constraint.
+const PROMPT_SECTION_BY_CHECK = { audience_or_context: 'context', structure_or_format: 'format' };
+
+const PROMPT_SECTION_TITLES = { role: 'Role', task: 'Task', context: 'Context', constraints: 'Constraints', format: 'Output format' };
+
+// A role line for the domain packs that imply one. A general prompt gets
+// none in the structured layouts — there's nothing to base it on, and a
+// made-up persona is noise; only the role-based variant, where the role
+// is the whole point, falls back to the `general` one.
+const PROMPT_ROLES = {
+  general: 'You are an expert on this subject who explains things clearly and accurately.',
+  coding: 'You are an experienced software engineer.',
+  writing: 'You are a skilled writer and editor.',
+  data_analysis: 'You are a careful data analyst.',
+  research: 'You are a thorough research assistant.'
+};
+
+function getPromptRole(packId, lexicon, { fallback = false } = {}) {
+  const roles = (lexicon && lexicon.roles) || PROMPT_ROLES;
+  if (packId && packId !== 'general' && roles[packId]) return roles[packId];
+  return fallback ? roles.general : null;
+}
+
+// The alternatives the panel offers side by side (generateVariants()).
+// History records which one was inserted, so Analytics can show which
+// kind people actually use.
+const PROMPT_VARIANTS = {
+  minimal: { id: 'minimal', name: 'Minimal fix' },
+  structured: { id: 'structured', name: 'Structured' },
+  role: { id: 'role', name: 'Role-based' },
+  // Not generated here: the AI provider's rewrite, added by the panel when
+  // it arrives
+  ai: { id: 'ai', name: 'AI rewrite' }
+};
+
+// Lays the prompt out as role, task, context, constraints and output format
+// in `style`. `task` is the user's text, untouched; `asks` are
+// { section, text } requirements. Sections with nothing in them are left
+// out. Titles and the role follow the prompt's language (`lexicon`), except
+// XML tag names, which are markup rather than prose.
+function formatPromptSections(task, asks, { style, lexicon = null, role = null }) {
+  const titles = (lexicon && lexicon.sections) || PROMPT_SECTION_TITLES;
+  const groups = ['context', 'constraints', 'format']
+    .map(id => ({ id, items: asks.filter(ask => ask.section === id).map(ask => ask.text) }))
+    .filter(group => group.items.length > 0);
+  const bullets = items => items.map(item => `- ${item}`).join('\n');
+
+  if (style === 'xml') {
+    const tags = { context: 'context', constraints: 'constraints', format: 'output_format' };
+    return [
+      role && `<role>\n${role}\n</role>`,
+      `<task>\n${task}\n</task>`,
+      ...groups.map(group => `<${tags[group.id]}>\n${bullets(group.items)}\n</${tags[group.id]}>`)
+    ].filter(Boolean).join('\n\n');
+  }
+  if (style === 'markdown') {
+    return [
+      role && `## ${titles.role}\n${role}`,
+      `## ${titles.task}\n${task}`,
+      ...groups.map(group => `## ${titles[group.id]}\n${bullets(group.items)}`)
+    ].filter(Boolean).join('\n\n');
+  }
+  // numbered: the task as written, then every requirement as one short list
+  const items = groups.flatMap(group => group.items);
+  return [
+    role,
+    task,
+    `${titles.constraints}:\n${items.map((item, i) => `${i + 1}. ${item}`).join('\n')}`
+  ].filter(Boolean).join('\n\n');
+}
+
+class PromptOptimizer {
+  constructor(registry = new PromptCheckRegistry()) {
+    // Every check the optimizer knows about lives here — register, disable,
+    // or re-weight checks on this registry rather than editing runChecks().
+    this.checks = registry;
+    this.rubric = DEFAULT_RUBRIC;
+    this.packRegistries = {};
+  }
+
+  // Swaps in a user-defined rubric from Settings. The registry is rebuilt
+  // from scratch each time, so a check the rubric no longer mentions falls
+  // back to its built-in default rather than keeping a stale override.
+  setRubric(rubric) {
+    this.rubric = rubric || DEFAULT_RUBRIC;
+    this.checks = PromptCheckRegistry.fromRubric(this.rubric);
+    this.packRegistries = {};
+  }
+
+  // The active rubric plus a domain pack's extra checks. Built lazily and
+  // cached per pack until the rubric changes, since it's the same list for
+  // every keystroke of a given prompt.
+  getPackRegistry(packId) {
+    if (!packId || packId === 'general') return this.checks;
+    if (!this.packRegistries[packId]) {
+      const registry = this.checks.clone();
+      getRubricPack(packId).checks.forEach(check => registry.register(check));
+      this.packRegistries[packId] = registry;
+    }
+    return this.packRegistries[packId];
+  }
+
+  getActionWords() {
+    return PROMPT_ACTION_WORDS;
+  }
+
+  getBoundedTopicWords() {
+    return PROMPT_BOUNDED_TOPIC_WORDS;
+  }
+
+  // The single source of truth: the score, the quality tier, the checklist
+  // shown in the panel, the feedback cards, and the optimizer's reinforcement
+  // pass all read from this one array. Nothing else computes a competing
+  // number, so "all checks pass" and "score is 100" can never disagree again.
+  // The checks themselves live in the registry (check-registry.js); this
+  // just resolves whatever is currently enabled there, plus the given
+  // domain pack's checks.
+  runChecks(text, packId = null) {
+    return this.getPackRegistry(packId).run(text);
+  }
+
+  // Ambiguity is a different problem than a missing format ask: reinforcement
+  // (below) only ever appends generic rigor instructions, so it can polish
+  // HOW a vague prompt gets answered but can't fix WHAT the LLM has to guess
+  // at. A prompt this short, missing substance/specifics/audience all at
+  // once, is a sign the user hasn't decided the scope themselves yet — no
+  // amount of "be more specific" reinforcement resolves that, only the user
+  // actually adding real intent can.
+  isAmbiguous(text, checks) {
+    const trimmed = (text || '').trim();
+    const language = detectPromptLanguage(trimmed);
+    const lexicon = getPromptLexicon(language);
+    const words = splitPromptWords(trimmed, language);
+    const lower = trimmed.toLowerCase();
+
+    // "What is X" / "How does X work" is fully scoped by its own grammar —
+    // the LLM knows exactly what's being asked (define/explain X) even if
+    // the prompt is short. The scope problem is specific to broad, undefined
+    // action verbs like "build" or "make", not genuine definitional
+    // questions, so those are excluded here even though they can trip the
+    // same brevity-driven checks below.
+    // "Help me understand/learn X" and "explain/describe X" are all
+    // functionally the same ask — bounded by the named topic, not open scope.
+    const isDefinitionalQuestion = /^(what|how|why|when|where|who|which|best|explain|describe)\b/i.test(trimmed)
+      || /[?？]/.test(trimmed)
+      || /\bhelp me (understand|learn|grasp)\b/i.test(trimmed)
+      || lexiconMatches(lexicon, 'questionWords', lower, { atStart: !(lexicon && lexicon.questionAnywhere) })
+      || lexiconMatches(lexicon, 'explainWords', lower, { atStart: !(lexicon && lexicon.questionAnywhere) });
+    if (isDefinitionalQuestion) return false;
+
+    // "Pros and cons of X" / "summary of X" / "difference between X and Y"
+    // name the analysis type directly — just as bounded as an explicit verb.
+    if (ANALYTICAL_NOUN_PHRASE.test(trimmed)
+      || lexiconMatches(lexicon, 'analyticalPhrases', lower, { atStart: true })) return false;
+
+    // "Translate THIS sentence" / "summarize THIS article" / "fix THIS
+    // function" all point at something specific and already provided — the
+    // scope is bounded by that reference even though the sentence is short.
+    const hasBoundedReference = /\b(this|that|these|those)\b/i.test(lower)
+      || lexiconMatches(lexicon, 'boundedReferences', lower);
+
+    // Naming a well-known deliverable/genre ("a haiku", "an itinerary", "a
+    // recipe") bounds the task the same way — there's no real scope left
+    // for the LLM to guess at.
+    const hasGenreWord = this.getBoundedTopicWords().some(w => lower.includes(w))
+      || lexiconMatches(lexicon, 'boundedTopicWords', lower);
+
+    if (hasBoundedReference || hasGenreWord) return false;
+
+    const byId = Object.fromEntries(checks.map(c => [c.id, c.ok]));
+    const missingCount = [byId.substance, byId.specific_details, byId.audience_or_context]
+      .filter(ok => ok === false).length;
+    return words.length <= 8 && missingCount >= 2;
+  }
+
+  // `options.pack` forces a domain pack; otherwise one is picked from the
+  // prompt itself. Either way the analysis says which pack was applied, so
+  // the panel can show it and later passes (AI rewrite reinforcement) can
+  // score against the same checks.
+  analyzePrompt(prompt, options = {}) {
+    const detectedPack = detectPromptDomain(prompt);
+    const pack = getRubricPack(options.pack || detectedPack);
+    const checks = this.runChecks(prompt, pack.id);
+    const score = scorePromptChecks(checks);
+    const quality = this.determineQuality(score);
+    const language = detectPromptLanguage(prompt);
+
+    return {
+      metrics: { overallScore: score },
+      checks,
+      quality,
+      isAmbiguous: this.isAmbiguous(prompt, checks),
+      rubric: { id: this.rubric.id, name: this.rubric.name, version: this.rubric.version },
+      pack: { id: pack.id, name: pack.name, icon: pack.icon, detected: detectedPack, overridden: Boolean(options.pack) },
+      language: { code: language, name: language === 'en' ? 'English' : getPromptLexicon(language).name }
+    };
+  }
+
+  determineQuality(score) {
+    return determineQualityTier(score);
+  }
+
+  // Strictly additive: the original text is never rewritten, reworded, or
+  // re-cased (that was the old bug — lowercasing the whole prompt destroyed
+  // proper nouns like "Facebook", which specificity scoring rewards). This
+  // only appends fixes for checks that are currently failing, phrased so
+  // each addition contains the exact signal its check looks for — so
+  // applying the suggestion reliably flips that check to passing.
+  //
+  // `options.platform` picks the layout (PLATFORM_PROMPT_STYLES);
+  // `options.style` overrides it.
+  optimizePrompt(promptText, analysis, options = {}) {
+    const packId = analysis && analysis.pack && analysis.pack.id;
+    const checks = (analysis && analysis.checks) || this.runChecks(promptText, packId);
+    return this.reinforceFailedChecks(promptText, checks, {
+      style: resolvePromptStyle(options.platform, options.style),
+      pack: packId
+    });
+  }
+
+  // Requirements are written in the prompt's own language (for the built-in
+  // checks) — an English block tacked onto a Spanish prompt tends to pull
+  // the answer into English.
+  // `options.style` is a PROMPT_STYLES id ('list' when not given) and
+  // `options.pack` the domain pack, which decides the role line.
+  reinforceFailedChecks(text, checks, options = {}) {
+    const lexicon = getPromptLexicon(detectPromptLanguage(text));
+    const failing = checks.filter(c => !c.ok && c.reinforce);
+
+    if (failing.length === 0) {
+      return text;
+    }
+
+    const style = PROMPT_STYLES[options.style] ? options.style : 'list';
+    if (style === 'list') {
+      const heading = lexicon ? lexicon.reinforce.heading : 'Additional requirements:';
+      return `${text.trim()}\n\n${heading}\n- ${failing.map(c => localizeReinforcement(c, lexicon)).join('\n- ')}`;
+    }
+
+    return formatPromptSections(text.trim(), failing.map(c => ({
+      section: PROMPT_SECTION_BY_CHECK[c.id] || 'constraints',
+      text: localizeReinforcement(c, lexicon)
+    })), { style, lexicon, role: getPromptRole(options.pack, lexicon) });
+  }
+
+  // Up to three takes on the same fixes: the requirements appended as a
+  // plain list, the platform's structured layout, and a role line followed
+  // by the prompt and the requirements as plain sentences. Each comes
+  // scored on the same checks as the prompt ({ id, name, text, score }),
+  // and the one optimizePrompt() would return is marked `preferred`.
+  // Variants that come out identical are dropped, and a prompt with
+  // nothing to fix gets just the one.
+  generateVariants(promptText, analysis, options = {}) {
+    const packId = analysis && analysis.pack && analysis.pack.id;
+    const checks = (analysis && analysis.checks) || this.runChecks(promptText, packId);
+    const style = resolvePromptStyle(options.platform, options.style);
+    const lexicon = getPromptLexicon(detectPromptLanguage(promptText));
+    const failing = checks.filter(c => !c.ok && c.reinforce);
+
+    const texts = {
+      minimal: this.reinforceFailedChecks(promptText, checks, { style: 'list' }),
+      // On a platform whose own style is the plain list, Markdown stands in
+      structured: this.reinforceFailedChecks(promptText, checks, { style: style === 'list' ? 'markdown' : style, pack: packId })
+    };
+    if (failing.length > 0) {
+      const sentences = failing.map(c => localizeReinforcement(c, lexicon)).join(lexicon && !lexicon.spaced ? '' : ' ');
+      texts.role = [getPromptRole(packId, lexicon, { fallback: true }), promptText.trim(), sentences].join('\n\n');
+    }
+    const preferred = style === 'list' ? 'minimal' : 'structured';
+
+    const seen = new Set();
+    const variants = Object.entries(texts)
+      .filter(([, text]) => !seen.has(text) && seen.add(text))
+      .map(([id, text]) => ({
+        ...PROMPT_VARIANTS[id],
+        text,
+        score: scorePromptChecks(this.runChecks(text, packId)),
+        preferred: id === preferred
+      }));
+    if (!variants.some(v => v.preferred)) variants[0].preferred = true;
+    return variants;
+  }
+
+}
@@ -0,0 +1,64 @@
+/**
+ * Prompt template library helpers
+ *
+ * Shared by the popup (where templates are written and scored) and the
+ * content script (where they're filled in and inserted). Templates live in
+ * chrome.storage.local under 'promptTemplates' as
+ * { id, name, body, variables: [{ name, default, description }], score,
+ * quality, updatedAt }; `body` marks each variable as {{name}}.
+ */
+
+const PROMPT_TEMPLATES_KEY = 'promptTemplates';
+
+// Templates scoring below this are flagged on save — still savable, but
+// only after the user confirms they want to keep a weak one.
+const TEMPLATE_MIN_SCORE = 70;
+
+function templateVariablePattern() {
+  return /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+}
+
+// Variable names in the order they first appear in the body.
+function extractTemplateVariables(body) {
+  const names = [];
+  for (const match of (body || '').matchAll(templateVariablePattern())) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+// The variable list for an edited body: one entry per {{name}} still in
+// it, keeping the default and description already set for each.
+function syncTemplateVariables(body, existing = []) {
+  const known = Object.fromEntries(existing.map(variable => [variable.name, variable]));
+  return extractTemplateVariables(body).map(name => ({
+    name,
+    default: (known[name] && known[name].default) || '',
+    description: (known[name] && known[name].description) || ''
+  }));
+}
+
+// The body with every variable replaced by its value, falling back to its
+// default. A variable with neither is left as {{name}} so the gap is
+// obvious in the composer rather than silently blank.
+function fillPromptTemplate(template, values = {}) {
+  const defaults = Object.fromEntries((template.variables || []).map(variable => [variable.name, variable.default]));
+  return (template.body || '').replace(templateVariablePattern(), (placeholder, name) => {
+    const value = typeof values[name] === 'string' && values[name].trim() ? values[name] : defaults[name];
+    return value ? value : placeholder;
+  });
+}
+
+// Scores a template the way its typical use would be scored: filled with
+// its defaults, and with each variable that has none read as its own name
+// ("{{audience}}" → "audience"), so a placeholder doesn't count for or
+// against it.
+function scorePromptTemplate(template, optimizer) {
+  const sample = fillPromptTemplate(template).replace(templateVariablePattern(), (placeholder, name) => name.replace(/[_-]+/g, ' '));
+  const analysis = optimizer.analyzePrompt(sample);
+  return {
+    score: analysis.metrics.overallScore,
+    quality: analysis.quality,
+    failed: analysis.checks.filter(check => !check.ok).map(check => check.name)
+  };
+}
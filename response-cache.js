@@ -0,0 +1,124 @@
+/**
+ * Cache of AI provider replies for Prompt Tracer
+ *
+ * Loaded into the background worker with importScripts. Every pause in
+ * typing asks for a fresh rewrite and fresh feedback, including when the
+ * user types and deletes back to a prompt that was already analyzed — so
+ * successful replies are kept here and handed back instead of calling the
+ * provider again. Entries live in chrome.storage.local, so a restarted
+ * worker still has them.
+ */
+
+const RESPONSE_CACHE_KEY = 'ai-response-cache';
+
+// Long enough to cover a working session's back-and-forth, short enough
+// that a provider's model update shows up by the next day.
+const RESPONSE_CACHE_LIMITS = {
+  maxEntries: 200,
+  ttlMs: 24 * 60 * 60 * 1000
+};
+
+// Whitespace and Unicode composition differences don't change what a
+// provider writes back, so they don't make a new entry.
+function normalizeCachedPrompt(text) {
+  return (text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+class ResponseCache {
+  constructor(limits = RESPONSE_CACHE_LIMITS) {
+    this.limits = limits;
+    // { [key]: { at, value } }, read from storage on first use
+    this.entries = null;
+    // set() and clear() run one at a time, in order: a set() still reading
+    // storage when the cache is cleared would otherwise write the cleared
+    // entries back afterwards
+    this.writes = Promise.resolve();
+  }
+
+  // SHA-256 of everything a reply depends on: what was asked (`kind`), the
+  // normalized prompt, and the `scope` — provider, model and rubric
+  // revision. Hashing keeps the prompt text itself out of the keys.
+  static async keyFor(kind, prompt, scope) {
+    const source = [kind, scope.provider, scope.model, scope.rubric, normalizeCachedPrompt(prompt)].join('\n');
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(source));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  load() {
+    if (!this.entries) {
+      this.entries = chrome.storage.local.get([RESPONSE_CACHE_KEY])
+        .then(result => result[RESPONSE_CACHE_KEY] || {})
+        .catch(error => {
+          console.warn('Could not read the AI response cache:', error.message);
+          return {};
+        });
+    }
+    return this.entries;
+  }
+
+  isExpired(entry, now = Date.now()) {
+    return !entry || now - entry.at > this.limits.ttlMs;
+  }
+
+  // The cached reply for `key`, or null. Expired entries go on the next write.
+  async get(key) {
+    const entries = await this.load();
+    const entry = entries[key];
+    return this.isExpired(entry) ? null : entry.value;
+  }
+
+  set(key, value) {
+    return this.queueWrite(async () => {
+      const entries = await this.load();
+      entries[key] = { at: Date.now(), value };
+      this.prune(entries);
+      await this.persist(entries);
+    });
+  }
+
+  queueWrite(write) {
+    const done = this.writes.then(write);
+    this.writes = done.catch(() => {});
+    return done;
+  }
+
+  // Drops expired entries, then the oldest ones past maxEntries.
+  prune(entries) {
+    const now = Date.now();
+    Object.keys(entries).forEach(key => {
+      if (this.isExpired(entries[key], now)) delete entries[key];
+    });
+    const keys = Object.keys(entries);
+    if (keys.length > this.limits.maxEntries) {
+      keys.sort((a, b) => entries[a].at - entries[b].at)
+        .slice(0, keys.length - this.limits.maxEntries)
+        .forEach(key => delete entries[key]);
+    }
+  }
+
+  async persist(entries) {
+    try {
+      await chrome.storage.local.set({ [RESPONSE_CACHE_KEY]: entries });
+    } catch (error) {
+      // Still useful in memory until the worker restarts
+      console.warn('Could not save the AI response cache:', error.message);
+    }
+  }
+
+  async stats() {
+    const entries = await this.load();
+    const now = Date.now();
+    return {
+      entries: Object.values(entries).filter(entry => !this.isExpired(entry, now)).length,
+      maxEntries: this.limits.maxEntries,
+      ttlMs: this.limits.ttlMs
+    };
+  }
+
+  clear() {
+    return this.queueWrite(async () => {
+      this.entries = Promise.resolve({});
+      await chrome.storage.local.remove(RESPONSE_CACHE_KEY);
+    });
+  }
+}
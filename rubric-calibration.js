@@ -0,0 +1,136 @@
+/**
+ * Check-weight calibration from the user's own answer ratings
+ *
+ * Loaded in the popup after check-registry.js. Fits a logistic regression
+ * of "this answer was rated 4 or 5" on which checks its prompt passed, and
+ * turns the coefficients into weights for a personal rubric. Everything
+ * runs locally over the history already in IndexedDB.
+ */
+
+// Below this many rated prompts the fit mostly describes noise
+const MIN_CALIBRATION_RATINGS = 20;
+
+// A rating at or above this counts as a good answer
+const GOOD_ANSWER_RATING = 4;
+
+// The personal rubric is one entry in 'customRubrics' with a fixed id, so
+// recalibrating updates it (bumping its version) rather than piling up
+// copies.
+const CALIBRATED_RUBRIC_ID = 'calibrated';
+
+// Every check keeps at least this much weight, so one that didn't predict
+// ratings still counts for something (and still gets reinforced) instead of
+// silently dropping out of scoring.
+const MIN_CALIBRATED_WEIGHT = 5;
+
+// One { x, y } sample per rated entry: x[i] is 1 if check `checkIds[i]`
+// passed, 0 if it failed; y is 1 for a good answer. Entries that didn't run
+// every check (saved before a check existed) are left out rather than
+// guessed at.
+function buildCalibrationSamples(history, checkIds) {
+  const samples = [];
+  history.forEach(entry => {
+    if (typeof entry.userRating !== 'number') return;
+    const results = Object.fromEntries((entry.checks || []).map(check => [check.id, check.ok]));
+    if (!checkIds.every(id => id in results)) return;
+    samples.push({
+      x: checkIds.map(id => (results[id] ? 1 : 0)),
+      y: entry.userRating >= GOOD_ANSWER_RATING ? 1 : 0
+    });
+  });
+  return samples;
+}
+
+// Plain batch gradient descent on the log loss, with a small L2 penalty so
+// a check that always passed (no signal either way) settles at zero rather
+// than drifting. Small enough inputs that this converges well within the
+// iteration budget.
+function fitLogisticRegression(samples, { iterations = 2000, learningRate = 0.5, l2 = 0.05 } = {}) {
+  const features = samples[0].x.length;
+  const coefficients = new Array(features).fill(0);
+  let bias = 0;
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const gradient = new Array(features).fill(0);
+    let biasGradient = 0;
+    samples.forEach(({ x, y }) => {
+      const z = bias + x.reduce((sum, value, i) => sum + value * coefficients[i], 0);
+      const error = 1 / (1 + Math.exp(-z)) - y;
+      biasGradient += error;
+      x.forEach((value, i) => { gradient[i] += error * value; });
+    });
+    bias -= learningRate * biasGradient / samples.length;
+    coefficients.forEach((coefficient, i) => {
+      coefficients[i] -= learningRate * (gradient[i] / samples.length + l2 * coefficient);
+    });
+  }
+
+  return { bias, coefficients };
+}
+
+// Fits `rubric`'s enabled checks against the rated history. Returns
+// { ok: false, reason } when there isn't enough to go on, otherwise
+// { ok: true, count, good, checks } with, per check, its coefficient (the
+// change in log-odds of a good answer when it passes), how often it passed,
+// and its current and calibrated weight.
+function calibrateRubric(history, rubric) {
+  const checks = PromptCheckRegistry.fromRubric(rubric).resolve();
+  const ids = checks.map(check => check.id);
+  const samples = buildCalibrationSamples(history, ids);
+  const good = samples.filter(sample => sample.y === 1).length;
+
+  if (samples.length < MIN_CALIBRATION_RATINGS) {
+    return { ok: false, reason: `Rate at least ${MIN_CALIBRATION_RATINGS} answers first — ${samples.length} so far.` };
+  }
+  if (good === 0 || good === samples.length) {
+    return { ok: false, reason: `Every rated answer so far is ${good === 0 ? 'below' : 'at or above'} ${GOOD_ANSWER_RATING}★, so there's nothing to tell good from bad yet.` };
+  }
+
+  const { coefficients } = fitLogisticRegression(samples);
+  const raw = coefficients.map(coefficient => Math.max(0, coefficient));
+  const largest = Math.max(...raw);
+  const weights = normalizeRubricWeights(checks.map((check, i) => ({
+    id: check.id,
+    enabled: true,
+    weight: largest > 0
+      ? Math.max(MIN_CALIBRATED_WEIGHT, (raw[i] / largest) * 100)
+      : 100 / checks.length
+  })));
+
+  return {
+    ok: true,
+    count: samples.length,
+    good,
+    checks: checks.map((check, i) => ({
+      id: check.id,
+      name: check.name,
+      coefficient: coefficients[i],
+      passRate: samples.filter(sample => sample.x[i] === 1).length / samples.length,
+      currentWeight: check.weight,
+      weight: weights[i].weight
+    }))
+  };
+}
+
+// The personal rubric built from `base` (the rubric that was calibrated):
+// its custom checks, reinforce sentences and disabled checks carry over,
+// and every calibrated check takes its new weight.
+function buildCalibratedRubric(base, calibration, existing = null) {
+  const weights = Object.fromEntries(calibration.checks.map(check => [check.id, check.weight]));
+  const baseChecks = (base && base.checks) || [];
+  const checks = baseChecks.map(check => (check.id in weights ? { ...check, weight: weights[check.id] } : { ...check }));
+  calibration.checks.forEach(check => {
+    if (!baseChecks.some(existingCheck => existingCheck.id === check.id)) {
+      checks.push({ id: check.id, enabled: true, weight: check.weight, reinforce: null });
+    }
+  });
+
+  return {
+    id: CALIBRATED_RUBRIC_ID,
+    name: 'Personal (calibrated)',
+    version: existing ? existing.version + 1 : 1,
+    checks,
+    calibration: { ratings: calibration.count, good: calibration.good, basedOn: base ? base.id : DEFAULT_RUBRIC.id },
+    updatedAt: new Date().toISOString()
+  };
+}
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// Sanity checks for pii-redactor.js, run with plain Node (no packages):
+//  - each kind of PII in a sample prompt is swapped for its token, and
+//    restorePii() puts the original back;
+//  - text that only looks numeric — timestamps, IP addresses, versions,
+//    order numbers — comes through untouched.
+// Exits non-zero and lists what failed if anything does.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(ROOT, 'pii-redactor.js'), 'utf8'), context, { filename: 'pii-redactor.js' });
+const { redactPii, restorePii } = vm.runInContext('({ redactPii, restorePii })', context);
+
+// Each prompt with the text it should be sent as
+const REDACTED_CASES = [
+  ['Email ann@example.com today', 'Email [EMAIL_1] today'],
+  ['Call me on 555-123-4567', 'Call me on [PHONE_1]'],
+  ['Call (555) 123 4567 after six', 'Call [PHONE_1] after six'],
+  ['Her number is +44 20 7946 0958.', 'Her number is [PHONE_1].'],
+  ['Text +15551234567 when done', 'Text [PHONE_1] when done'],
+  ['Ring 07700 900123', 'Ring [PHONE_1]'],
+  ['My SSN is 123-45-6789', 'My SSN is [ID_1]'],
+  ['Card 4111 1111 1111 1111 expires soon', 'Card [CARD_1] expires soon'],
+  ['Ship to 221 Baker Street please', 'Ship to [ADDRESS_1] please']
+];
+
+// Nothing in these should be redacted
+const UNTOUCHED_CASES = [
+  'The job ran at 2024-01-15 10:30:00 and failed',
+  'Logged 2024-01-15T10:30:00Z in UTC',
+  'Between 2023-12-31 and 2024-01-15',
+  'Connect to 192.168.100.200 on port 8080',
+  'Ping 10.0.0.1 and 172.16.254.1',
+  'Upgrade from 1.2.3 to 10.20.30',
+  'Released 15.01.2024 at 10:30',
+  'Order 123456789 shipped',
+  'Population was 8,336,817 in 2020'
+];
+
+const failures = [];
+
+REDACTED_CASES.forEach(([prompt, expected]) => {
+  const { text, tokens } = redactPii(prompt);
+  if (text !== expected) failures.push(`"${prompt}" redacted as "${text}", expected "${expected}"`);
+  if (restorePii(text, tokens) !== prompt) failures.push(`"${prompt}" doesn't restore to itself`);
+});
+
+UNTOUCHED_CASES.forEach(prompt => {
+  const { text } = redactPii(prompt);
+  if (text !== prompt) failures.push(`"${prompt}" shouldn't change, but was sent as "${text}"`);
+});
+
+if (failures.length) {
+  failures.forEach(failure => console.error(`✗ ${failure}`));
+  process.exit(1);
+}
+console.log('PII redactor checks passed.');
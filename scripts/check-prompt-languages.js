@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+// Sanity checks for prompt-languages.js, run with plain Node (no packages):
+//  - every reinforce sentence — each language's translations, and the
+//    English ones of the built-in checks and domain packs — passes its own
+//    check, so applying a suggestion actually flips that check;
+//  - short prompts are detected as the language they're written in.
+// Exits non-zero and lists what failed if anything does.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const context = vm.createContext({ console, Intl });
+['prompt-languages.js', 'check-registry.js'].forEach(file => {
+  vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+});
+const {
+  PROMPT_LANGUAGES, DEFAULT_PROMPT_CHECKS, RUBRIC_PACKS, buildCheckContext, detectPromptLanguage, splitPromptWords
+} = vm.runInContext('({ PROMPT_LANGUAGES, DEFAULT_PROMPT_CHECKS, RUBRIC_PACKS, buildCheckContext, detectPromptLanguage, splitPromptWords })', context);
+
+// Prompts people actually type, with the language each should come out as
+const DETECTION_CASES = {
+  pt: [
+    'Explique como funciona a fotossíntese',
+    'Crie um plano de estudos para matemática',
+    'Me dê ideias de presentes',
+    'Escreva um poema sobre o mar',
+    'Faça uma lista de compras para a semana',
+    'Traduza este texto para o inglês'
+  ],
+  es: [
+    'Explica cómo funciona la fotosíntesis',
+    'Dame ideas de regalos para mi madre',
+    'Crea un plan de estudio para matemáticas',
+    'Resume este artículo para mí'
+  ],
+  fr: [
+    'Écris une lettre de motivation',
+    'Donne-moi des idées de cadeaux',
+    'Explique comment fonctionne la photosynthèse'
+  ],
+  de: ['Erkläre mir bitte die Relativitätstheorie', 'Gib mir Ideen für Geschenke'],
+  hi: ['कहानी लिखो', 'मुझे बताओ कि पायथन क्या है'],
+  ja: ['光合成について説明してください'],
+  en: [
+    'write a poem',
+    'Create a study plan for math',
+    'Compare Python and Java',
+    'Resume tips for a nurse',
+    'a haiku about a cat',
+    'Tips for a trip to Rio de Janeiro'
+  ]
+};
+
+const failures = [];
+
+Object.entries(PROMPT_LANGUAGES).forEach(([language, lexicon]) => {
+  DEFAULT_PROMPT_CHECKS.forEach(check => {
+    const sentence = lexicon.reinforce[check.id];
+    if (!sentence) return;
+    const ok = check.detect({
+      text: sentence,
+      lower: sentence.toLowerCase(),
+      words: splitPromptWords(sentence, language),
+      paragraphs: [sentence],
+      language,
+      lexicon
+    });
+    if (!ok) failures.push(`${language} reinforce.${check.id} doesn't pass its own check: ${sentence}`);
+  });
+});
+
+// The English sentences too, built-in and domain pack alike
+[...DEFAULT_PROMPT_CHECKS, ...RUBRIC_PACKS.flatMap(pack => pack.checks)].forEach(check => {
+  if (check.reinforce && !check.detect(buildCheckContext(check.reinforce))) {
+    failures.push(`${check.id} reinforce doesn't pass its own check: ${check.reinforce}`);
+  }
+});
+
+Object.entries(DETECTION_CASES).forEach(([expected, prompts]) => {
+  prompts.forEach(prompt => {
+    const detected = detectPromptLanguage(prompt);
+    if (detected !== expected) failures.push(`"${prompt}" detected as ${detected}, expected ${expected}`);
+  });
+});
+
+if (failures.length) {
+  failures.forEach(failure => console.error(`✗ ${failure}`));
+  process.exit(1);
+}
+console.log('Prompt language checks passed.');
@@ -0,0 +1,28 @@
+#!/usr/bin/env bash
+# Download the BPE rank tables token-counter.js counts with (OpenAI's
+# published tiktoken files) into tokenizers/. Run once after cloning;
+# package-store.sh runs it when they're missing.
+set -euo pipefail
+
+ROOT="$(cd "$(dirname "$0")/.." && pwd)"
+BASE_URL="https://openaipublic.blob.core.windows.net/encodings"
+
+mkdir -p "$ROOT/tokenizers"
+
+# encoding:expected line count, so a truncated download is caught here
+# rather than showing up as odd counts in the panel
+for entry in cl100k_base:100256 o200k_base:199998; do
+  encoding="${entry%%:*}"
+  expected="${entry##*:}"
+  target="$ROOT/tokenizers/$encoding.tiktoken"
+
+  curl -fsSL --retry 3 "$BASE_URL/$encoding.tiktoken" -o "$target.part"
+  lines="$(grep -c ' ' "$target.part" || true)"
+  if [ "$lines" -ne "$expected" ]; then
+    rm -f "$target.part"
+    echo "Error: $encoding.tiktoken has $lines entries, expected $expected" >&2
+    exit 1
+  fi
+  mv "$target.part" "$target"
+  echo "Fetched: tokenizers/$encoding.tiktoken"
+done
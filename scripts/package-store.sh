@@ -9,14 +9,34 @@ OUT="$ROOT/prompt-tracer-v${VERSION}.zip"
 cd "$ROOT"
 rm -f "$OUT"
 
+# The BPE rank tables aren't checked in; fetch them if they're missing
+for encoding in cl100k_base o200k_base; do
+  [ -s "tokenizers/$encoding.tiktoken" ] || "$ROOT/scripts/fetch-tokenizers.sh"
+done
+
 zip -r "$OUT" \
   manifest.json \
   background.js \
+  api-usage.js \
+  check-registry.js \
+  prompt-languages.js \
   content.js \
   popup.html \
   popup.js \
   chart.js \
   interactive-tutorial.js \
+  llm-providers.js \
+  llm-scheduler.js \
+  history-store.js \
+  pii-redactor.js \
+  prompt-diff.js \
+  prompt-optimizer.js \
+  prompt-templates.js \
+  response-cache.js \
+  rubric-calibration.js \
+  secret-scanner.js \
+  token-counter.js \
+  tokenizers/ \
   icons/ \
   -x "*.DS_Store" "*/.*"
 
@@ -0,0 +1,175 @@
+/**
+ * Local secret and credential detection
+ *
+ * Loaded as a content script ahead of content.js. Every captured prompt is
+ * scanned alongside runChecks(); findings are only ever shown in the panel
+ * and replaced by placeholders before anything is stored or sent — the
+ * matched text itself never leaves the page.
+ */
+
+// Values that are obviously stand-ins rather than real credentials
+// ("password: ****", "api_key=<your-key>", "token: ${TOKEN}", an earlier
+// redaction placeholder), so examples in a prompt don't trip the scanner.
+const SECRET_PLACEHOLDER_VALUE = /^(?:\*+|x{3,}|\.{3,}|<[^>]*>|\$\{?[\w.]+\}?|\{\{[^}]*\}\}|\[[A-Z0-9_]+\]|your[\w-]*|changeme|null|none|undefined|true|false|redacted)$/i;
+
+// Each pattern matches one kind of secret. A named `secret` group marks
+// the part to redact when the match carries context around it (the
+// password inside a connection string); otherwise the whole match is the
+// secret. `validate(value)` can reject a match the regex alone can't rule
+// out.
+const DEFAULT_SECRET_PATTERNS = [
+  {
+    id: 'private_key',
+    name: 'Private key',
+    // An unterminated block (pasted halfway) still counts, to the end
+    pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?(?:-----END (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----|$)/
+  },
+  {
+    id: 'anthropic_key',
+    name: 'Anthropic API key',
+    pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/
+  },
+  {
+    id: 'openai_key',
+    name: 'OpenAI API key',
+    pattern: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}/
+  },
+  {
+    id: 'aws_access_key',
+    name: 'AWS access key ID',
+    pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA)[0-9A-Z]{16}\b/
+  },
+  {
+    id: 'aws_secret_key',
+    name: 'AWS secret access key',
+    pattern: /\baws_?secret_?(?:access_?)?key\b["']?\s*[:=]\s*["']?(?<secret>[A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/i
+  },
+  {
+    id: 'github_token',
+    name: 'GitHub token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{60,255})\b/
+  },
+  {
+    id: 'google_api_key',
+    name: 'Google API key',
+    pattern: /\bAIza[0-9A-Za-z_-]{35}(?![0-9A-Za-z_-])/
+  },
+  {
+    id: 'slack_token',
+    name: 'Slack token',
+    pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/
+  },
+  {
+    id: 'stripe_key',
+    name: 'Stripe secret key',
+    pattern: /\b[rs]k_(?:live|test)_[A-Za-z0-9]{16,}\b/
+  },
+  {
+    id: 'jwt',
+    name: 'JSON Web Token',
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/
+  },
+  {
+    id: 'bearer_token',
+    name: 'Bearer token',
+    pattern: /\bBearer\s+(?<secret>[A-Za-z0-9._~+/-]{20,}=*)/
+  },
+  {
+    id: 'connection_string',
+    name: 'Connection string password',
+    placeholder: 'PASSWORD',
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:(?<secret>[^\s@/]+)@[^\s/]+/i
+  },
+  {
+    id: 'password',
+    name: 'Password or key assignment',
+    placeholder: 'PASSWORD',
+    pattern: /\b(?:password|passwd|pwd|passphrase|secret|client_secret|api[_-]?key|access[_-]?token|auth[_-]?token)\b["']?\s*[:=]\s*["']?(?<secret>[^\s"'`,;]{6,})/i
+  }
+];
+
+// Registered patterns keyed by id, in registration order — which is also
+// precedence: when two patterns match overlapping text (an Anthropic key
+// is also a valid-looking "sk-" key), the one registered first wins.
+class SecretScanner {
+  constructor(patterns = DEFAULT_SECRET_PATTERNS) {
+    this.patterns = new Map();
+    patterns.forEach(pattern => this.register(pattern));
+  }
+
+  // Registering an id that already exists replaces that pattern in place.
+  register(definition) {
+    if (!definition || !definition.id || !(definition.pattern instanceof RegExp)) {
+      throw new Error('A secret pattern needs an id and a RegExp pattern');
+    }
+    // Always global (to find every occurrence) and with match indices (to
+    // locate the `secret` group), whatever flags it was written with
+    const flags = [...new Set(`${definition.pattern.flags}gd`)].join('');
+    this.patterns.set(definition.id, {
+      name: definition.id,
+      placeholder: definition.id.toUpperCase(),
+      validate: null,
+      ...definition,
+      pattern: new RegExp(definition.pattern.source, flags)
+    });
+    return this;
+  }
+
+  unregister(id) {
+    this.patterns.delete(id);
+    return this;
+  }
+
+  // Every secret in `text` as { id, name, start, end, line, column,
+  // placeholder, preview }, in text order and never overlapping. `preview`
+  // is a masked hint for the panel ("sk-p… (51 chars)"), not the value.
+  scan(text) {
+    if (!text) return [];
+    const found = [];
+    let order = 0;
+    this.patterns.forEach(definition => {
+      for (const match of text.matchAll(definition.pattern)) {
+        const [start, end] = match.indices.groups && match.indices.groups.secret
+          ? match.indices.groups.secret
+          : match.indices[0];
+        const value = text.slice(start, end);
+        if (!value || SECRET_PLACEHOLDER_VALUE.test(value)) continue;
+        if (definition.validate && !definition.validate(value)) continue;
+        found.push({ definition, start, end, value, order });
+      }
+      order += 1;
+    });
+
+    found.sort((a, b) => a.order - b.order || a.start - b.start);
+    const kept = [];
+    found.forEach(candidate => {
+      if (!kept.some(other => candidate.start < other.end && other.start < candidate.end)) {
+        kept.push(candidate);
+      }
+    });
+
+    return kept.sort((a, b) => a.start - b.start).map(({ definition, start, end, value }) => {
+      const before = text.slice(0, start).split('\n');
+      return {
+        id: definition.id,
+        name: definition.name,
+        start,
+        end,
+        line: before.length,
+        column: before[before.length - 1].length + 1,
+        placeholder: `[REDACTED_${definition.placeholder}]`,
+        preview: `${value.slice(0, 4)}… (${value.length} chars)`
+      };
+    });
+  }
+
+  // `text` with each finding replaced by its placeholder. Findings must
+  // come from scanning this exact text (the default).
+  redact(text, findings = this.scan(text)) {
+    let result = text || '';
+    [...findings].sort((a, b) => b.start - a.start).forEach(finding => {
+      result = result.slice(0, finding.start) + finding.placeholder + result.slice(finding.end);
+    });
+    return result;
+  }
+}
@@ -0,0 +1,215 @@
+/**
+ * Local token counting and context-window limits
+ *
+ * Loaded everywhere: the background worker does the real BPE counting (it
+ * holds the encoder's rank table, loaded once rather than per tab); the
+ * content script uses the model table and the quick approximation while a
+ * count is on its way; the popup builds its model pickers from CHAT_MODELS.
+ *
+ * Rank tables are the published tiktoken files, packaged under tokenizers/
+ * (scripts/fetch-tokenizers.sh downloads them). Without them, counts fall
+ * back to approximateTokenCount() and are shown as approximate.
+ */
+
+// Pre-tokenization splits text into pieces no token crosses (words with
+// their leading space, runs of up to three digits, punctuation, newlines);
+// BPE then runs inside each piece. These are tiktoken's own patterns, with
+// the (?i:...) contractions spelled out since JS has no inline flags.
+const TOKEN_ENCODINGS = {
+  cl100k_base: {
+    file: 'tokenizers/cl100k_base.tiktoken',
+    pattern: /'(?:[sSdDmMtT]|[lL][lL]|[vV][eE]|[rR][eE])|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu
+  },
+  o200k_base: {
+    file: 'tokenizers/o200k_base.tiktoken',
+    pattern: /[^\r\n\p{L}\p{N}]?[\p{Lu}\p{Lt}\p{Lm}\p{Lo}\p{M}]*[\p{Ll}\p{Lm}\p{Lo}\p{M}]+(?:'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD])?|[^\r\n\p{L}\p{N}]?[\p{Lu}\p{Lt}\p{Lm}\p{Lo}\p{M}]+[\p{Ll}\p{Lm}\p{Lo}\p{M}]*(?:'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD])?|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n/]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu
+  }
+};
+
+// Room left for the reply when judging whether a prompt fits. Reasoning
+// models spend far more than they show, so they reserve more.
+const EXPECTED_REPLY_TOKENS = 4096;
+
+// Above this share of the context window (prompt plus expected reply) the
+// panel warns; at 1 or more the prompt won't fit.
+const CONTEXT_WARNING_RATIO = 0.8;
+
+// Models the user can pick per platform (Settings → Chat models), first one
+// being the default. Only OpenAI publishes its tokenizers; the others are
+// counted with the closest public encoding (times `factor`, if set) and
+// shown as approximate. Claude's tokenizer runs noticeably longer than
+// cl100k on the same text.
+const CHAT_MODELS = [
+  { id: 'gpt-4o', platform: 'gpt', label: 'GPT-4o', encoding: 'o200k_base', contextWindow: 128000 },
+  { id: 'gpt-5', platform: 'gpt', label: 'GPT-5', encoding: 'o200k_base', contextWindow: 400000, expectedReply: 32000 },
+  { id: 'gpt-4.1', platform: 'gpt', label: 'GPT-4.1', encoding: 'o200k_base', contextWindow: 1047576 },
+  { id: 'o3', platform: 'gpt', label: 'o3', encoding: 'o200k_base', contextWindow: 200000, expectedReply: 32000 },
+  { id: 'gpt-4', platform: 'gpt', label: 'GPT-4', encoding: 'cl100k_base', contextWindow: 8192 },
+  { id: 'gpt-3.5-turbo', platform: 'gpt', label: 'GPT-3.5 Turbo', encoding: 'cl100k_base', contextWindow: 16385 },
+  { id: 'claude-sonnet-4', platform: 'claude', label: 'Claude Sonnet 4', encoding: 'cl100k_base', approximate: true, factor: 1.15, contextWindow: 200000 },
+  { id: 'claude-opus-4', platform: 'claude', label: 'Claude Opus 4', encoding: 'cl100k_base', approximate: true, factor: 1.15, contextWindow: 200000 },
+  { id: 'claude-haiku', platform: 'claude', label: 'Claude Haiku', encoding: 'cl100k_base', approximate: true, factor: 1.15, contextWindow: 200000 },
+  { id: 'gemini-2.5-pro', platform: 'gemini', label: 'Gemini 2.5 Pro', encoding: 'o200k_base', approximate: true, contextWindow: 1048576 },
+  { id: 'gemini-2.5-flash', platform: 'gemini', label: 'Gemini 2.5 Flash', encoding: 'o200k_base', approximate: true, contextWindow: 1048576 },
+  { id: 'grok-4', platform: 'grok', label: 'Grok 4', encoding: 'o200k_base', approximate: true, contextWindow: 256000 },
+  { id: 'grok-3', platform: 'grok', label: 'Grok 3', encoding: 'o200k_base', approximate: true, contextWindow: 131072 }
+];
+
+// The model picked for `platform` in Settings ('chat-models'), or that
+// platform's default when nothing (or something since removed) is picked.
+function getChatModel(platform, selectedId) {
+  const models = CHAT_MODELS.filter(model => model.platform === platform);
+  const pool = models.length > 0 ? models : CHAT_MODELS;
+  return pool.find(model => model.id === selectedId) || pool[0];
+}
+
+// Quick estimate from character classes, for when no rank table is
+// available (or while a real count is on its way). Far closer than
+// length / 4 on code, non-Latin scripts and emoji, which is where that
+// rule goes most wrong.
+function approximateTokenCount(text) {
+  let count = 0;
+  for (const [piece] of (text || '').matchAll(/\p{Script=Han}|\p{Script=Hiragana}|\p{Script=Katakana}|\p{Script=Hangul}|\p{Extended_Pictographic}(?:\u200D\p{Extended_Pictographic}|\uFE0F)*|\p{Script=Latin}+|[\p{L}\p{M}]+|\p{N}+|[^\s\p{L}\p{N}]+|\n+| {2,}/gu)) {
+    if (/^\p{Extended_Pictographic}/u.test(piece)) {
+      count += 2 * piece.split('\u200D').length;
+    } else if (/^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(piece)) {
+      count += 1;
+    } else if (/^\p{Script=Latin}/u.test(piece)) {
+      count += Math.max(1, Math.round(piece.length / 6));
+    } else if (/^[\p{L}\p{M}]/u.test(piece)) {
+      // Cyrillic, Greek, Arabic, Indic scripts: a token per two or so characters
+      count += Math.ceil(piece.length / 2);
+    } else if (/^\p{N}/u.test(piece)) {
+      count += Math.ceil(piece.length / 3);
+    } else if (/^[\n ]/.test(piece)) {
+      count += 1;
+    } else {
+      count += Math.ceil(piece.length / 3);
+    }
+  }
+  return count;
+}
+
+// Byte-level BPE over a tiktoken rank table. Only counts — nothing here
+// needs the token ids themselves.
+class BpeTokenizer {
+  constructor(ranks, pattern) {
+    this.ranks = ranks;
+    this.pattern = pattern;
+    this.encoder = new TextEncoder();
+    // Typing re-counts nearly the same text over and over; most pieces are
+    // words seen a moment ago.
+    this.pieceCache = new Map();
+  }
+
+  // A .tiktoken file is one "<base64 bytes> <rank>" pair per line. Keys are
+  // kept as binary strings (one char per byte), which is what atob()
+  // returns and what bytesOf() builds.
+  static parseRanks(source) {
+    const ranks = new Map();
+    source.split('\n').forEach(line => {
+      const space = line.indexOf(' ');
+      if (space > 0) ranks.set(atob(line.slice(0, space)), Number(line.slice(space + 1)));
+    });
+    return ranks;
+  }
+
+  bytesOf(text) {
+    let binary = '';
+    this.encoder.encode(text).forEach(byte => { binary += String.fromCharCode(byte); });
+    return binary;
+  }
+
+  count(text) {
+    let total = 0;
+    for (const [piece] of (text || '').matchAll(this.pattern)) {
+      let tokens = this.pieceCache.get(piece);
+      if (tokens === undefined) {
+        tokens = this.countPiece(this.bytesOf(piece));
+        if (this.pieceCache.size > 20000) this.pieceCache.clear();
+        this.pieceCache.set(piece, tokens);
+      }
+      total += tokens;
+    }
+    return total;
+  }
+
+  // Merging is quadratic in the piece length, and a pasted blob with no
+  // spaces can be one enormous piece; no token is anywhere near 256 bytes,
+  // so counting such a piece in 256-byte slices changes the total by a
+  // token or two at most.
+  countPiece(bytes) {
+    if (bytes.length > 256) {
+      let total = 0;
+      for (let start = 0; start < bytes.length; start += 256) {
+        total += this.countPiece(bytes.slice(start, start + 256));
+      }
+      return total;
+    }
+    if (this.ranks.has(bytes)) return 1;
+
+    // Boundaries between the current parts; repeatedly merge the adjacent
+    // pair with the lowest rank, as tiktoken does, until none is in the table.
+    const bounds = Array.from({ length: bytes.length + 1 }, (_, i) => i);
+    while (bounds.length > 2) {
+      let best = -1;
+      let bestRank = Infinity;
+      for (let i = 0; i < bounds.length - 2; i++) {
+        const rank = this.ranks.get(bytes.slice(bounds[i], bounds[i + 2]));
+        if (rank !== undefined && rank < bestRank) {
+          bestRank = rank;
+          best = i;
+        }
+      }
+      if (best < 0) break;
+      bounds.splice(best + 1, 1);
+    }
+    return bounds.length - 1;
+  }
+}
+
+// One load per encoding per worker lifetime. A missing or unreadable rank
+// file resolves to null (and isn't retried until the worker restarts), so
+// callers fall back to the approximation instead of failing.
+const bpeTokenizers = {};
+
+function loadBpeTokenizer(encoding) {
+  if (!bpeTokenizers[encoding]) {
+    const spec = TOKEN_ENCODINGS[encoding];
+    bpeTokenizers[encoding] = !spec
+      ? Promise.resolve(null)
+      : fetch(chrome.runtime.getURL(spec.file))
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.text();
+        })
+        .then(source => new BpeTokenizer(BpeTokenizer.parseRanks(source), spec.pattern))
+        .catch(error => {
+          console.warn(`Token counts for ${encoding} are approximate — could not load ${spec.file}:`, error.message);
+          return null;
+        });
+  }
+  return bpeTokenizers[encoding];
+}
+
+// { count, exact } for `text` under `model`. `exact` is only true for a
+// real count with the model's own encoding.
+async function countTokens(text, model) {
+  const tokenizer = await loadBpeTokenizer(model.encoding);
+  if (!tokenizer) return { count: approximateTokenCount(text), exact: false };
+  return { count: Math.round(tokenizer.count(text) * (model.factor || 1)), exact: !model.approximate };
+}
+
+// How much of `model`'s context window a prompt of `count` tokens plus the
+// expected reply takes: { needed, limit, ratio, level }, level being 'ok',
+// 'near' (past CONTEXT_WARNING_RATIO) or 'over'.
+function contextWindowUsage(count, model) {
+  const needed = count + (model.expectedReply || EXPECTED_REPLY_TOKENS);
+  const ratio = needed / model.contextWindow;
+  return {
+    needed,
+    limit: model.contextWindow,
+    ratio,
+    level: ratio >= 1 ? 'over' : ratio >= CONTEXT_WARNING_RATIO ? 'near' : 'ok'
+  };
+}